@@ -0,0 +1,57 @@
+import pino from 'pino'
+import { normalizeName } from './metadata.js'
+import { createJsonStore } from './store.js'
+import config from './config.js'
+
+const logger = pino({
+    level: process.env.NODE_ENV === "development" ? 'debug' : "info"
+}, pino.destination(2));
+
+/**
+ * Canonical series names and the spellings that mean the same series, e.g.
+ * { "Attack on Titan": [ "Attack On Titan (2013)", "Shingeki no Kyojin" ] }
+ * @typedef {Object<string, string[]>} AliasRegistry
+ */
+
+const store = createJsonStore('aliases', () => config.aliasesFile);
+
+/**
+ * Loads config.aliasesFile the first time it is needed (or the file was changed in the config).
+ * @returns {AliasRegistry}
+ */
+export const loadAliases = () => store.load();
+
+/**
+ * Looks up the canonical name of a series. Names are compared without case and punctuation, so 'attack.on.titan' finds 'Attack on Titan' too.
+ * @param {string} name
+ * @returns {string|undefined} the canonical name, undefined if the series is not in the registry
+ */
+export const resolveAlias = (name) => {
+    const normalized = normalizeName(name);
+    const [ canonical ] = Object.entries(loadAliases())
+        .find(([ canonical, names ]) => [ canonical, ...names ].some(candidate => normalizeName(candidate) === normalized)) || [];
+
+    return canonical;
+}
+
+/**
+ * Registers a spelling of a series and saves it in config.aliasesFile. A spelling belongs to one series only, it is removed from the others.
+ * @param {string} canonical - The name the series should have.
+ * @param {string} alias - Another spelling of it.
+ */
+export const addAlias = (canonical, alias) => {
+    if (!canonical.trim() || !alias.trim()) {
+        throw new Error('The series name and the alias must not be empty');
+    }
+
+    const registry = loadAliases();
+    for (const [ name, names ] of Object.entries(registry)) {
+        registry[name] = names.filter(candidate => normalizeName(candidate) !== normalizeName(alias));
+    }
+    const name = Object.keys(registry).find(existing => normalizeName(existing) === normalizeName(canonical)) || canonical;
+    registry[name] = [ ...(registry[name] || []), alias ];
+
+    store.save(registry);
+
+    logger.info(`Registered ${alias} as an alias of ${name}`);
+}
@@ -0,0 +1,79 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { addAlias, loadAliases, resolveAlias } from "./aliases";
+import { planRenameFilesInDirectory } from "./lib";
+import { setProvider } from "./providers";
+import config from "./config";
+
+describe("Aliases", () => {
+
+    let dir;
+    let library;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-aliases-'));
+        library = path.join(dir, "library");
+        config.aliasesFile = path.join(dir, "data", "aliases.json");
+        config.cacheFile = "";
+        setProvider({ name: "Test", chat: async () => { throw new Error("The LLM should not be asked"); } });
+    })
+    afterEach(() => {
+        setProvider(null);
+        fs.rmSync(dir, { recursive: true, force: true });
+    })
+
+    it("Should resolve spellings of a series to its canonical name, ignoring case and punctuation", () => {
+
+        fs.mkdirSync(path.join(dir, "data"));
+        fs.writeFileSync(config.aliasesFile, JSON.stringify({ "Attack on Titan": [ "Shingeki no Kyojin" ] }));
+
+        expect(resolveAlias("shingeki.no.kyojin")).toBe("Attack on Titan");
+        expect(resolveAlias("Attack On Titan")).toBe("Attack on Titan");
+        expect(resolveAlias("Family Guy")).toBeUndefined();
+
+    })
+
+    it("Should save aliases and keep each spelling at one series", () => {
+
+        addAlias("Attack on Titan", "Shingeki no Kyojin");
+        addAlias("attack on titan", "AoT");
+        addAlias("Ace of Trumps", "aot");
+
+        expect(JSON.parse(fs.readFileSync(config.aliasesFile, "utf-8"))).toStrictEqual({ "Attack on Titan": [ "Shingeki no Kyojin" ], "Ace of Trumps": [ "aot" ] });
+        expect(loadAliases()).toStrictEqual({ "Attack on Titan": [ "Shingeki no Kyojin" ], "Ace of Trumps": [ "aot" ] });
+        expect(() => addAlias("Attack on Titan", " ")).toThrow();
+
+    })
+
+    it("Should give all episodes of a series folder the same series name", async () => {
+
+        const season = path.join(library, "Attack On Titan", "Season 01");
+        fs.mkdirSync(season, { recursive: true });
+        for (const file of [ "Attack.On.Titan.S01E01.mkv", "attack.on.titan.S01E02.mkv", "Attack.On.Titan.S01E03.mkv", "Attack.On.Titan.2013.S01E04.mkv", "Attack.On.Titan.2013.S01E04.en.srt" ]) {
+            fs.writeFileSync(path.join(season, file), "");
+        }
+
+        const operations = await planRenameFilesInDirectory(library);
+
+        expect(operations.map(operation => path.basename(operation.to))).toStrictEqual([
+            "Attack On Titan S01E04.mkv", "Attack On Titan S01E04.en.srt", "Attack On Titan S01E01.mkv", "Attack On Titan S01E03.mkv", "Attack On Titan S01E02.mkv"
+        ]);
+
+    })
+
+    it("Should use the canonical name of the alias registry", async () => {
+
+        addAlias("Attack on Titan", "Shingeki no Kyojin");
+        const season = path.join(library, "Shingeki no Kyojin", "Season 01");
+        fs.mkdirSync(season, { recursive: true });
+        fs.writeFileSync(path.join(season, "Shingeki.no.Kyojin.S01E01.mkv"), "");
+
+        const [ operation ] = await planRenameFilesInDirectory(library);
+
+        expect(path.basename(operation.to)).toBe("Attack on Titan S01E01.mkv");
+        expect(operation.details.sources.series).toBe("alias");
+
+    })
+
+})
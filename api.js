@@ -1,14 +1,13 @@
-import { Ollama } from 'ollama'
 import pino from 'pino'
+import { createCacheKey, getCachedResponse, setCachedResponse } from './cache.js'
+import { getModel, getProvider } from './providers.js'
+import { validate } from './schemas.js'
+import { createLimiter } from './concurrency.js'
+import config from './config.js'
 
 const logger = pino({
     level: process.env.NODE_ENV === "development" ? 'debug' : "info"
-});
-
-// Setting up the Ollama API
-const ollama = new Ollama({
-    host: process.env.OLLAMA_HOST || 'http://localhost:11434'
-})
+}, pino.destination(2));
 
 /**
  * @typedef {object} Example
@@ -16,16 +15,60 @@ const ollama = new Ollama({
  * @property {string} output
  */
 /**
- * Request the Ollama API and ensures that only JSON is returned 
- * @param {string} system 
+ * @typedef {object} RequestOptions
+ * @property {'classification'|'extraction'} [ task ] - Selects the model that is configured for the task.
+ * @property {object} [ schema ] - JSON schema the response has to match. It is passed to the provider as structured output format.
+ * @property {number} [ sample ] - Asks for an additional sample of the answer (1, 2, ...) for voting. It is cached separately and answered with config.votingTemperature, so it can differ from the regular answer.
+ */
+/**
+ * Thrown if a response of the LLM could be parsed but does not match the schema of the request.
+ */
+class ValidationError extends Error {
+    /**
+     * @param {string[]} errors
+     * @param {string} content - The invalid response.
+     */
+    constructor(errors, content) {
+        super(`Response does not match the schema: ${errors.join('; ')}`);
+        this.name = 'ValidationError';
+        this.errors = errors;
+        this.content = content;
+    }
+}
+
+let limiter = null;
+let limiterConcurrency = null;
+
+/**
+ * Returns the limiter for requests to the LLM provider, so that the inference server does not get more requests at the same time than configured.
+ * @returns {ReturnType<typeof createLimiter>}
+ */
+const getLimiter = () => {
+    if (!limiter || limiterConcurrency !== config.llmConcurrency) {
+        limiter = createLimiter(config.llmConcurrency);
+        limiterConcurrency = config.llmConcurrency;
+    }
+
+    return limiter;
+}
+
+/**
+ * Request the configured LLM provider and ensures that only JSON is returned
+ * @param {string} model
+ * @param {string} system
  * @param {string} input
  * @param {Example[]} examples
- * @returns {Promise<object>} - A JSON object response from the Ollama API.
+ * @param {object} [ schema ] - JSON schema the response has to match.
+ * @param {import('./providers.js').Message[]} [ feedback ] - Previous invalid answers and the reasons why they were rejected.
+ * @param {number} [ temperature ]
+ * @returns {Promise<object>} - A JSON object response from the LLM provider.
  */
-const request = async (system, input, examples = []) => {
+const request = async (model, system, input, examples = [], schema, feedback = [], temperature) => {
+    const provider = getProvider();
+
     try {
-        
-        // Sending the prompt to Ollama API and getting a response
+
+        // Sending the prompt to the provider and getting a response
         const modifiedPrompt = input + '```json';
 
         const messages = examples.map(example => [ {
@@ -37,79 +80,86 @@ const request = async (system, input, examples = []) => {
         } ])
         const destructured = messages.reduce((acc, val) => acc.concat(val), []);
 
-        const response = await ollama.chat({
-            model: 'llama3.2',
+        const content = await getLimiter()(() => provider.chat({
+            model,
             messages: [
                 { role: 'system', content: system },
                 ...destructured,
                 { role: 'user', content: modifiedPrompt },
+                ...feedback,
             ],
-            options: { stop: ["```"] }
-        });
+            stop: ["```"],
+            format: schema,
+            temperature
+        }));
 
-        logger.debug(`Ollama API response: ${response.message.content}`);
+        logger.debug(`${provider.name} response: ${content}`);
 
-        // Returning the response message content as JSON
+        // Parsing the response message content as JSON
+        let response;
         try {
-            return JSON.parse(response.message.content);
+            response = JSON.parse(content);
         } catch(e) {
-            logger.warn(`Failed to parse JSON response from Ollama API: ${response.message.content}`);
-            throw e;
+            logger.warn(`Failed to parse JSON response from ${provider.name}: ${content}`);
+            throw new ValidationError([ `response is not valid JSON (${e.message})` ], content);
+        }
+
+        // Returning the response only if it matches the schema
+        const errors = schema ? validate(schema, response) : [];
+        if (errors.length > 0) {
+            logger.warn(`Invalid response from ${provider.name}: ${content} (${errors.join('; ')})`);
+            throw new ValidationError(errors, content);
         }
+
+        return response;
     } catch (error) {
+        if (error instanceof ValidationError) {
+            throw error;
+        }
         // Handling any errors and returning a JSON error message
         throw new Error(error);
     }
 }
 
 /**
- * Request the Ollama API and ensures that only JSON is returned. If the request fails, the function will try again.
- * @param {string} system 
+ * Request the configured LLM provider and ensures that only JSON is returned. If the request fails, the function will try again.
+ * If the response does not match the schema, the invalid answer and the validation errors are sent along with the next try, so the model can correct itself.
+ * @param {string} model
+ * @param {string} system
  * @param {string} input
  * @param {Object[]} [ examples ]
  * @param {string} examples[].input
  * @param {string} examples[].output
- * @returns {Promise<object>} - A JSON object response from the Ollama API.
+ * @param {object} [ schema ]
+ * @param {number} [ temperature ]
+ * @returns {Promise<object>} - A JSON object response from the LLM provider.
  */
-const requestRetryWrapper = async (system, input, examples) => {
+const requestRetryWrapper = async (model, system, input, examples, schema, temperature) => {
     let tries = 0;
+    let feedback = [];
 
     while (tries < 15) {
         try {
 
-            const response = await request(system, input, examples);
+            const response = await request(model, system, input, examples, schema, feedback, temperature);
 
             return response;
 
         } catch (error) {
-            logger.warn(`Failed to get a valid JSON response from Ollama API: ${error.message}. Trying again ...`);
+            logger.warn(`Failed to get a valid JSON response from ${getProvider().name}: ${error.message}. Trying again ...`);
             tries++;
+
+            if (error instanceof ValidationError) {
+                // only the last invalid answer is kept, so the conversation does not grow with every try
+                feedback = [
+                    { role: 'assistant', content: error.content },
+                    { role: 'user', content: `Your answer was invalid: ${error.errors.join('; ')}. Respond again with only a JSON object that fixes these errors.` + '```json' }
+                ];
+            }
         }
     }
-}
 
-class RequestMap extends Map {
-    /**
-     * @param {Request} request 
-     * @returns {object}
-     */
-    get(request) {
-        return super.get(JSON.stringify(request));
-    }
-    /**
-     * @param {Request} request 
-     * @param {object} response 
-     */
-    set(request, response) {
-        return super.set(JSON.stringify(request), response);
-    }
-    /**
-     * @param {Request} request
-     * @returns {boolean}
-     */
-    has(request) {
-        return super.has(JSON.stringify(request));
-    }
+    throw new Error(`No valid response from ${getProvider().name} after ${tries} tries`);
 }
 
 /**
@@ -118,34 +168,57 @@ class RequestMap extends Map {
  * @property {string} input
  * @property {Example[]} [ examples ]
  */
-let requestCache = new RequestMap();
+/**
+ * Requests that are currently waiting for the LLM provider, by cache key.
+ * @type {Map<string, Promise<object>>}
+ */
+const inFlightRequests = new Map();
 
 /**
- * Request the Ollama API and ensures that only JSON is returned. If the request fails, the function will try again. It will also cache the request and response.
- * @param {string} system 
+ * Request the configured LLM provider and ensures that only JSON is returned. If the request fails, the function will try again.
+ * Responses are cached on disk, so requests that have already been answered survive restarts.
+ * Identical requests that are made while the first one is still waiting for an answer share that answer instead of asking the model again.
+ * @param {string} system
  * @param {string} input
  * @param {Object[]} [ examples ]
  * @param {string} examples[].input
  * @param {string} examples[].output
- * @returns {Promise<object>} - A JSON object response from the Ollama API.
+ * @param {RequestOptions} [ options ]
+ * @returns {Promise<object>} - A JSON object response from the LLM provider.
  */
-const requestWrapper = async (system, input, examples) => {
+const requestWrapper = async (system, input, examples, options = {}) => {
+
+    const model = getModel(options.task);
 
-    // Check if the request has been cached
-    const request = { system, input, examples };
-    if (requestCache.has(request)) {
-        logger.debug(`Using cache: ${JSON.stringify(request)}`);
-        return requestCache.get(request);
+    // Check if the request has been cached (answers cached before the schema was introduced may not match it)
+    const key = createCacheKey(model, system, input, examples, options.sample);
+    const cached = getCachedResponse(key);
+    if (cached !== undefined && (!options.schema || validate(options.schema, cached).length === 0)) {
+        logger.debug(`Using cache: ${JSON.stringify(key)}`);
+        return cached;
     }
 
-    // Request the Ollama API and cache the response
-    const response = await requestRetryWrapper(system, input, examples);
-    requestCache.set(request, response);
+    // Wait for the identical request if it is already in flight
+    const id = JSON.stringify(key);
+    if (inFlightRequests.has(id)) {
+        logger.debug(`Waiting for identical request: ${id}`);
+        return inFlightRequests.get(id);
+    }
+
+    // Request the LLM provider and cache the response
+    const temperature = options.sample > 0 ? config.votingTemperature : undefined;
+    const pending = requestRetryWrapper(model, system, input, examples, options.schema, temperature)
+        .then(response => {
+            setCachedResponse(key, system, response);
+            return response;
+        })
+        .finally(() => inFlightRequests.delete(id));
+    inFlightRequests.set(id, pending);
 
-    return response;
+    return pending;
 
 }
 
 
 
-export { requestWrapper as request }
\ No newline at end of file
+export { requestWrapper as request }
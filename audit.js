@@ -0,0 +1,287 @@
+import fs from 'fs'
+import path from 'path'
+import pino from 'pino'
+import { extractDetails, findMissingEpisodes, getDetails, traverseDirectory } from './lib.js'
+import { getExtension, parseSeasonFromFolders, VIDEO_EXTENSIONS } from './parser.js'
+import { getEpisodeFileName } from './template.js'
+import { mapWithConcurrency } from './concurrency.js'
+import config from './config.js'
+
+const logger = pino({
+    level: process.env.NODE_ENV === "development" ? 'debug' : "info"
+}, pino.destination(2));
+
+/**
+ * @typedef {Object} NamingViolation
+ * @property {string} file
+ * @property {string} expected - The file name the naming template asks for.
+ */
+/**
+ * @typedef {Object} Duplicate
+ * @property {number} [ episode ] - The episode that is in more than one file.
+ * @property {string} [ airDate ] - The air date that is in more than one file, for date-based episodes.
+ * @property {string[]} files
+ */
+/**
+ * @typedef {Object} MisfiledEpisode
+ * @property {string} file
+ * @property {number} season - The season extracted from the file.
+ * @property {number} folderSeason - The season of the 'Season XX' folder the file is in.
+ */
+/**
+ * @typedef {Object} SeasonAudit
+ * @property {number} season
+ * @property {number} files - The number of video files of the season.
+ * @property {NamingViolation[]} namingViolations
+ * @property {number[]} missingEpisodes - Gaps between the first and the last episode, see findMissingEpisodes.
+ * @property {Duplicate[]} duplicates
+ * @property {MisfiledEpisode[]} misfiled
+ */
+/**
+ * @typedef {Object} SeriesAudit
+ * @property {string} series
+ * @property {SeasonAudit[]} seasons
+ */
+/**
+ * @typedef {Object} AuditSummary
+ * @property {number} files
+ * @property {number} namingViolations
+ * @property {number} missingEpisodes
+ * @property {number} duplicates
+ * @property {number} misfiled
+ * @property {number} unrecognized
+ */
+/**
+ * @typedef {Object} AuditReport
+ * @property {string} root - The folder that was audited.
+ * @property {string} createdAt - ISO timestamp.
+ * @property {SeriesAudit[]} series - Sorted by name, the seasons by number.
+ * @property {{ file: string, error: string }[]} unrecognized - Videos that look like episodes but whose details could not be determined.
+ * @property {AuditSummary} summary
+ */
+
+/**
+ * Finds the episodes and air dates that are in more than one file, multi-episode files count for every episode of their range.
+ * @param {{ file: string, details: import('./lib.js').Details }[]} entries - The episodes of one season.
+ * @returns {Duplicate[]}
+ */
+const findDuplicates = (entries) => {
+    const files = new Map();
+    const add = (key, file) => files.set(key, [ ...(files.get(key) || []), file ]);
+
+    for (const { file, details } of entries) {
+        if (details.airDate) {
+            add(JSON.stringify({ airDate: details.airDate }), file);
+            continue;
+        }
+        for (let number = details.episode; number <= Math.max(details.episode, details.lastEpisode ?? details.episode); number++) {
+            add(JSON.stringify({ episode: number }), file);
+        }
+    }
+
+    return [ ...files.entries() ]
+        .filter(([ , duplicates ]) => duplicates.length > 1)
+        .map(([ key, duplicates ]) => ({ ...JSON.parse(key), files: duplicates }));
+}
+
+/**
+ * Audits the files of one season.
+ * @param {number} season
+ * @param {{ file: string, classification: string, details: import('./lib.js').Details }[]} entries
+ * @returns {SeasonAudit}
+ */
+const auditSeason = (season, entries) => {
+    const namingViolations = entries
+        .map(({ file, details }) => ({ file, expected: getEpisodeFileName(details, path.extname(file)) }))
+        .filter(({ file, expected }) => path.basename(file) !== expected);
+
+    // specials have no regular numbering, and date-based episodes have no episode numbers at all
+    const numbered = entries.filter(({ details }) => season > 0 && !details.airDate).map(({ details }) => details);
+    const [ missing ] = findMissingEpisodes(numbered);
+
+    const misfiled = entries
+        .filter(({ classification }) => classification === 'Episode')
+        .map(({ file }) => ({ file, season, folderSeason: parseSeasonFromFolders(file) }))
+        .filter(({ folderSeason }) => folderSeason !== undefined && folderSeason !== season);
+
+    return {
+        season,
+        files: entries.length,
+        namingViolations,
+        missingEpisodes: missing ? missing.episodes : [],
+        duplicates: findDuplicates(entries),
+        misfiled
+    };
+}
+
+/**
+ * Walks a library and reports per series and season: files that are not named like the naming template asks for, gaps in the episode numbering,
+ * episodes that are in more than one file and episodes whose season differs from the 'Season XX' folder they are in.
+ * Only video files are audited, sidecars, movies and other files are ignored. Nothing is renamed or moved.
+ * @param {string} dir
+ * @param {number} [ depth ] - How many levels of subfolders are audited.
+ * @returns {Promise<AuditReport>} report
+ */
+export const auditLibrary = async (dir, depth = config.maxDepth) => {
+    const files = [];
+    const collect = (directory, level) => {
+        files.push(...directory.files.filter(file => VIDEO_EXTENSIONS.includes(getExtension(file))));
+        if (level > 0) {
+            directory.subfolders.forEach(subfolder => collect(subfolder, level - 1));
+        }
+    }
+    collect(traverseDirectory(dir), depth);
+
+    const unrecognized = [];
+    const entries = await mapWithConcurrency(files, config.concurrency, async (file) => {
+        try {
+            const { classification } = await extractDetails(file);
+            if (classification !== 'Episode' && classification !== 'Special') {
+                return null;
+            }
+            // answered from the cache of the extraction above
+            return { file, classification, details: await getDetails(file) };
+        } catch (error) {
+            logger.warn(`Could not audit ${file}: ${error.message}`);
+            unrecognized.push({ file, error: error.message });
+            return null;
+        }
+    });
+
+    const seasons = new Map();
+    for (const entry of entries.filter(Boolean)) {
+        const key = JSON.stringify([ entry.details.series, entry.details.season ]);
+        seasons.set(key, [ ...(seasons.get(key) || []), entry ]);
+    }
+
+    const series = new Map();
+    for (const [ key, seasonEntries ] of seasons) {
+        const [ name, season ] = JSON.parse(key);
+        series.set(name, [ ...(series.get(name) || []), auditSeason(season, seasonEntries) ]);
+    }
+
+    const report = {
+        root: dir,
+        createdAt: new Date().toISOString(),
+        series: [ ...series.entries() ]
+            .sort(([ a ], [ b ]) => a.localeCompare(b))
+            .map(([ name, audits ]) => ({ series: name, seasons: audits.sort((a, b) => a.season - b.season) })),
+        unrecognized: unrecognized.sort((a, b) => a.file.localeCompare(b.file))
+    };
+    const audits = report.series.flatMap(entry => entry.seasons);
+    report.summary = {
+        files: audits.reduce((sum, audit) => sum + audit.files, 0),
+        namingViolations: audits.reduce((sum, audit) => sum + audit.namingViolations.length, 0),
+        missingEpisodes: audits.reduce((sum, audit) => sum + audit.missingEpisodes.length, 0),
+        duplicates: audits.reduce((sum, audit) => sum + audit.duplicates.length, 0),
+        misfiled: audits.reduce((sum, audit) => sum + audit.misfiled.length, 0),
+        unrecognized: unrecognized.length
+    };
+
+    logger.info(`Audited ${report.summary.files} episodes of ${report.series.length} series in ${dir}`);
+
+    return report;
+}
+
+/**
+ * The number of problems in the report, 0 if the library is in order.
+ * @param {AuditReport} report
+ * @returns {number}
+ */
+export const countIssues = ({ summary }) => summary.namingViolations + summary.missingEpisodes + summary.duplicates + summary.misfiled + summary.unrecognized;
+
+/**
+ * Describes the problems of the report, one line per problem.
+ * @param {AuditReport} report
+ * @returns {string[]}
+ */
+export const describeAudit = (report) => [
+    ...report.series.flatMap(({ series, seasons }) => seasons.flatMap(audit => [
+        ...audit.namingViolations.map(({ file, expected }) => `NAMING ${file} (should be ${expected})`),
+        ...(audit.missingEpisodes.length > 0 ? [ `MISSING ${series} season ${audit.season}: episodes ${audit.missingEpisodes.join(', ')}` ] : []),
+        ...audit.duplicates.map(({ episode, airDate, files }) => `DUPLICATE ${series} season ${audit.season} ${airDate ?? `episode ${episode}`}: ${files.join(', ')}`),
+        ...audit.misfiled.map(({ file, season, folderSeason }) => `MISFILED ${file} (season ${season} in the folder of season ${folderSeason})`)
+    ])),
+    ...report.unrecognized.map(({ file, error }) => `UNRECOGNIZED ${file}: ${error}`)
+];
+
+/**
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, character => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[character]);
+
+/**
+ * Renders the report as a standalone HTML page, without any scripts or external resources.
+ * @param {AuditReport} report
+ * @returns {string} html
+ */
+export const renderAuditHtml = (report) => {
+    const relative = (file) => escapeHtml(path.relative(report.root, file) || file);
+    const list = (items) => items.length > 0 ? `<ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>` : '';
+
+    const rows = report.series.flatMap(({ series, seasons }) => seasons.map(audit => {
+        const issues = audit.namingViolations.length + audit.missingEpisodes.length + audit.duplicates.length + audit.misfiled.length;
+        return `<tr class="${issues > 0 ? 'issues' : ''}">
+                <td>${escapeHtml(series)}</td>
+                <td>${audit.season}</td>
+                <td>${audit.files}</td>
+                <td>${list(audit.namingViolations.map(({ file, expected }) => `<span class="path">${relative(file)}</span> &rarr; <span class="path">${escapeHtml(expected)}</span>`))}</td>
+                <td>${escapeHtml(audit.missingEpisodes.join(', '))}</td>
+                <td>${list(audit.duplicates.map(({ episode, airDate, files }) => `${escapeHtml(airDate ?? `Episode ${episode}`)}: ${files.map(file => `<span class="path">${relative(file)}</span>`).join(', ')}`))}</td>
+                <td>${list(audit.misfiled.map(({ file, folderSeason }) => `<span class="path">${relative(file)}</span> (in season ${folderSeason})`))}</td>
+            </tr>`;
+    }));
+    const { summary } = report;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>Library audit of ${escapeHtml(report.root)}</title>
+    <style>
+        body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+        table { border-collapse: collapse; width: 100%; font-size: .9rem; margin-bottom: 1rem; }
+        th, td { border-bottom: 1px solid #ddd; padding: .3rem .5rem; text-align: left; vertical-align: top; }
+        ul { margin: 0; padding-left: 1rem; }
+        .path { font-family: monospace; word-break: break-all; }
+        tr.issues { background: #fff4d6; }
+        .error { color: #b00020; }
+    </style>
+</head>
+<body>
+    <h1>Library audit</h1>
+    <p><span class="path">${escapeHtml(report.root)}</span>, ${escapeHtml(report.createdAt)}</p>
+    <p>${summary.files} episodes: ${summary.namingViolations} naming violations, ${summary.missingEpisodes} missing episodes, ${summary.duplicates} duplicates, ${summary.misfiled} misfiled, ${summary.unrecognized} unrecognized.</p>
+    <table>
+        <thead>
+            <tr><th>Series</th><th>Season</th><th>Files</th><th>Naming violations</th><th>Missing episodes</th><th>Duplicates</th><th>Misfiled</th></tr>
+        </thead>
+        <tbody>
+            ${rows.join('\n            ')}
+        </tbody>
+    </table>
+    ${report.unrecognized.length > 0 ? `<h2>Unrecognized files</h2>
+    ${list(report.unrecognized.map(({ file, error }) => `<span class="path">${relative(file)}</span>: <span class="error">${escapeHtml(error)}</span>`))}` : ''}
+</body>
+</html>
+`;
+}
+
+/**
+ * Saves the report as a standalone HTML file and as JSON next to it, e.g. 'audit-report.html' and 'audit-report.json'.
+ * @param {AuditReport} report
+ * @param {string} file - The HTML file.
+ * @returns {{ html: string, json: string }} the paths of both files
+ */
+export const saveAuditReport = (report, file) => {
+    const html = file;
+    const json = path.join(path.dirname(file), `${path.parse(file).name}.json`);
+
+    fs.mkdirSync(path.dirname(html), { recursive: true });
+    fs.writeFileSync(html, renderAuditHtml(report));
+    fs.writeFileSync(json, JSON.stringify(report, null, 2));
+    logger.info(`Saved the audit report to ${html} and ${json}`);
+
+    return { html, json };
+}
@@ -0,0 +1,106 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { auditLibrary, countIssues, describeAudit, renderAuditHtml, saveAuditReport } from "./audit";
+import { setProvider } from "./providers";
+import config from "./config";
+
+describe("Library audit", () => {
+
+    let dir;
+
+    const write = (...parts) => {
+        const file = path.join(dir, ...parts);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, "");
+        return file;
+    }
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-audit-'));
+        config.cacheFile = "";
+        setProvider({ name: "Test", chat: async () => { throw new Error("The LLM is offline"); } });
+    })
+    afterEach(() => {
+        setProvider(null);
+        fs.rmSync(dir, { recursive: true, force: true });
+    })
+
+    it("Should report naming violations, gaps, duplicates and misfiled seasons", async () => {
+
+        write("Show", "Season 01", "Show S01E01.mkv");
+        write("Show", "Season 01", "Show S01E01.nfo");
+        write("Show", "Season 01", "Show S01E02-E03.mkv");
+        const duplicate = write("Show", "Season 01", "Show.S01E03.720p.mkv");
+        write("Show", "Season 01", "Show S01E06.mkv");
+        const misfiled = write("Show", "Season 01", "Show S02E01.mkv");
+        write("Show", "notes.txt");
+        write("Daily", "Season 2024", "Daily 2024-03-14.mkv");
+        const dated = write("Daily", "Season 2024", "Daily.2024.03.14.Guest.Name.mkv");
+
+        const report = await auditLibrary(dir);
+
+        expect(report.root).toBe(dir);
+        expect(report.series).toStrictEqual([
+            { series: "Daily", seasons: [
+                { season: 2024, files: 2, namingViolations: [ { file: dated, expected: "Daily 2024-03-14.mkv" } ], missingEpisodes: [], duplicates: [ { airDate: "2024-03-14", files: [ path.join(dir, "Daily", "Season 2024", "Daily 2024-03-14.mkv"), dated ] } ], misfiled: [] }
+            ] },
+            { series: "Show", seasons: [
+                { season: 1, files: 4, namingViolations: [ { file: duplicate, expected: "Show S01E03.mkv" } ], missingEpisodes: [ 4, 5 ], duplicates: [ { episode: 3, files: [ path.join(dir, "Show", "Season 01", "Show S01E02-E03.mkv"), duplicate ] } ], misfiled: [] },
+                { season: 2, files: 1, namingViolations: [], missingEpisodes: [], duplicates: [], misfiled: [ { file: misfiled, season: 2, folderSeason: 1 } ] }
+            ] }
+        ]);
+        expect(report.unrecognized).toStrictEqual([]);
+        expect(report.summary).toStrictEqual({ files: 7, namingViolations: 2, missingEpisodes: 2, duplicates: 2, misfiled: 1, unrecognized: 0 });
+        expect(countIssues(report)).toBe(7);
+        expect(describeAudit(report)).toContain(`MISSING Show season 1: episodes 4, 5`);
+
+    })
+
+    it("Should list the videos whose details cannot be determined", async () => {
+
+        write("Show", "Season 01", "Show S01E01.mkv");
+        const unknown = write("Show", "Season 01", "garbage.mkv");
+
+        const report = await auditLibrary(dir);
+
+        expect(report.unrecognized).toStrictEqual([ { file: unknown, error: expect.stringContaining("Failed to extract details") } ]);
+        expect(report.summary).toMatchObject({ files: 1, unrecognized: 1 });
+        expect(countIssues(report)).toBe(1);
+
+    })
+
+    it("Should respect the depth", async () => {
+
+        write("Show", "Season 01", "Show.S01E01.720p.mkv");
+
+        const report = await auditLibrary(dir, 1);
+
+        expect(report.series).toStrictEqual([]);
+        expect(countIssues(report)).toBe(0);
+
+    })
+
+    it("Should save a standalone HTML page and the JSON next to it", async () => {
+
+        const report = {
+            root: dir,
+            createdAt: "2024-03-14T12:00:00.000Z",
+            series: [ { series: "<script>alert(1)</script>", seasons: [ { season: 1, files: 1, namingViolations: [ { file: path.join(dir, "a & b.mkv"), expected: "Show S01E01.mkv" } ], missingEpisodes: [ 2 ], duplicates: [], misfiled: [] } ] } ],
+            unrecognized: [],
+            summary: { files: 1, namingViolations: 1, missingEpisodes: 1, duplicates: 0, misfiled: 0, unrecognized: 0 }
+        };
+
+        const html = renderAuditHtml(report);
+        expect(html).toContain("&lt;script&gt;alert(1)&lt;/script&gt;");
+        expect(html).toContain("a &amp; b.mkv");
+        expect(html).not.toContain("<script>");
+
+        const files = saveAuditReport(report, path.join(dir, "reports", "audit.html"));
+        expect(files).toStrictEqual({ html: path.join(dir, "reports", "audit.html"), json: path.join(dir, "reports", "audit.json") });
+        expect(fs.readFileSync(files.html, 'utf-8')).toBe(html);
+        expect(JSON.parse(fs.readFileSync(files.json, 'utf-8'))).toStrictEqual(report);
+
+    })
+
+})
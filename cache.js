@@ -0,0 +1,245 @@
+import fs from 'fs'
+import path from 'path'
+import { createHash } from 'crypto'
+import pino from 'pino'
+import config from './config.js'
+
+const logger = pino({
+    level: process.env.NODE_ENV === "development" ? 'debug' : "info"
+}, pino.destination(2));
+
+/**
+ * @typedef {Object} CacheKey
+ * @property {string} model - The model that answered the request.
+ * @property {string} promptHash - Hash of the system prompt.
+ * @property {string} examplesHash - Hash of the examples.
+ * @property {string} input
+ * @property {number} [ sample ] - Which additional sample of the answer it is (see config.votingSamples), the regular answer has none.
+ */
+/**
+ * @typedef {Object} CacheEntry
+ * @property {string} model
+ * @property {string} promptHash
+ * @property {string} examplesHash
+ * @property {string} input
+ * @property {string} prompt - The beginning of the system prompt, so entries can be recognized when inspecting the cache.
+ * @property {object} response
+ * @property {number} createdAt - Unix timestamp in milliseconds.
+ */
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+export const hash = (value) => createHash('sha256').update(value).digest('hex').slice(0, 16);
+
+/**
+ * Creates the key under which the response to a request is cached. If the system prompt or the examples change, the key changes too.
+ * @param {string} model
+ * @param {string} system
+ * @param {string} input
+ * @param {object[]} [ examples ]
+ * @param {number} [ sample ] - Additional samples of the same request are cached separately.
+ * @returns {CacheKey}
+ */
+export const createCacheKey = (model, system, input, examples = [], sample = 0) => {
+    return {
+        model,
+        promptHash: hash(system),
+        examplesHash: hash(JSON.stringify(examples ?? [])),
+        input,
+        ...(sample > 0 ? { sample } : {})
+    };
+}
+
+/**
+ * @param {CacheKey} key
+ * @returns {string}
+ */
+const serializeKey = (key) => JSON.stringify([ key.model, key.promptHash, key.examplesHash, key.input, ...(key.sample ? [ key.sample ] : []) ]);
+
+/**
+ * @param {CacheEntry} entry
+ * @returns {boolean}
+ */
+const isExpired = (entry) => config.cacheTtlDays > 0 && Date.now() - entry.createdAt > config.cacheTtlDays * 24 * 60 * 60 * 1000;
+
+/** @type {Map<string, CacheEntry>|null} */
+let entries = null;
+let loadedFile = null;
+
+/**
+ * Loads the cache file into memory the first time the cache is used (or the cache file was changed). Later entries for the same key replace earlier ones.
+ * @returns {Map<string, CacheEntry>}
+ */
+const load = () => {
+    if (entries && loadedFile === config.cacheFile) {
+        return entries;
+    }
+
+    entries = new Map();
+    loadedFile = config.cacheFile;
+    if (config.cacheFile && fs.existsSync(config.cacheFile)) {
+        const lines = fs.readFileSync(config.cacheFile, 'utf-8').split('\n').filter(line => line.trim() !== '');
+        for (const line of lines) {
+            try {
+                const entry = JSON.parse(line);
+                entries.delete(serializeKey(entry));
+                entries.set(serializeKey(entry), entry);
+            } catch (e) {
+                logger.warn(`Skipping invalid line in cache file ${config.cacheFile}`);
+            }
+        }
+        logger.debug(`Loaded ${entries.size} cached responses from ${config.cacheFile}`);
+    }
+
+    return entries;
+}
+
+/**
+ * Writes all entries that are in memory to the cache file, replacing its content.
+ */
+const rewrite = () => {
+    if (!config.cacheFile) {
+        return;
+    }
+
+    fs.mkdirSync(path.dirname(config.cacheFile), { recursive: true });
+    const content = [ ...load().values() ].map(entry => JSON.stringify(entry) + '\n').join('');
+    fs.writeFileSync(config.cacheFile, content);
+}
+
+/**
+ * The share of config.cacheMaxEntries that is kept when the cache outgrows it.
+ */
+const PRUNE_RATIO = 0.9;
+
+/**
+ * Returns the cached response for a request, or undefined if there is none or it has expired.
+ * @param {CacheKey} key
+ * @returns {object|undefined}
+ */
+export const getCachedResponse = (key) => {
+    const entry = load().get(serializeKey(key));
+    if (!entry || isExpired(entry)) {
+        return undefined;
+    }
+
+    return entry.response;
+}
+
+/**
+ * Caches the response to a request in memory and appends it to the cache file.
+ * If the cache grows beyond its size limit, it is pruned.
+ * @param {CacheKey} key
+ * @param {string} system - The system prompt, the beginning of it is stored for inspection.
+ * @param {object} response
+ */
+export const setCachedResponse = (key, system, response) => {
+    const cache = load();
+    const entry = { ...key, prompt: system.slice(0, 80), response, createdAt: Date.now() };
+
+    cache.delete(serializeKey(key));
+    cache.set(serializeKey(key), entry);
+
+    if (config.cacheFile) {
+        fs.mkdirSync(path.dirname(config.cacheFile), { recursive: true });
+        fs.appendFileSync(config.cacheFile, JSON.stringify(entry) + '\n');
+    }
+
+    // pruned below the limit, so the file is not rewritten for every new entry once the cache is full
+    if (config.cacheMaxEntries > 0 && cache.size > config.cacheMaxEntries) {
+        pruneCache(Math.floor(config.cacheMaxEntries * PRUNE_RATIO));
+    }
+}
+
+/**
+ * @typedef {Object} CacheStats
+ * @property {string|null} file
+ * @property {number} entries
+ * @property {number} expired
+ * @property {{ model: string, promptHash: string, prompt: string, entries: number }[]} prompts - The number of entries per model and prompt.
+ * @property {string|null} oldest - ISO timestamp of the oldest entry.
+ * @property {string|null} newest - ISO timestamp of the newest entry.
+ */
+/**
+ * Summarizes what is in the cache.
+ * @returns {CacheStats}
+ */
+export const inspectCache = () => {
+    const values = [ ...load().values() ];
+
+    const prompts = new Map();
+    for (const entry of values) {
+        const id = `${entry.model} ${entry.promptHash}`;
+        const summary = prompts.get(id) || { model: entry.model, promptHash: entry.promptHash, prompt: entry.prompt, entries: 0 };
+        summary.entries++;
+        prompts.set(id, summary);
+    }
+
+    const timestamps = values.map(entry => entry.createdAt);
+
+    return {
+        file: config.cacheFile || null,
+        entries: values.length,
+        expired: values.filter(isExpired).length,
+        prompts: [ ...prompts.values() ],
+        oldest: timestamps.length > 0 ? new Date(Math.min(...timestamps)).toISOString() : null,
+        newest: timestamps.length > 0 ? new Date(Math.max(...timestamps)).toISOString() : null
+    };
+}
+
+/**
+ * Removes expired entries and, if there are more entries than allowed, the oldest ones. The cache file is compacted afterwards.
+ * @param {number} [ maxEntries ] - How many entries are kept at most, 0 keeps all of them.
+ * @returns {number} the number of removed entries
+ */
+export const pruneCache = (maxEntries = config.cacheMaxEntries) => {
+    const cache = load();
+    const before = cache.size;
+
+    for (const [ id, entry ] of cache) {
+        if (isExpired(entry)) {
+            cache.delete(id);
+        }
+    }
+
+    // entries are kept in insertion order, so the oldest ones come first
+    if (maxEntries > 0) {
+        for (const id of [ ...cache.keys() ].slice(0, Math.max(0, cache.size - maxEntries))) {
+            cache.delete(id);
+        }
+    }
+
+    rewrite();
+
+    logger.info(`Pruned ${before - cache.size} entries from the cache`);
+    return before - cache.size;
+}
+
+/**
+ * Removes all entries that match the filter, e.g. after a prompt was changed. An empty filter clears the whole cache.
+ * @param {Object} [ filter ]
+ * @param {string} [ filter.model ] - Only remove entries of this model.
+ * @param {string} [ filter.promptHash ] - Only remove entries of the prompt with this hash (see inspectCache).
+ * @param {string} [ filter.input ] - Only remove entries whose input contains this text.
+ * @returns {number} the number of removed entries
+ */
+export const invalidateCache = (filter = {}) => {
+    const cache = load();
+    const before = cache.size;
+
+    for (const [ id, entry ] of cache) {
+        const matches = (!filter.model || entry.model === filter.model)
+            && (!filter.promptHash || entry.promptHash === filter.promptHash)
+            && (!filter.input || entry.input.includes(filter.input));
+        if (matches) {
+            cache.delete(id);
+        }
+    }
+
+    rewrite();
+
+    logger.info(`Invalidated ${before - cache.size} entries in the cache`);
+    return before - cache.size;
+}
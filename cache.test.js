@@ -0,0 +1,77 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createCacheKey, getCachedResponse, inspectCache, invalidateCache, pruneCache, setCachedResponse } from "./cache";
+import config from "./config";
+
+describe("Persistent response cache", () => {
+
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-cache-'));
+        config.cacheFile = path.join(dir, "cache.jsonl");
+        config.cacheTtlDays = 90;
+        config.cacheMaxEntries = 100;
+    })
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    })
+
+    it("Should keep responses after the cache is loaded again", () => {
+
+        const key = createCacheKey("llama3.2", "Extract the episode", "Show S01E02.mkv", []);
+        setCachedResponse(key, "Extract the episode", { episode: 2 });
+
+        // switching the file and back forces the cache to be read from disk again
+        config.cacheFile = path.join(dir, "other.jsonl");
+        expect(getCachedResponse(key)).toBeUndefined();
+        config.cacheFile = path.join(dir, "cache.jsonl");
+
+        expect(getCachedResponse(key)).toStrictEqual({ episode: 2 });
+
+    })
+
+    it("Should miss when the prompt, the examples or the model change", () => {
+
+        setCachedResponse(createCacheKey("llama3.2", "Extract the episode", "Show S01E02.mkv"), "Extract the episode", { episode: 2 });
+
+        expect(getCachedResponse(createCacheKey("llama3.2", "Extract the episode number", "Show S01E02.mkv"))).toBeUndefined();
+        expect(getCachedResponse(createCacheKey("llama3.2", "Extract the episode", "Show S01E02.mkv", [ { input: "a", output: "b" } ]))).toBeUndefined();
+        expect(getCachedResponse(createCacheKey("qwen2.5", "Extract the episode", "Show S01E02.mkv"))).toBeUndefined();
+
+    })
+
+    it("Should prune the oldest entries and invalidate entries of a prompt", () => {
+
+        config.cacheMaxEntries = 2;
+        for (const episode of [ 1, 2, 3 ]) {
+            setCachedResponse(createCacheKey("llama3.2", "Extract the episode", `Show S01E0${episode}.mkv`), "Extract the episode", { episode });
+        }
+        setCachedResponse(createCacheKey("llama3.2", "Extract the season", "Show S01E03.mkv"), "Extract the season", { season: 1 });
+
+        expect(inspectCache().entries).toBe(2);
+        expect(getCachedResponse(createCacheKey("llama3.2", "Extract the episode", "Show S01E01.mkv"))).toBeUndefined();
+
+        const { promptHash } = createCacheKey("llama3.2", "Extract the season", "");
+        expect(invalidateCache({ promptHash })).toBe(1);
+        expect(pruneCache()).toBe(0);
+        expect(fs.readFileSync(config.cacheFile, "utf-8").trim().split("\n").length).toBe(1);
+
+    })
+
+    it("Should prune below the size limit, so not every new entry rewrites the cache file", () => {
+
+        config.cacheMaxEntries = 10;
+        for (let episode = 1; episode <= 11; episode++) {
+            setCachedResponse(createCacheKey("llama3.2", "Extract the episode", `Show S01E${episode}.mkv`), "Extract the episode", { episode });
+        }
+        expect(inspectCache().entries).toBe(9);
+
+        setCachedResponse(createCacheKey("llama3.2", "Extract the episode", "Show S01E12.mkv"), "Extract the episode", { episode: 12 });
+        expect(inspectCache().entries).toBe(10);
+        expect(fs.readFileSync(config.cacheFile, "utf-8").trim().split("\n").length).toBe(10);
+
+    })
+
+})
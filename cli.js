@@ -0,0 +1,373 @@
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { createRenamePlan, printFoldersWithWrongFormat, printMissingEpisodes, renameFilesInDirectory } from './lib.js';
+import { moveAllFilesToCorrectFolders } from './system.js';
+import { watchFolder } from './watch.js';
+import { startServer } from './server.js';
+import { applyPlan, loadPlan, savePlan } from './plan.js';
+import { listRuns, undoFile, undoRun } from './journal.js';
+import { inspectCache, invalidateCache, pruneCache } from './cache.js';
+import { mapSpecial } from './specials.js';
+import { addAlias, loadAliases } from './aliases.js';
+import { NUMBERING_MODES, setNumbering } from './numbering.js';
+import { auditLibrary, countIssues, describeAudit, saveAuditReport } from './audit.js';
+import config from './config.js';
+
+/**
+ * Exit codes of the CLI, so scripts and cron jobs can react to the outcome.
+ */
+export const EXIT_CODES = {
+    // everything worked
+    success: 0,
+    // the command failed or some of its operations failed
+    failure: 1,
+    // unknown command, option or missing argument
+    usage: 2,
+    // 'check' found folders that are not in the correct format, or 'audit' found problems in the library
+    issues: 3
+};
+
+export const USAGE = `Usage: renamer <command> [options]
+
+Commands:
+  rename <path>                       Rename the files in the folder and its subfolders right away
+  check <path>                        List the folders whose files are not in the correct format
+  audit <path>                        Report naming violations, missing episodes, duplicates and misfiled seasons as HTML and JSON (--report)
+  organize <path>                     Move the files of the folder into 'Series/Season XX' and 'Title (Year)' folders
+  watch <path> <library>              Move finished downloads from the folder into the library, which must be outside of it, until stopped
+  serve                               Start the HTTP API for rename jobs on PORT (default: 3000) until stopped
+  plan <path>                         Write the proposed renames to the plan file without touching anything
+  apply [plan file]                   Execute a saved plan exactly as it is written down
+  undo                                Revert a run (--run) or the last rename of a file (--file), --list lists the runs
+  cache [inspect|prune|invalidate]    Inspect or clean up the response cache
+  special <series> <title> <episode>  Map a special to an episode number of season 0
+  alias [<series> <alias>]            Register another spelling of a series, without arguments the registered aliases are listed
+  numbering <series> <mode> [counts]  Name episodes by absolute numbers in season 1 ('absolute') or by season ('seasonal'), counts are the episodes per season, e.g. 25,12,22,28
+
+Options:
+  --depth <n>           How many levels of subfolders are processed (default: all)
+  --model <name>        The model that is used for all tasks
+  --concurrency <n>     How many files and folders are processed at the same time
+  --format <text|json>  Output format (default: text), logs are written to stderr
+  --plan <file>         The plan file of 'plan' and 'apply' (default: rename-plan.json)
+  --report <file>       The HTML file of 'audit', the JSON is saved next to it (default: audit-report.html)
+  --run <id>            The run to undo
+  --file <path>         The file to undo
+  --list                List the runs instead of undoing one
+  --prompt-hash <hash>  Only invalidate cached responses of this prompt
+  --input <input>       Only invalidate cached responses to this input
+  -h, --help            Show this help
+
+Exit codes: 0 success, 1 failure, 2 invalid usage, 3 'check' found folders in the wrong format or 'audit' found problems`;
+
+const OPTIONS = {
+    depth: { type: 'string' },
+    model: { type: 'string' },
+    concurrency: { type: 'string' },
+    format: { type: 'string', default: 'text' },
+    plan: { type: 'string', default: 'rename-plan.json' },
+    report: { type: 'string', default: 'audit-report.html' },
+    run: { type: 'string' },
+    file: { type: 'string' },
+    list: { type: 'boolean', default: false },
+    'prompt-hash': { type: 'string' },
+    input: { type: 'string' },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Thrown for invalid arguments, the CLI prints the usage and exits with EXIT_CODES.usage.
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * @param {string|undefined} value
+ * @param {string} name - The option, used in the error message.
+ * @returns {number|undefined}
+ */
+const parsePositiveInteger = (value, name) => {
+    if (value === undefined) {
+        return undefined;
+    }
+    if (!/^\d+$/.test(value)) {
+        throw new UsageError(`--${name} must be a number, got ${value}`);
+    }
+
+    return parseInt(value);
+}
+
+/**
+ * @param {string|undefined} folder
+ * @param {string} command
+ * @returns {string}
+ */
+const requireFolder = (folder, command) => {
+    if (!folder) {
+        throw new UsageError(`${command} needs a path`);
+    }
+    if (!fs.existsSync(folder) || !fs.statSync(folder).isDirectory()) {
+        throw new Error(`${folder} is not a folder`);
+    }
+
+    return folder;
+}
+
+/**
+ * Prints the result of a command: the data as JSON, or the lines of text.
+ * @param {'text'|'json'} format
+ * @param {*} data
+ * @param {string[]} lines
+ */
+const print = (format, data, lines) => {
+    if (format === 'json') {
+        console.log(JSON.stringify(data, null, 2));
+    } else if (lines.length > 0) {
+        console.log(lines.join('\n'));
+    }
+}
+
+/**
+ * @param {import('./plan.js').OperationResult[]} results
+ * @returns {string[]}
+ */
+const describeResults = (results) => results.map(({ operation, status, error }) => status === 'renamed' ? `${operation.from} -> ${operation.to}` : `FAILED ${operation.from}: ${error}`);
+
+/**
+ * @param {{ status: string }[]} results
+ * @returns {number}
+ */
+const exitCodeOf = (results) => results.some(result => result.status === 'failed') ? EXIT_CODES.failure : EXIT_CODES.success;
+
+/**
+ * Runs a command of the CLI.
+ * @param {string[]} argv - The arguments without 'node' and the script, e.g. [ 'rename', '/media/series', '--depth', '1' ].
+ * @returns {Promise<number>} the exit code
+ */
+export const main = async (argv) => {
+    let values;
+    let positionals;
+    try {
+        ({ values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true }));
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return EXIT_CODES.usage;
+    }
+
+    const [ command, ...args ] = positionals;
+    if (values.help || !command) {
+        (values.help ? console.log : console.error)(USAGE);
+        return values.help ? EXIT_CODES.success : EXIT_CODES.usage;
+    }
+
+    try {
+
+        if (![ 'text', 'json' ].includes(values.format)) {
+            throw new UsageError(`--format must be text or json, got ${values.format}`);
+        }
+        const format = values.format;
+
+        // the options are settings shared by all modules
+        config.maxDepth = parsePositiveInteger(values.depth, 'depth') ?? config.maxDepth;
+        config.concurrency = parsePositiveInteger(values.concurrency, 'concurrency') ?? config.concurrency;
+        if (values.model) {
+            config.model = values.model;
+            config.models = {};
+        }
+
+        switch (command) {
+            case 'rename': {
+                const folder = requireFolder(args[0], command);
+                const results = await renameFilesInDirectory(folder);
+                const missing = await printMissingEpisodes(folder);
+                print(format, { results, missing }, describeResults(results));
+                return exitCodeOf(results);
+            }
+            case 'check': {
+                const folders = await printFoldersWithWrongFormat(requireFolder(args[0], command));
+                print(format, { folders }, folders);
+                return folders.length > 0 ? EXIT_CODES.issues : EXIT_CODES.success;
+            }
+            case 'audit': {
+                const report = await auditLibrary(requireFolder(args[0], command));
+                const files = saveAuditReport(report, values.report);
+                print(format, { report, files }, describeAudit(report));
+                return countIssues(report) > 0 ? EXIT_CODES.issues : EXIT_CODES.success;
+            }
+            case 'organize': {
+                const results = await moveAllFilesToCorrectFolders(requireFolder(args[0], command));
+                print(format, { results }, describeResults(results));
+                return exitCodeOf(results);
+            }
+            case 'watch': {
+                const incoming = requireFolder(args[0], command);
+                if (!args[1]) {
+                    throw new UsageError('watch needs a library folder');
+                }
+                const library = requireFolder(args[1], command);
+                // moved files would be found as new downloads again
+                const relative = path.relative(path.resolve(incoming), path.resolve(library));
+                if (!relative || (!relative.startsWith('..') && !path.isAbsolute(relative))) {
+                    throw new UsageError(`The library ${library} must not be the watched folder or inside it`);
+                }
+
+                const controller = new AbortController();
+                const stop = () => controller.abort();
+                process.once('SIGINT', stop);
+                process.once('SIGTERM', stop);
+                try {
+                    await watchFolder(incoming, library, { signal: controller.signal, onResults: results => print(format, { results }, describeResults(results)) });
+                } finally {
+                    process.off('SIGINT', stop);
+                    process.off('SIGTERM', stop);
+                }
+                return EXIT_CODES.success;
+            }
+            case 'serve': {
+                const server = await startServer();
+                await new Promise(resolve => {
+                    const stop = () => {
+                        process.off('SIGINT', stop);
+                        process.off('SIGTERM', stop);
+                        server.close(resolve);
+                    };
+                    process.once('SIGINT', stop);
+                    process.once('SIGTERM', stop);
+                });
+                return EXIT_CODES.success;
+            }
+            case 'plan': {
+                const folder = requireFolder(args[0], command);
+                const plan = await createRenamePlan(folder);
+                savePlan(plan, values.plan);
+                const missing = await printMissingEpisodes(folder);
+                print(format, { plan, missing }, [
+                    ...plan.operations.map(operation => `${operation.from} -> ${operation.to}`),
+                    ...plan.review.filter(operation => !operation.sidecarOf).map(operation => `REVIEW ${operation.from} -> ${operation.to} (confidence ${operation.confidence}: ${operation.doubts.join(', ')})`)
+                ]);
+                return EXIT_CODES.success;
+            }
+            case 'apply': {
+                const results = applyPlan(loadPlan(args[0] || values.plan));
+                print(format, { results }, describeResults(results));
+                return exitCodeOf(results);
+            }
+            case 'undo': {
+                if (values.list) {
+                    const runs = listRuns();
+                    print(format, { runs }, runs.map(run => `${run.timestamp} ${run.runId} ${run.kind} ${run.root || run.file || ''}`));
+                    return EXIT_CODES.success;
+                }
+                if (!values.run && !values.file) {
+                    throw new UsageError('undo needs --run, --file or --list');
+                }
+                const results = values.file ? undoFile(values.file) : undoRun(values.run);
+                print(format, { results }, results.map(({ entry, status, error }) => `${status === 'reverted' ? 'REVERTED' : 'FAILED'} ${entry.type} ${entry.to || entry.path}${error ? `: ${error}` : ''}`));
+                return exitCodeOf(results);
+            }
+            case 'cache': {
+                const action = args[0] || 'inspect';
+                if (action === 'inspect') {
+                    const stats = inspectCache();
+                    print(format, stats, [ JSON.stringify(stats, null, 2) ]);
+                } else if (action === 'prune') {
+                    const removed = pruneCache();
+                    print(format, { removed }, [ `Removed ${removed} cached responses` ]);
+                } else if (action === 'invalidate') {
+                    const removed = invalidateCache({ model: values.model, promptHash: values['prompt-hash'], input: values.input });
+                    print(format, { removed }, [ `Removed ${removed} cached responses` ]);
+                } else {
+                    throw new UsageError(`Unknown cache command: ${action}`);
+                }
+                return EXIT_CODES.success;
+            }
+            case 'special': {
+                const [ series, key, episode ] = args;
+                if (!series || !key || episode === undefined) {
+                    throw new UsageError('special needs a series, a title or file name and an episode number');
+                }
+                mapSpecial(series, key, parsePositiveInteger(episode, 'episode'));
+                return EXIT_CODES.success;
+            }
+            case 'alias': {
+                const [ series, alias ] = args;
+                if (series === undefined && alias === undefined) {
+                    const aliases = loadAliases();
+                    print(format, aliases, Object.entries(aliases).map(([ name, names ]) => `${name}: ${names.join(', ')}`));
+                    return EXIT_CODES.success;
+                }
+                if (!series || !alias) {
+                    throw new UsageError('alias needs a series and another spelling of it');
+                }
+                addAlias(series, alias);
+                return EXIT_CODES.success;
+            }
+            case 'numbering': {
+                const [ series, mode, counts ] = args;
+                if (!series || !NUMBERING_MODES.includes(mode)) {
+                    throw new UsageError(`numbering needs a series and one of the modes ${NUMBERING_MODES.join(', ')}`);
+                }
+                setNumbering(series, mode, counts ? counts.split(',').map(count => parsePositiveInteger(count.trim(), 'counts')) : undefined);
+                return EXIT_CODES.success;
+            }
+            default:
+                throw new UsageError(`Unknown command: ${command}`);
+        }
+
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`${error.message}\n\n${USAGE}`);
+            return EXIT_CODES.usage;
+        }
+        console.error(error.message);
+        return EXIT_CODES.failure;
+    }
+}
+
+/**
+ * Translates the environment variables of the Docker setup (MODE, FOLDER, LIBRARY_FOLDER, PLAN_FILE, REPORT_FILE, RUN_ID, UNDO_FILE, CACHE_COMMAND, ALIAS_SERIES, ...) into arguments of the CLI.
+ * The folder is FOLDER inside '/rename', where the library is mounted.
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {string[]} argv
+ */
+export const argsFromEnvironment = (env) => {
+    const folder = path.join('/rename', env.FOLDER || '');
+    const plan = env.PLAN_FILE ? [ '--plan', env.PLAN_FILE ] : [];
+
+    switch (env.MODE || 'rename') {
+        case 'plan':
+            return [ 'plan', folder, ...plan ];
+        case 'apply':
+            return [ 'apply', ...plan ];
+        case 'runs':
+            return [ 'undo', '--list' ];
+        case 'undo':
+            return env.UNDO_FILE ? [ 'undo', '--file', env.UNDO_FILE ] : [ 'undo', '--run', env.RUN_ID || '' ];
+        case 'cache':
+            return [
+                'cache', env.CACHE_COMMAND || 'inspect',
+                ...(env.CACHE_MODEL ? [ '--model', env.CACHE_MODEL ] : []),
+                ...(env.CACHE_PROMPT_HASH ? [ '--prompt-hash', env.CACHE_PROMPT_HASH ] : []),
+                ...(env.CACHE_INPUT ? [ '--input', env.CACHE_INPUT ] : [])
+            ];
+        case 'serve':
+            return [ 'serve' ];
+        case 'watch':
+            return [ 'watch', folder, ...(env.LIBRARY_FOLDER ? [ path.join('/rename', env.LIBRARY_FOLDER) ] : []) ];
+        case 'special':
+            return [ 'special', env.SPECIAL_SERIES || '', env.SPECIAL_KEY || '', env.SPECIAL_EPISODE || '' ];
+        case 'alias':
+            return env.ALIAS_SERIES || env.ALIAS_NAME ? [ 'alias', env.ALIAS_SERIES || '', env.ALIAS_NAME || '' ] : [ 'alias' ];
+        case 'audit':
+            return [ 'audit', folder, ...(env.REPORT_FILE ? [ '--report', env.REPORT_FILE ] : []) ];
+        case 'numbering':
+            return [ 'numbering', env.NUMBERING_SERIES || '', env.NUMBERING_MODE || '', ...(env.NUMBERING_EPISODES ? [ env.NUMBERING_EPISODES ] : []) ];
+        default:
+            return [ env.MODE || 'rename', folder ];
+    }
+}
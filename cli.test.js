@@ -0,0 +1,106 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { argsFromEnvironment, EXIT_CODES, main } from "./cli";
+import { setProvider } from "./providers";
+import config from "./config";
+
+describe("CLI", () => {
+
+    let dir;
+    let output;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-cli-'));
+        config.cacheFile = "";
+        config.journalFile = path.join(dir, "journal.jsonl");
+        setProvider({ name: "Test", chat: async () => { throw new Error("The LLM should not be asked"); } });
+
+        fs.mkdirSync(path.join(dir, "Show", "Season 01"), { recursive: true });
+        fs.writeFileSync(path.join(dir, "Show", "Season 01", "Show.S01E01.1080p.WEB-DL.mkv"), "");
+
+        output = [];
+        jest.spyOn(console, 'log').mockImplementation(message => output.push(message));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    })
+    afterEach(() => {
+        jest.restoreAllMocks();
+        setProvider(null);
+        config.maxDepth = Infinity;
+        fs.rmSync(dir, { recursive: true, force: true });
+    })
+
+    it("Should exit with the usage code for invalid arguments", async () => {
+
+        expect(await main([ "--help" ])).toBe(EXIT_CODES.success);
+        expect(await main([])).toBe(EXIT_CODES.usage);
+        expect(await main([ "unknown" ])).toBe(EXIT_CODES.usage);
+        expect(await main([ "rename" ])).toBe(EXIT_CODES.usage);
+        expect(await main([ "rename", dir, "--unknown" ])).toBe(EXIT_CODES.usage);
+        expect(await main([ "rename", dir, "--depth", "all" ])).toBe(EXIT_CODES.usage);
+        expect(await main([ "rename", dir, "--format", "xml" ])).toBe(EXIT_CODES.usage);
+        expect(await main([ "rename", path.join(dir, "missing") ])).toBe(EXIT_CODES.failure);
+        expect(await main([ "watch", dir ])).toBe(EXIT_CODES.usage);
+        expect(await main([ "watch", dir, dir ])).toBe(EXIT_CODES.usage);
+        expect(await main([ "watch", dir, path.join(dir, "Show") ])).toBe(EXIT_CODES.usage);
+
+    })
+
+    it("Should report folders in the wrong format and respect the depth", async () => {
+
+        expect(await main([ "check", dir, "--format", "json" ])).toBe(EXIT_CODES.issues);
+        expect(JSON.parse(output.pop())).toStrictEqual({ folders: [ path.join(dir, "Show", "Season 01") ] });
+
+        expect(await main([ "check", dir, "--depth", "1" ])).toBe(EXIT_CODES.success);
+
+    })
+
+    it("Should save the audit report and exit with the issues code", async () => {
+
+        const report = path.join(dir, "reports", "audit.html");
+
+        expect(await main([ "audit", path.join(dir, "Show"), "--report", report ])).toBe(EXIT_CODES.issues);
+        expect(output.pop()).toBe(`NAMING ${path.join(dir, "Show", "Season 01", "Show.S01E01.1080p.WEB-DL.mkv")} (should be Show S01E01.mkv)`);
+        expect(fs.readFileSync(report, 'utf-8')).toContain("<!DOCTYPE html>");
+        expect(JSON.parse(fs.readFileSync(path.join(dir, "reports", "audit.json"), 'utf-8')).summary).toMatchObject({ files: 1, namingViolations: 1 });
+
+        fs.renameSync(path.join(dir, "Show", "Season 01", "Show.S01E01.1080p.WEB-DL.mkv"), path.join(dir, "Show", "Season 01", "Show S01E01.mkv"));
+        expect(await main([ "audit", path.join(dir, "Show"), "--report", report ])).toBe(EXIT_CODES.success);
+
+    })
+
+    it("Should plan, apply and undo renames", async () => {
+
+        const planFile = path.join(dir, "plan.json");
+
+        expect(await main([ "plan", dir, "--plan", planFile, "--format", "json" ])).toBe(EXIT_CODES.success);
+        expect(JSON.parse(output.pop()).plan.operations.map(operation => path.basename(operation.to))).toStrictEqual([ "Show S01E01.mkv" ]);
+
+        expect(await main([ "apply", planFile ])).toBe(EXIT_CODES.success);
+        expect(fs.readdirSync(path.join(dir, "Show", "Season 01"))).toStrictEqual([ "Show S01E01.mkv" ]);
+
+        expect(await main([ "undo", "--file", path.join(dir, "Show", "Season 01", "Show S01E01.mkv") ])).toBe(EXIT_CODES.success);
+        expect(fs.readdirSync(path.join(dir, "Show", "Season 01"))).toStrictEqual([ "Show.S01E01.1080p.WEB-DL.mkv" ]);
+
+        expect(await main([ "apply", path.join(dir, "missing.json") ])).toBe(EXIT_CODES.failure);
+
+    })
+
+    it("Should translate the environment of the Docker setup", () => {
+
+        expect(argsFromEnvironment({ FOLDER: "Movies/series/Family Guy" })).toStrictEqual([ "rename", "/rename/Movies/series/Family Guy" ]);
+        expect(argsFromEnvironment({ MODE: "plan", FOLDER: "Movies", PLAN_FILE: "plan.json" })).toStrictEqual([ "plan", "/rename/Movies", "--plan", "plan.json" ]);
+        expect(argsFromEnvironment({ MODE: "undo", RUN_ID: "abc" })).toStrictEqual([ "undo", "--run", "abc" ]);
+        expect(argsFromEnvironment({ MODE: "cache", CACHE_COMMAND: "invalidate", CACHE_MODEL: "llama3.2" })).toStrictEqual([ "cache", "invalidate", "--model", "llama3.2" ]);
+        expect(argsFromEnvironment({ MODE: "watch", FOLDER: "Downloads", LIBRARY_FOLDER: "Movies/series" })).toStrictEqual([ "watch", "/rename/Downloads", "/rename/Movies/series" ]);
+        expect(argsFromEnvironment({ MODE: "watch", FOLDER: "Downloads" })).toStrictEqual([ "watch", "/rename/Downloads" ]);
+        expect(argsFromEnvironment({ MODE: "serve" })).toStrictEqual([ "serve" ]);
+        expect(argsFromEnvironment({ MODE: "audit", FOLDER: "Movies/series", REPORT_FILE: "/rename/audit.html" })).toStrictEqual([ "audit", "/rename/Movies/series", "--report", "/rename/audit.html" ]);
+        expect(argsFromEnvironment({ MODE: "alias", ALIAS_SERIES: "Attack on Titan", ALIAS_NAME: "AoT" })).toStrictEqual([ "alias", "Attack on Titan", "AoT" ]);
+        expect(argsFromEnvironment({ MODE: "alias" })).toStrictEqual([ "alias" ]);
+        expect(argsFromEnvironment({ MODE: "numbering", NUMBERING_SERIES: "Attack on Titan", NUMBERING_MODE: "seasonal", NUMBERING_EPISODES: "25,12,22,28" })).toStrictEqual([ "numbering", "Attack on Titan", "seasonal", "25,12,22,28" ]);
+
+    })
+
+})
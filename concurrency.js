@@ -0,0 +1,55 @@
+/**
+ * Creates a function that runs the tasks passed to it, but never more than the given number at the same time. The other tasks wait in order.
+ * @param {number} concurrency
+ * @returns {<T>(task: () => Promise<T>) => Promise<T>} limit
+ */
+export const createLimiter = (concurrency) => {
+    let active = 0;
+    const queue = [];
+
+    const next = () => {
+        if (active >= Math.max(1, concurrency) || queue.length === 0) {
+            return;
+        }
+
+        active++;
+        const { task, resolve, reject } = queue.shift();
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    }
+
+    return (task) => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
+}
+
+/**
+ * Like Promise.all(items.map(fn)), but only the given number of items are processed at the same time. The results keep the order of the items.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} concurrency
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>} results
+ */
+export const mapWithConcurrency = async (items, concurrency, fn) => {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    const workers = Array.from({ length: Math.min(Math.max(1, concurrency), items.length) }, worker);
+    await Promise.all(workers);
+
+    return results;
+}
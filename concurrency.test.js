@@ -0,0 +1,90 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLimiter, mapWithConcurrency } from "./concurrency";
+import { planRenameFilesInDirectory } from "./lib";
+import { setProvider } from "./providers";
+import config from "./config";
+
+/**
+ * @param {number} ms
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe("Bounded concurrency", () => {
+
+    it("Should never run more tasks at the same time than allowed", async () => {
+
+        const limit = createLimiter(2);
+        let active = 0;
+        let maxActive = 0;
+
+        const results = await Promise.all([ 1, 2, 3, 4, 5 ].map(value => limit(async () => {
+            active++;
+            maxActive = Math.max(maxActive, active);
+            await sleep(5);
+            active--;
+            return value * 2;
+        })));
+
+        expect(results).toStrictEqual([ 2, 4, 6, 8, 10 ]);
+        expect(maxActive).toBe(2);
+
+    })
+
+    it("Should keep the order of the items", async () => {
+
+        const results = await mapWithConcurrency([ 30, 10, 20 ], 3, async (ms) => {
+            await sleep(ms);
+            return ms;
+        });
+
+        expect(results).toStrictEqual([ 30, 10, 20 ]);
+
+    })
+
+})
+
+describe("Planning with bounded concurrency", () => {
+
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-concurrency-'));
+        config.cacheFile = "";
+    })
+    afterEach(() => {
+        setProvider(null);
+        config.concurrency = 4;
+        config.llmConcurrency = 2;
+        fs.rmSync(dir, { recursive: true, force: true });
+    })
+
+    it("Should not ask the LLM for more files at the same time than allowed, no matter how deep the folders are", async () => {
+
+        for (const folder of [ "A", "B", path.join("B", "C"), "D" ]) {
+            fs.mkdirSync(path.join(dir, folder), { recursive: true });
+            for (const file of [ "first.mkv", "second.mkv", "third.mkv" ]) {
+                fs.writeFileSync(path.join(dir, folder, file), "");
+            }
+        }
+        config.concurrency = 2;
+        config.llmConcurrency = 10;
+        let active = 0;
+        let maxActive = 0;
+        setProvider({ name: "Test", chat: async () => {
+            active++;
+            maxActive = Math.max(maxActive, active);
+            await sleep(5);
+            active--;
+            return JSON.stringify({ classification: "Episode", series: "Show", season: 1, episode: 1, lastEpisode: null, year: null, title: null, airDate: null });
+        } });
+
+        const operations = await planRenameFilesInDirectory(dir);
+
+        expect(operations.map(operation => operation.from)).toStrictEqual([ "A", "B", path.join("B", "C"), "D" ].flatMap(folder => [ "first.mkv", "second.mkv", "third.mkv" ].map(file => path.join(dir, folder, file))));
+        expect(maxActive).toBe(2);
+
+    })
+
+})
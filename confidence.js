@@ -0,0 +1,140 @@
+import { getExtension, parseSeasonFromFolders, VIDEO_EXTENSIONS } from './parser.js'
+import { normalizeName } from './metadata.js'
+import config from './config.js'
+
+/**
+ * @typedef {Object} Vote
+ * @property {object} answer - The first answer of the majority.
+ * @property {number} agreement - The share of all samples that gave the answer of the majority, from 0 to 1.
+ */
+/**
+ * @typedef {Object} Confidence
+ * @property {number} confidence - How much the details can be trusted, from 0 to 1.
+ * @property {string[]} doubts - Why the confidence is lower than 1.
+ */
+
+/**
+ * Picks the answer most samples agree on. Answers are compared by their classification, series, season, episodes and air date, the year and title don't count.
+ * @param {(object|null)[]} samples - The answers of the model, null for samples that failed.
+ * @returns {Vote}
+ */
+export const voteOnSamples = (samples) => {
+    const groups = new Map();
+    for (const answer of samples.filter(Boolean)) {
+        const key = JSON.stringify([ answer.classification, normalizeName(answer.series || ''), answer.season, answer.episode, answer.lastEpisode, answer.airDate ?? null ]);
+        groups.set(key, [ ...(groups.get(key) || []), answer ]);
+    }
+
+    // the first group with the most answers wins, so the regular answer wins ties
+    const majority = [ ...groups.values() ].reduce((best, group) => group.length > best.length ? group : best, []);
+    if (majority.length === 0) {
+        throw new Error('None of the samples was answered');
+    }
+
+    return { answer: majority[0], agreement: majority.length / samples.length };
+}
+
+/**
+ * Whether a video is too short to be an episode or movie, e.g. a sample, trailer or credits.
+ * @param {string} classification
+ * @param {number|null|undefined} duration - In seconds, unknown durations are never too short.
+ * @returns {boolean}
+ */
+const isTooShort = (classification, duration) => (classification === 'Episode' || classification === 'Movie') && typeof duration === 'number' && duration < config.minEpisodeSeconds;
+
+/**
+ * @param {number} duration
+ * @returns {string}
+ */
+const describeShortDuration = (duration) => `the video is only ${Math.round(duration)} seconds long, it might be a sample, trailer or credits`;
+
+/**
+ * Scores an answer of the file name parser, it is only doubted if the video is too short for an episode or movie (see config.minEpisodeSeconds).
+ * @param {string} classification
+ * @param {number|null} [ duration ] - The duration of the video in seconds, if it is known.
+ * @returns {Confidence}
+ */
+export const scoreDuration = (classification, duration) => isTooShort(classification, duration)
+    ? { confidence: 0.5, doubts: [ describeShortDuration(duration) ] }
+    : { confidence: 1, doubts: [] };
+
+/**
+ * Scores an answer of the model by how many samples agree with it and by cross-checking it with the folders, the rule-based file name parser
+ * and the metadata embedded in the container.
+ * @param {string} filePath
+ * @param {object} answer - The answer of the model (see schemas.extraction).
+ * @param {import('./parser.js').ParsedFileName} parsed - What the file name parser found.
+ * @param {number} [ agreement ] - The share of the samples that agree with the answer.
+ * @param {import('./media.js').MediaInfo|null} [ media ] - The metadata of the container, if it could be read.
+ * @returns {Confidence}
+ */
+export const scoreAnswer = (filePath, answer, parsed, agreement = 1, media = null) => {
+    let confidence = agreement;
+    const doubts = [];
+    const doubt = (factor, reason) => {
+        confidence *= factor;
+        doubts.push(reason);
+    }
+
+    if (agreement < 1) {
+        doubts.push(`only ${Math.round(agreement * 100)}% of the samples agree`);
+    }
+
+    // the parser wins over the model, but a contradiction means the model misunderstood the path
+    for (const field of [ 'series', 'season', 'episode' ]) {
+        if (parsed[field] === undefined || answer[field] === null) {
+            continue;
+        }
+        const contradicts = field === 'series' ? normalizeName(answer.series) !== normalizeName(parsed.series) : answer[field] !== parsed[field];
+        if (contradicts) {
+            doubt(0.8, `the model answered ${field} ${answer[field]}, the file name says ${parsed[field]}`);
+        }
+    }
+
+    const isVideo = VIDEO_EXTENSIONS.includes(getExtension(filePath));
+    const series = parsed.series ?? answer.series;
+    const season = parsed.season ?? answer.season;
+    const episode = parsed.episode ?? answer.episode;
+
+    if (answer.classification === 'Episode' || answer.classification === 'Special') {
+        // the embedded show counts as much as the path
+        if (series && ![ filePath, media?.show || '' ].some(source => normalizeName(source).includes(normalizeName(series)))) {
+            doubt(0.7, `the series ${series} is not part of the path`);
+        }
+        const folderSeason = parseSeasonFromFolders(filePath);
+        if (answer.classification === 'Episode' && folderSeason !== undefined && season !== null && folderSeason !== season) {
+            doubt(0.5, `season ${season} differs from the season folder (${folderSeason})`);
+        }
+        if (answer.classification === 'Episode' && episode === null && !parsed.airDate && !answer.airDate) {
+            doubt(0.5, 'no episode number was found');
+        }
+    } else if (answer.classification === 'Movie' && parsed.episode !== undefined) {
+        doubt(0.5, 'the file name has an episode number');
+    } else if (answer.classification === 'Unrelated' && isVideo) {
+        doubt(0.5, 'a video file was classified as unrelated');
+    }
+    if (isTooShort(answer.classification, media?.duration)) {
+        doubt(0.5, describeShortDuration(media.duration));
+    }
+
+    return { confidence: Math.round(confidence * 100) / 100, doubts };
+}
+
+/**
+ * Splits operations into the ones that are confident enough to be applied and the ones that need a review first. Sidecar files follow their video.
+ * Operations without a confidence are always applied.
+ * @param {import('./plan.js').Operation[]} operations
+ * @param {number} [ threshold ] - Defaults to config.confidenceThreshold.
+ * @returns {{ operations: import('./plan.js').Operation[], review: import('./plan.js').Operation[] }}
+ */
+export const splitByConfidence = (operations, threshold = config.confidenceThreshold) => {
+    const doubtful = new Set(operations
+        .filter(operation => !operation.sidecarOf && operation.confidence !== undefined && operation.confidence < threshold)
+        .map(operation => operation.from));
+    const needsReview = (operation) => doubtful.has(operation.sidecarOf || operation.from);
+
+    return {
+        operations: operations.filter(operation => !needsReview(operation)),
+        review: operations.filter(needsReview)
+    };
+}
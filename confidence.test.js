@@ -0,0 +1,96 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { scoreAnswer, splitByConfidence, voteOnSamples } from "./confidence";
+import { createRenamePlan, extractDetails } from "./lib";
+import { setProvider } from "./providers";
+import config from "./config";
+
+const answer = (fields) => ({ classification: "Episode", series: null, season: null, episode: null, lastEpisode: null, year: null, title: null, ...fields });
+
+describe("Confidence", () => {
+
+    beforeEach(() => {
+        config.cacheFile = "";
+    })
+    afterEach(() => {
+        setProvider(null);
+        config.votingSamples = 1;
+        config.confidenceThreshold = 0.5;
+    })
+
+    it("Should pick the answer most samples agree on", () => {
+
+        const regular = answer({ series: "Some Show", season: 1, episode: 3 });
+        const samples = [ regular, answer({ series: "some.show", season: 1, episode: 3, title: "Other" }), answer({ series: "Some Show", season: 1, episode: 4 }), null ];
+
+        expect(voteOnSamples(samples)).toStrictEqual({ answer: regular, agreement: 0.5 });
+        expect(() => voteOnSamples([ null ])).toThrow("None of the samples");
+
+    })
+
+    it("Should lower the confidence if the answer contradicts the path", () => {
+
+        expect(scoreAnswer("Some Show/Season 01/Some Show Episode 3.mkv", answer({ series: "Some Show", season: 1, episode: 3 }), {})).toStrictEqual({ confidence: 1, doubts: [] });
+
+        const { confidence, doubts } = scoreAnswer("Some Show/Season 01/Episode 3.mkv", answer({ series: "Other Show", season: 2, episode: 3 }), { episode: 3 }, 2 / 3);
+        expect(confidence).toBe(0.23);
+        expect(doubts).toStrictEqual([ "only 67% of the samples agree", "the series Other Show is not part of the path", "season 2 differs from the season folder (1)" ]);
+
+        expect(scoreAnswer("Downloads/Some Show 05.mkv", answer({ classification: "Unrelated" }), {}).confidence).toBe(0.5);
+
+    })
+
+    it("Should put doubtful operations and their sidecars on the review list", () => {
+
+        const operations = [
+            { from: "a.mkv", to: "A.mkv", confidence: 0.9 },
+            { from: "b.mkv", to: "B.mkv", confidence: 0.2 },
+            { from: "b.srt", to: "B.srt", sidecarOf: "b.mkv" },
+            { from: "c.mkv", to: "C.mkv" }
+        ];
+
+        const { operations: confident, review } = splitByConfidence(operations, 0.5);
+        expect(confident.map(operation => operation.from)).toStrictEqual([ "a.mkv", "c.mkv" ]);
+        expect(review.map(operation => operation.from)).toStrictEqual([ "b.mkv", "b.srt" ]);
+
+    })
+
+    it("Should ask for several samples and vote on them", async () => {
+
+        config.votingSamples = 3;
+        const temperatures = [];
+        setProvider({
+            name: "Test",
+            chat: async ({ temperature }) => {
+                temperatures.push(temperature);
+                return JSON.stringify(answer({ series: "Voting Show", season: 1, episode: temperatures.length === 3 ? 9 : 2 }));
+            }
+        });
+
+        const extraction = await extractDetails("Downloads/Voting Show Episode Two.mkv");
+        expect(extraction).toMatchObject({ series: "Voting Show", episode: 2, confidence: 0.67, doubts: [ "only 67% of the samples agree" ] });
+                expect(temperatures.filter(temperature => temperature === undefined).length).toBe(1);
+
+    })
+
+    it("Should not rename files below the threshold", async () => {
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-confidence-'));
+        fs.mkdirSync(path.join(dir, "Season 02"));
+        fs.writeFileSync(path.join(dir, "Season 02", "Threshold Show Pilot.mkv"), "");
+        setProvider({ name: "Test", chat: async () => JSON.stringify(answer({ series: "Threshold Show", season: 1, episode: 1 })) });
+
+        config.confidenceThreshold = 0.6;
+        const plan = await createRenamePlan(dir);
+        expect(plan.operations).toStrictEqual([]);
+        expect(plan.review).toMatchObject([ { from: path.join(dir, "Season 02", "Threshold Show Pilot.mkv"), confidence: 0.5 } ]);
+
+        config.confidenceThreshold = 0.5;
+        expect((await createRenamePlan(dir)).operations.length).toBe(1);
+
+        fs.rmSync(dir, { recursive: true, force: true });
+
+    })
+
+})
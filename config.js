@@ -0,0 +1,75 @@
+/**
+ * Settings shared by all modules. The defaults come from the environment, but they can be changed at runtime before the work starts.
+ */
+const config = {
+    // 'ollama', 'openai' (any OpenAI-compatible chat endpoint like llama.cpp server, vLLM or LM Studio) or 'mock'
+    provider: process.env.LLM_PROVIDER || 'ollama',
+    // The URL of the Ollama server or the base URL of the OpenAI-compatible API (e.g. 'http://localhost:8080/v1')
+    llmHost: process.env.LLM_HOST || process.env.OLLAMA_HOST || 'http://localhost:11434',
+    llmApiKey: process.env.LLM_API_KEY,
+    // The model that is used unless a different one is configured for the task
+    model: process.env.LLM_MODEL || 'llama3.2',
+    models: {
+        classification: process.env.LLM_MODEL_CLASSIFICATION,
+        extraction: process.env.LLM_MODEL_EXTRACTION,
+    },
+    // JSON file with the answers of the mock provider by input
+    mockResponsesFile: process.env.MOCK_RESPONSES_FILE,
+    // 'jellyfin', 'plex' or 'kodi', selects the built-in naming template for episodes (see template.js)
+    namingPreset: process.env.NAMING_PRESET || 'jellyfin',
+    // Custom naming template for episodes, e.g. '{series} ({year})/Season {season:02}/{series} S{season:02}E{episode:02}[ - {title}]', overrides the preset
+    namingTemplate: process.env.NAMING_TEMPLATE,
+    // Custom naming template for date-based episodes of daily and talk shows, e.g. '{series}/Season {season}/{series} {airDate}', overrides the date variant of the preset
+    dateNamingTemplate: process.env.DATE_NAMING_TEMPLATE,
+    // 'none' or 'local' (a JSON or CSV dump in METADATA_FILE), used for canonical series names, years and episode titles
+    metadataProvider: process.env.METADATA_PROVIDER || 'none',
+    metadataFile: process.env.METADATA_FILE,
+    // What happens if files would get the same name: 'skip', 'keep-both', 'keep-larger' or 'quarantine' (see conflicts.js)
+    conflictPolicy: process.env.CONFLICT_POLICY || 'skip',
+    // Where losing files of conflicts are moved, by default '.quarantine' inside the folder that is renamed
+    quarantineDir: process.env.QUARANTINE_DIR,
+    // Movies found inside series folders are moved here, by default they are moved next to the series folder
+    moviesDir: process.env.MOVIES_DIR,
+    // JSON file that maps specials to episode numbers of 'Season 00' by series and title or file name
+    specialsFile: process.env.SPECIALS_FILE || 'data/specials.json',
+    // JSON file that maps canonical series names to their other spellings, an empty value disables the alias registry
+    aliasesFile: process.env.ALIASES_FILE ?? 'data/aliases.json',
+    // JSON file with the numbering mode and the episode counts of the seasons of series, e.g. anime with absolute episode numbers
+    numberingFile: process.env.NUMBERING_FILE ?? 'data/numbering.json',
+    // How absolute episode numbers are named unless the numbering file says otherwise: 'seasonal' converts them to SxxEyy, 'absolute' keeps them
+    absoluteNumbering: process.env.ABSOLUTE_NUMBERING || 'seasonal',
+    // How many requests are sent to the LLM provider at the same time
+    llmConcurrency: parseInt(process.env.LLM_CONCURRENCY || '2'),
+    // How many levels of subfolders are processed, by default all of them
+    maxDepth: process.env.MAX_DEPTH ? parseInt(process.env.MAX_DEPTH) : Infinity,
+    // How many files and folders are processed at the same time
+    concurrency: parseInt(process.env.CONCURRENCY || '4'),
+    // How often the incoming folder is checked for new files in watch mode, in seconds
+    watchInterval: parseInt(process.env.WATCH_INTERVAL || '10'),
+    // How long the size of a new file must not change before it is processed in watch mode, in seconds
+    watchStableSeconds: parseInt(process.env.WATCH_STABLE_SECONDS || '30'),
+    // Port of the HTTP API ('serve')
+    port: parseInt(process.env.PORT || '3000'),
+    // The folders of jobs submitted to the HTTP API are relative to this folder and must not leave it, 'serve' refuses to start without it
+    serverRoot: process.env.SERVER_ROOT || '',
+    // How often the model is asked for the details of a file, the answer most samples agree on wins (1 disables voting)
+    votingSamples: parseInt(process.env.VOTING_SAMPLES || '1'),
+    // Sampling temperature of the additional samples, so they can differ from the regular answer
+    votingTemperature: parseFloat(process.env.VOTING_TEMPERATURE || '0.7'),
+    // Read the title, show, season, episode and duration embedded in MKV and MP4 files and give them to the LLM as extra context
+    readContainerMetadata: process.env.READ_CONTAINER_METADATA !== 'false',
+    // Episodes and movies shorter than this (in seconds) are doubted, they are likely samples, trailers or credits
+    minEpisodeSeconds: parseInt(process.env.MIN_EPISODE_SECONDS || '180'),
+    // Files whose details have a lower confidence (0 to 1) are put on the review list of the plan instead of being renamed
+    confidenceThreshold: parseFloat(process.env.CONFIDENCE_THRESHOLD || '0.5'),
+    // Append-only log of every rename, move and created folder, used to undo runs
+    journalFile: process.env.JOURNAL_FILE || 'data/journal.jsonl',
+    // Responses of the LLM are cached in this JSON lines file, an empty value keeps the cache in memory only
+    cacheFile: process.env.CACHE_FILE ?? 'data/cache.jsonl',
+    // Cached responses older than this are not used anymore, 0 keeps them forever
+    cacheTtlDays: parseInt(process.env.CACHE_TTL_DAYS || '90'),
+    // The oldest cached responses are removed once there are more than this, 0 means no limit
+    cacheMaxEntries: parseInt(process.env.CACHE_MAX_ENTRIES || '100000'),
+};
+
+export default config;
@@ -0,0 +1,273 @@
+import fs from 'fs'
+import path from 'path'
+import pino from 'pino'
+import config from './config.js'
+import { getNewSidecarPath } from './sidecar.js'
+
+const logger = pino({
+    level: process.env.NODE_ENV === "development" ? 'debug' : "info"
+}, pino.destination(2));
+
+/**
+ * What happens if several files would get the same name, or a file with that name already exists:
+ * - 'skip': none of the files is renamed.
+ * - 'keep-both': the first file (or the existing one) keeps the name, the others get a version suffix like ' - v2'.
+ * - 'keep-larger': the file with the higher resolution (if both names mention one, otherwise the larger file) gets the name, the others are left where they are.
+ *   An existing file that loses is moved to the quarantine folder, because the winner needs its name.
+ * - 'quarantine': like 'keep-larger', but all losing files are moved to the quarantine folder.
+ * @typedef {'skip'|'keep-both'|'keep-larger'|'quarantine'} ConflictPolicy
+ */
+export const CONFLICT_POLICIES = [ 'skip', 'keep-both', 'keep-larger', 'quarantine' ];
+
+/**
+ * @typedef {Object} Resolution
+ * @property {string} file
+ * @property {'renamed'|'kept'|'skipped'|'versioned'|'quarantined'} action
+ * @property {string} [ to ] - Where the file goes, if it is moved.
+ */
+/**
+ * @typedef {Object} Conflict
+ * @property {string} target - The path several files would end up at.
+ * @property {string[]} files - The files that would end up at the target, an existing file at the target comes first.
+ * @property {boolean} existing - Whether a file already exists at the target.
+ * @property {ConflictPolicy} policy
+ * @property {string|null} winner - The file that has the target name afterwards, null if nobody gets it.
+ * @property {Resolution[]} resolutions - What happens to each of the files.
+ */
+
+/**
+ * Returns the vertical resolution that is mentioned in a file name, e.g. 1080 for '1080p' and 2160 for '4K', or 0 if there is none.
+ * @param {string} filePath
+ * @returns {number}
+ */
+export const getResolutionFromName = (filePath) => {
+    const name = path.basename(filePath);
+    if (/(?<![a-z\d])(?:4k|uhd|2160p)(?![a-z\d])/i.test(name)) {
+        return 2160;
+    }
+
+    const match = name.match(/(?<!\d)(\d{3,4})[pi](?![a-z\d])/i);
+    return match ? parseInt(match[1]) : 0;
+}
+
+/**
+ * Orders files from best to worst: higher resolution first, then larger files.
+ * Renamed files don't mention their resolution anymore, so it is only compared if both names mention one.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const compareQuality = (a, b) => {
+    const size = (file) => fs.existsSync(file) ? fs.statSync(file).size : 0;
+    const resolutionA = getResolutionFromName(a);
+    const resolutionB = getResolutionFromName(b);
+
+    return (resolutionA && resolutionB ? resolutionB - resolutionA : 0) || size(b) - size(a);
+}
+
+/**
+ * Returns the first path with a version suffix ('Name - v2.ext', 'Name - v3.ext', ...) that does not exist and is not taken yet.
+ * @param {string} target
+ * @param {Set<string>} taken - Paths that will be used by other operations, the returned path is added.
+ * @returns {string}
+ */
+const getVersionedPath = (target, taken) => {
+    const { dir, name, ext } = path.parse(target);
+
+    let version = 2;
+    let candidate;
+    do {
+        candidate = path.join(dir, `${name} - v${version++}${ext}`);
+    } while (fs.existsSync(candidate) || taken.has(path.resolve(candidate)));
+
+    taken.add(path.resolve(candidate));
+    return candidate;
+}
+
+/**
+ * Returns the path a file is moved to in the quarantine folder. It keeps its place relative to the root, and gets a version suffix if that path is taken.
+ * @param {string} file
+ * @param {string} root
+ * @param {string} quarantineDir
+ * @param {Set<string>} taken
+ * @returns {string}
+ */
+const getQuarantinePath = (file, root, quarantineDir, taken) => {
+    const relative = path.relative(path.resolve(root), path.resolve(file));
+    const target = path.join(quarantineDir, relative.startsWith('..') || path.isAbsolute(relative) ? path.basename(file) : relative);
+
+    if (!fs.existsSync(target) && !taken.has(path.resolve(target))) {
+        taken.add(path.resolve(target));
+        return target;
+    }
+
+    return getVersionedPath(target, taken);
+}
+
+/**
+ * Orders the operations so that a file is moved away before another file takes its name, e.g. b → c before a → b.
+ * An operation is skipped (with the sidecars of its video) if its target stays where it is: the files form a cycle like a swap (a → b, b → a),
+ * or the operation that would move the target away was dropped by the policy. It is reported as a conflict that keeps the target.
+ * @param {import('./plan.js').Operation[]} operations
+ * @param {Set<string>} sources - The files the plan wanted to move, before the conflicts were resolved.
+ * @param {Conflict[]} conflicts - The skipped operations are added.
+ * @returns {import('./plan.js').Operation[]}
+ */
+const orderOperations = (operations, sources, conflicts) => {
+    const bySource = new Map(operations.map(operation => [ path.resolve(operation.from), operation ]));
+    /** @type {Map<import('./plan.js').Operation, 'visiting'|'ordered'|'blocked'>} */
+    const states = new Map();
+    const ordered = [];
+
+    /**
+     * Orders the operations that have to run before the operation, and then the operation itself.
+     * @param {import('./plan.js').Operation} operation
+     * @returns {boolean} false if the operation is skipped.
+     */
+    const visit = (operation) => {
+        const state = states.get(operation);
+        if (state) {
+            // an operation that is still being visited depends on itself
+            return state === 'ordered';
+        }
+        states.set(operation, 'visiting');
+
+        const target = path.resolve(operation.to);
+        const video = operation.sidecarOf && bySource.get(path.resolve(operation.sidecarOf));
+        const blocker = bySource.get(target);
+        const possible = (!video || visit(video))
+            && (blocker === operation || (blocker ? visit(blocker) : !sources.has(target)));
+
+        states.set(operation, possible ? 'ordered' : 'blocked');
+        if (possible) {
+            ordered.push(operation);
+        } else if (!operation.sidecarOf) {
+            logger.warn(`Conflict: ${operation.from} skipped, ${operation.to} is not moved away`);
+            conflicts.push({ target: operation.to, files: [ operation.to, operation.from ], existing: true, policy: 'skip', winner: operation.to, resolutions: [ { file: operation.to, action: 'kept' }, { file: operation.from, action: 'skipped' } ] });
+        }
+        return possible;
+    }
+
+    operations.forEach(visit);
+    return ordered;
+}
+
+/**
+ * Finds the operations whose targets collide with each other or with existing files and resolves them with the policy.
+ * Sidecar files follow the decision about their video. The conflicts are logged and returned, so they can be reviewed in the plan.
+ * The operations are ordered so that chained renames work, operations that can't be ordered are skipped whatever the policy.
+ * @param {import('./plan.js').Operation[]} operations
+ * @param {Object} options
+ * @param {string} options.root - The folder the operations were planned for.
+ * @param {ConflictPolicy} [ options.policy ] - Defaults to config.conflictPolicy.
+ * @param {string} [ options.quarantineDir ] - Defaults to config.quarantineDir, or '.quarantine' inside the root.
+ * @returns {{ operations: import('./plan.js').Operation[], conflicts: Conflict[] }}
+ */
+export const resolveConflicts = (operations, { root, policy = config.conflictPolicy, quarantineDir = config.quarantineDir || path.join(root, '.quarantine') }) => {
+    if (!CONFLICT_POLICIES.includes(policy)) {
+        throw new Error(`Unknown conflict policy: ${policy}`);
+    }
+
+    const videos = operations.filter(operation => !operation.sidecarOf);
+    const sources = new Set(operations.map(operation => path.resolve(operation.from)));
+    const taken = new Set(videos.map(operation => path.resolve(operation.to)));
+
+    const groups = new Map();
+    for (const operation of videos) {
+        const target = path.resolve(operation.to);
+        groups.set(target, [ ...(groups.get(target) || []), operation ]);
+    }
+
+    /** @type {Map<import('./plan.js').Operation, import('./plan.js').Operation[]>} what each operation is replaced with */
+    const replacements = new Map();
+    const conflicts = [];
+
+    for (const [ target, group ] of groups) {
+        // a file at the target only counts if it is not moved away by the plan
+        const existing = fs.existsSync(target) && !sources.has(target);
+        if (group.length === 1 && !existing) {
+            continue;
+        }
+
+        const files = [ ...(existing ? [ group[0].to ] : []), ...group.map(operation => operation.from) ];
+        const resolutions = [];
+        let winner = null;
+
+        if (policy === 'skip') {
+
+            group.forEach(operation => replacements.set(operation, []));
+            winner = existing ? group[0].to : null;
+            resolutions.push(...(existing ? [ { file: group[0].to, action: 'kept' } ] : []), ...group.map(operation => ({ file: operation.from, action: 'skipped' })));
+
+        } else if (policy === 'keep-both') {
+
+            group.forEach((operation, index) => {
+                if (index === 0 && !existing) {
+                    resolutions.push({ file: operation.from, action: 'renamed', to: operation.to });
+                    return;
+                }
+                const to = getVersionedPath(operation.to, taken);
+                replacements.set(operation, [ { ...operation, to } ]);
+                resolutions.push({ file: operation.from, action: 'versioned', to });
+            });
+            winner = existing ? group[0].to : group[0].from;
+            if (existing) {
+                resolutions.unshift({ file: group[0].to, action: 'kept' });
+            }
+
+        } else {
+
+            winner = [ ...files ].sort(compareQuality)[0];
+            const winningOperation = group.find(operation => operation.from === winner);
+
+            for (const operation of group) {
+                if (operation === winningOperation) {
+                    continue;
+                }
+                if (policy === 'quarantine') {
+                    const to = getQuarantinePath(operation.from, root, quarantineDir, taken);
+                    replacements.set(operation, [ { ...operation, to, classification: 'Quarantine', details: { ...operation.details, conflict: operation.to } } ]);
+                    resolutions.push({ file: operation.from, action: 'quarantined', to });
+                } else {
+                    replacements.set(operation, []);
+                    resolutions.push({ file: operation.from, action: 'skipped' });
+                }
+            }
+
+            if (winningOperation) {
+                // the existing file has to make room before the winner is renamed
+                const before = existing ? [ { from: group[0].to, to: getQuarantinePath(group[0].to, root, quarantineDir, taken), classification: 'Quarantine', details: { conflict: group[0].to } } ] : [];
+                replacements.set(winningOperation, [ ...before, winningOperation ]);
+                resolutions.unshift(...before.map(operation => ({ file: operation.from, action: 'quarantined', to: operation.to })), { file: winningOperation.from, action: 'renamed', to: winningOperation.to });
+            } else {
+                resolutions.unshift({ file: winner, action: 'kept' });
+            }
+
+        }
+
+        logger.warn(`Conflict: ${files.length} files for ${group[0].to} (${policy}): ${resolutions.map(resolution => `${resolution.file} ${resolution.action}`).join(', ')}`);
+        conflicts.push({ target: group[0].to, files, existing, policy, winner, resolutions });
+    }
+
+    // replace the operations in place, sidecars follow their video
+    const videoTargets = new Map();
+    const resolved = [];
+    for (const operation of operations) {
+        if (operation.sidecarOf) {
+            const video = videoTargets.get(operation.sidecarOf);
+            if (video) {
+                resolved.push(video.to === video.planned ? operation : { ...operation, to: getNewSidecarPath({ suffix: operation.details.suffix }, video.to) });
+            }
+            continue;
+        }
+
+        const replacement = replacements.get(operation) || [ operation ];
+        const self = replacement.find(candidate => candidate.from === operation.from);
+        if (self) {
+            videoTargets.set(operation.from, { planned: operation.to, to: self.to });
+        }
+        resolved.push(...replacement);
+    }
+
+    return { operations: orderOperations(resolved, sources, conflicts), conflicts };
+}
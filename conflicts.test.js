@@ -0,0 +1,167 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getResolutionFromName, resolveConflicts } from "./conflicts";
+
+describe("Conflicts", () => {
+
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-conflicts-'));
+    })
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    })
+
+    /**
+     * @param {string} name
+     * @param {number} [ size ]
+     * @returns {string} the full path
+     */
+    const createFile = (name, size = 1) => {
+        const fullPath = path.join(dir, name);
+        fs.writeFileSync(fullPath, "x".repeat(size));
+        return fullPath;
+    }
+
+    /**
+     * Two releases of the same episode, the second one with a subtitle.
+     * @returns {import('./plan.js').Operation[]}
+     */
+    const twoReleases = () => {
+        const small = createFile("Show.S01E01.720p.WEB-DL.mkv", 10);
+        const large = createFile("Show.S01E01.1080p.BluRay.mkv", 5);
+        const subtitle = createFile("Show.S01E01.1080p.BluRay.en.srt");
+        const target = path.join(dir, "Show S01E01.mkv");
+
+        return [
+            { from: small, to: target, classification: "Episode" },
+            { from: large, to: target, classification: "Episode" },
+            { from: subtitle, to: path.join(dir, "Show S01E01.en.srt"), classification: "Sidecar", details: { suffix: ".en.srt" }, sidecarOf: large },
+            { from: createFile("Show.S01E02.mkv"), to: path.join(dir, "Show S01E02.mkv"), classification: "Episode" }
+        ];
+    }
+
+    it("Should read the resolution from the file name", () => {
+
+        expect(getResolutionFromName("Show.S01E01.2160p.WEB-DL.mkv")).toBe(2160);
+        expect(getResolutionFromName("Show.S01E01.4K.mkv")).toBe(2160);
+        expect(getResolutionFromName("Show.S01E01.720p.mkv")).toBe(720);
+        expect(getResolutionFromName("Show S01E01.mkv")).toBe(0);
+
+    })
+
+    it("Should skip all files of a conflict", () => {
+
+        const { operations, conflicts } = resolveConflicts(twoReleases(), { root: dir, policy: "skip" });
+
+        expect(operations.map(operation => path.basename(operation.to))).toStrictEqual([ "Show S01E02.mkv" ]);
+        expect(conflicts).toHaveLength(1);
+        expect(conflicts[0]).toMatchObject({ target: path.join(dir, "Show S01E01.mkv"), existing: false, winner: null });
+        expect(conflicts[0].resolutions.map(resolution => resolution.action)).toStrictEqual([ "skipped", "skipped" ]);
+
+    })
+
+    it("Should keep both files with a version suffix", () => {
+
+        const { operations } = resolveConflicts(twoReleases(), { root: dir, policy: "keep-both" });
+
+        expect(operations.map(operation => path.basename(operation.to))).toStrictEqual([ "Show S01E01.mkv", "Show S01E01 - v2.mkv", "Show S01E01 - v2.en.srt", "Show S01E02.mkv" ]);
+
+    })
+
+    it("Should keep the file with the higher resolution", () => {
+
+        const { operations, conflicts } = resolveConflicts(twoReleases(), { root: dir, policy: "keep-larger" });
+
+        expect(operations.map(operation => [ path.basename(operation.from), path.basename(operation.to) ])).toStrictEqual([
+            [ "Show.S01E01.1080p.BluRay.mkv", "Show S01E01.mkv" ],
+            [ "Show.S01E01.1080p.BluRay.en.srt", "Show S01E01.en.srt" ],
+            [ "Show.S01E02.mkv", "Show S01E02.mkv" ]
+        ]);
+        expect(conflicts[0].winner).toBe(path.join(dir, "Show.S01E01.1080p.BluRay.mkv"));
+
+    })
+
+    it("Should move the losers and an existing file to the quarantine folder", () => {
+
+        const existing = createFile("Show S01E03.mkv", 1);
+        const candidate = createFile("Show.S01E03.mkv", 20);
+        const quarantineDir = path.join(dir, ".quarantine");
+
+        const { operations, conflicts } = resolveConflicts([
+            ...twoReleases(),
+            { from: candidate, to: existing, classification: "Episode" }
+        ], { root: dir, policy: "quarantine", quarantineDir });
+
+        expect(operations.map(operation => [ path.basename(operation.from), path.relative(dir, operation.to) ])).toStrictEqual([
+            [ "Show.S01E01.720p.WEB-DL.mkv", path.join(".quarantine", "Show.S01E01.720p.WEB-DL.mkv") ],
+            [ "Show.S01E01.1080p.BluRay.mkv", "Show S01E01.mkv" ],
+            [ "Show.S01E01.1080p.BluRay.en.srt", "Show S01E01.en.srt" ],
+            [ "Show.S01E02.mkv", "Show S01E02.mkv" ],
+            [ "Show S01E03.mkv", path.join(".quarantine", "Show S01E03.mkv") ],
+            [ "Show.S01E03.mkv", "Show S01E03.mkv" ]
+        ]);
+        expect(conflicts.map(conflict => conflict.existing)).toStrictEqual([ false, true ]);
+
+    })
+
+    it("Should not count files that are renamed by the plan as existing", () => {
+
+        const first = createFile("Show S01E01.mkv");
+        const second = createFile("Show.S01E01.mkv");
+
+        const { conflicts } = resolveConflicts([
+            { from: first, to: path.join(dir, "Show S01E01 - Pilot.mkv") },
+            { from: second, to: first }
+        ], { root: dir, policy: "skip" });
+
+        expect(conflicts).toStrictEqual([]);
+
+    })
+
+    it("Should order chained renames so that each target is moved away first", () => {
+
+        const a = createFile("a.mkv");
+        const b = createFile("b.mkv");
+        const c = path.join(dir, "c.mkv");
+
+        const { operations, conflicts } = resolveConflicts([
+            { from: a, to: b, classification: "Episode" },
+            { from: b, to: c, classification: "Episode" }
+        ], { root: dir, policy: "skip" });
+
+        expect(operations.map(operation => [ path.basename(operation.from), path.basename(operation.to) ])).toStrictEqual([ [ "b.mkv", "c.mkv" ], [ "a.mkv", "b.mkv" ] ]);
+        expect(conflicts).toStrictEqual([]);
+
+    })
+
+    it("Should skip swaps and renames onto files that are not moved away", () => {
+
+        const a = createFile("a.mkv");
+        const b = createFile("b.mkv");
+        const c = createFile("c.mkv");
+        const d = createFile("d.mkv");
+        const subtitle = createFile("a.en.srt");
+
+        const { operations, conflicts } = resolveConflicts([
+            { from: a, to: b, classification: "Episode" },
+            { from: subtitle, to: path.join(dir, "b.en.srt"), classification: "Sidecar", details: { suffix: ".en.srt" }, sidecarOf: a },
+            { from: b, to: a, classification: "Episode" },
+            { from: c, to: path.join(dir, "e.mkv"), classification: "Episode" },
+            { from: createFile("f.mkv"), to: path.join(dir, "e.mkv"), classification: "Episode" },
+            { from: d, to: c, classification: "Episode" }
+        ], { root: dir, policy: "skip" });
+
+        expect(operations).toStrictEqual([]);
+        expect(conflicts.map(conflict => [ path.basename(conflict.target), conflict.winner && path.basename(conflict.winner), conflict.resolutions.map(resolution => resolution.action) ])).toStrictEqual([
+            [ "e.mkv", null, [ "skipped", "skipped" ] ],
+            [ "a.mkv", "a.mkv", [ "kept", "skipped" ] ],
+            [ "b.mkv", "b.mkv", [ "kept", "skipped" ] ],
+            [ "c.mkv", "c.mkv", [ "kept", "skipped" ] ]
+        ]);
+
+    })
+
+})
@@ -1,7 +1,7 @@
-import path from 'path';
-import { renameFilesInDirectory } from "./lib.js";
+#!/usr/bin/env node
+import { argsFromEnvironment, main } from './cli.js';
 
-// get environment variable 'FOLDER' and join with '/rename'
-const filePath = path.join('/rename', process.env.FOLDER || '');
+// without arguments, the environment variables of the Docker setup (MODE, FOLDER, ...) decide what happens, see cli.js
+const args = process.argv.length > 2 ? process.argv.slice(2) : argsFromEnvironment(process.env);
 
-renameFilesInDirectory(filePath)
\ No newline at end of file
+process.exitCode = await main(args);
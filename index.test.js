@@ -1,4 +1,7 @@
-import { checkIfEpisodeMatchesFormatInBatch, checkIfFileIsAlreadyInCorrectFoler, classifyFile, filterFilePathsByEpisode, generateNewFilePathIncludingParentFolders, getDetails, getEpisodeNumber, getNewFilePathsIncludingParentFolders, getSeasonNumber, getSeriesName } from "./lib";
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { checkIfEpisodeMatchesFormatInBatch, checkIfFileIsAlreadyInCorrectFoler, classifyFile, filterFilePathsByEpisode, findMissingEpisodes, generateNewFilePathIncludingParentFolders, generateNewMovieFilePath, getDetails, getEpisodeNumber, getMovieName, getNewFilePathsIncludingParentFolders, getSeasonNumber, getSeriesName } from "./lib";
 import { request } from "./api";
 import { jest } from '@jest/globals'
 
@@ -100,6 +103,18 @@ describe("Get details from filename", () => {
 
 })
 
+describe("Get details of date-based episodes", () => {
+
+    it("Should use the air date instead of making up numbers", async () => {
+
+        const details = await getDetails("Movies/series/The Daily Show/The.Daily.Show.2024.03.14.Guest.Name.1080p.mkv");
+
+        expect(details).toMatchObject({ series: "The Daily Show", season: 2024, episode: null, lastEpisode: null, airDate: "2024-03-14", sources: { season: "parser", episode: "parser", airDate: "parser" } });
+
+    })
+
+})
+
 describe("Check if episode matches format", () => {
 
     it("Should return true if no episodes are provided", async () => {
@@ -137,6 +152,22 @@ describe("Check if episode matches format", () => {
         const match3 = await checkIfEpisodeMatchesFormatInBatch(episodesInRightFormat3);
         expect(match3).toBe(true);
 
+        const episodesInRightFormat4 = [
+            "/Volumes/Movies/series/3 Body Problem/Season 01/3 Body Problem S01E01-E02.mkv",
+            "/Volumes/Movies/series/3 Body Problem/Season 01/3 Body Problem S01E03.mkv",
+        ]
+
+        const match4 = await checkIfEpisodeMatchesFormatInBatch(episodesInRightFormat4);
+        expect(match4).toBe(true);
+
+        const datedEpisodesInRightFormat = [
+            "/Volumes/Movies/series/The Daily Show/Season 2024/The Daily Show 2024-03-14.mkv",
+            "/Volumes/Movies/series/The Daily Show/Season 2024/The Daily Show 2024-03-18.mkv",
+        ]
+
+        const match5 = await checkIfEpisodeMatchesFormatInBatch(datedEpisodesInRightFormat);
+        expect(match5).toBe(true);
+
     });
 
     it("Should return false if episode does not match format", async () => {
@@ -150,10 +181,31 @@ describe("Check if episode matches format", () => {
         const match1 = await checkIfEpisodeMatchesFormatInBatch(episodesInWrongFormat);
         expect(match1).toBe(false);
 
+        const match2 = await checkIfEpisodeMatchesFormatInBatch([ "Movies/series/The Daily Show/The.Daily.Show.2024.03.14.Guest.Name.1080p.mkv" ]);
+        expect(match2).toBe(false);
+
     });
 
 });
 
+describe("Find missing episodes", () => {
+
+    it("Should report gaps in a season and count every episode of multi-episode files", () => {
+
+        const episodes = [
+            { series: "Family Guy", season: 1, episode: 1, lastEpisode: 2 },
+            { series: "Family Guy", season: 1, episode: 3, lastEpisode: null },
+            { series: "Family Guy", season: 1, episode: 6, lastEpisode: null },
+            { series: "Family Guy", season: 2, episode: 1, lastEpisode: null },
+            { series: "Family Guy", season: 2, episode: 2, lastEpisode: null },
+        ];
+
+        expect(findMissingEpisodes(episodes)).toStrictEqual([ { series: "Family Guy", season: 1, episodes: [ 4, 5 ] } ]);
+
+    })
+
+})
+
 describe("Generate correct parent folders", () => {
 
     it("Should return the correct parent folders for an episode", async () => {
@@ -164,6 +216,15 @@ describe("Generate correct parent folders", () => {
 
         expect(newEpisodeName).toBe("Test/The Last of Us/Season 01/The Last of Us S01E01.mkv");
 
+    });
+    it("Should put date-based episodes into a folder of their year", async () => {
+
+        const episodeName = "Test/The.Daily.Show.2024.03.14.Guest.Name.1080p.mkv"
+
+        const newEpisodeName = await generateNewFilePathIncludingParentFolders(episodeName);
+
+        expect(newEpisodeName).toBe("Test/The Daily Show/Season 2024/The.Daily.Show.2024.03.14.Guest.Name.1080p.mkv");
+
     });
     it("Should return the correct parent folders for an episode without any additions", async () => {
 
@@ -348,4 +409,61 @@ describe("Filter files by episodes", () => {
 
     })
 
-})
\ No newline at end of file
+})
+
+describe("Generate correct movie folders", () => {
+
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-movies-'));
+    })
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    })
+
+    /**
+     * @param {string} filePath - relative to the temporary directory
+     * @returns {string} the full path
+     */
+    const createFile = (filePath) => {
+        const fullPath = path.join(dir, filePath);
+        fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+        fs.writeFileSync(fullPath, "");
+        return fullPath;
+    }
+
+    it("Should name movies 'Title (Year)' without characters that are not allowed", () => {
+
+        expect(getMovieName("Star Wars: A New Hope", 1977)).toBe("Star Wars - A New Hope (1977)");
+        expect(getMovieName("The Movie", null)).toBe("The Movie");
+
+    })
+
+    it("Should replace the release folder of a movie with the movie folder", async () => {
+
+        const movie = createFile("The.Matrix.1999.1080p.BluRay.x264-Group/The.Matrix.1999.1080p.BluRay.x264-Group.mkv");
+
+        expect(await generateNewMovieFilePath(movie, dir)).toBe(path.join(dir, "The Matrix (1999)", "The Matrix (1999).mkv"));
+
+    })
+
+    it("Should create a movie folder if the movie shares its folder with other videos", async () => {
+
+        const movie = createFile("The.Matrix.1999.1080p.BluRay.x264-Group.mkv");
+        createFile("Heat.1995.1080p.BluRay.x264-Group.mkv");
+
+        expect(await generateNewMovieFilePath(movie, dir)).toBe(path.join(dir, "The Matrix (1999)", "The Matrix (1999).mkv"));
+
+    })
+
+    it("Should move movies out of series folders", async () => {
+
+        createFile("series/Family Guy/Season 03/Family Guy S03E05.mkv");
+        const movie = createFile("series/Family Guy/The Movie - Stewie Griffin The Untold Story/Family.Guy.Presents.Stewie.Griffin.The.Untold.Story.2005.mkv");
+
+        expect(await generateNewMovieFilePath(movie, path.join(dir, "series", "Family Guy"))).toBe(path.join(dir, "series", "Family Guy Presents Stewie Griffin The Untold Story (2005)", "Family Guy Presents Stewie Griffin The Untold Story (2005).mkv"));
+
+    })
+
+})
@@ -0,0 +1,226 @@
+import fs from 'fs'
+import path from 'path'
+import pino from 'pino'
+import { randomUUID } from 'crypto'
+import { createRenamePlan, printFoldersWithWrongFormat } from './lib.js'
+import { createOrganizePlan } from './system.js'
+import { applyPlanAsync } from './plan.js'
+
+const logger = pino({
+    level: process.env.NODE_ENV === "development" ? 'debug' : "info"
+}, pino.destination(2));
+
+/**
+ * What a job does with its folder, like the commands of the CLI with the same name.
+ * @typedef {'rename'|'organize'|'check'} JobMode
+ */
+export const JOB_MODES = [ 'rename', 'organize', 'check' ];
+
+/**
+ * @typedef {Object} JobOptions
+ * @property {string} folder - The folder the job works on.
+ * @property {JobMode} mode
+ * @property {boolean} [ dryRun ] - Only plan the renames, nothing is changed.
+ */
+/**
+ * @typedef {Object} JobProgress
+ * @property {'queued'|'planning'|'applying'|'done'} phase
+ * @property {number} done - How many operations were applied.
+ * @property {number} total - How many operations the plan has.
+ */
+/**
+ * @typedef {Object} LogEntry
+ * @property {string} time - ISO timestamp.
+ * @property {'info'|'warn'|'error'} level
+ * @property {string} message
+ */
+/**
+ * @typedef {Object} Job
+ * @property {string} id
+ * @property {string} folder
+ * @property {JobMode} mode
+ * @property {boolean} dryRun
+ * @property {'queued'|'running'|'completed'|'failed'} status
+ * @property {string} createdAt - ISO timestamp.
+ * @property {string|null} startedAt
+ * @property {string|null} finishedAt
+ * @property {string|null} reviewedAt - When the approved operations of a dry run were submitted in the review UI, they are applied only once.
+ * @property {JobProgress} progress
+ * @property {import('./plan.js').Plan|null} plan - The plan of 'rename' and 'organize' jobs.
+ * @property {import('./plan.js').OperationResult[]} results - The result of every operation, empty for 'check' jobs and for dry runs until they are applied in the review UI.
+ * @property {string[]} folders - The folders in the wrong format that a 'check' job found.
+ * @property {string|null} error - Why the job failed.
+ * @property {LogEntry[]} logs
+ */
+
+/**
+ * Checks the options of a new job.
+ * @param {JobOptions} options
+ * @returns {string|null} what is wrong with them, null if they are valid
+ */
+export const validateJobOptions = ({ folder, mode, dryRun }) => {
+    if (typeof folder !== 'string' || folder === '') {
+        return 'folder must be a path';
+    }
+    if (!JOB_MODES.includes(mode)) {
+        return `mode must be one of ${JOB_MODES.join(', ')}`;
+    }
+    if (dryRun !== undefined && typeof dryRun !== 'boolean') {
+        return 'dryRun must be true or false';
+    }
+    if (!fs.existsSync(folder) || !fs.statSync(folder).isDirectory()) {
+        return `${folder} is not a folder`;
+    }
+
+    return null;
+}
+
+/**
+ * Adds a line to the log of the job and to the log of the process.
+ * @param {Job} job
+ * @param {LogEntry['level']} level
+ * @param {string} message
+ */
+const log = (job, level, message) => {
+    job.logs.push({ time: new Date().toISOString(), level, message });
+    logger[level](`Job ${job.id}: ${message}`);
+}
+
+/**
+ * Records the result of an operation on the job.
+ * @param {Job} job
+ * @param {import('./plan.js').OperationResult} result
+ */
+const recordResult = (job, result) => {
+    job.results.push(result);
+    job.progress.done++;
+    if (result.status === 'failed') {
+        log(job, 'error', `Failed to rename ${result.operation.from}: ${result.error}`);
+    } else {
+        log(job, 'info', `Renamed ${result.operation.from} -> ${result.operation.to}`);
+    }
+}
+
+/**
+ * Runs a job and records its progress, results and logs on it. Errors are recorded on the job instead of being thrown.
+ * @param {Job} job
+ */
+const runJob = async (job) => {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    job.progress.phase = 'planning';
+    log(job, 'info', `Started ${job.dryRun ? 'dry run of ' : ''}${job.mode} of ${job.folder}`);
+
+    try {
+
+        if (job.mode === 'check') {
+            job.folders = await printFoldersWithWrongFormat(job.folder);
+            log(job, 'info', `Found ${job.folders.length} folders in the wrong format`);
+        } else {
+            job.plan = job.mode === 'rename' ? await createRenamePlan(job.folder) : await createOrganizePlan(job.folder);
+            job.progress.total = job.plan.operations.length;
+            log(job, 'info', `Planned ${job.plan.operations.length} operations with ${(job.plan.conflicts || []).length} conflicts`);
+
+            if (!job.dryRun) {
+                job.progress.phase = 'applying';
+                await applyPlanAsync(job.plan, job.mode, result => recordResult(job, result));
+            }
+        }
+
+        job.status = 'completed';
+        log(job, 'info', 'Completed');
+    } catch (error) {
+        job.status = 'failed';
+        job.error = error.message;
+        log(job, 'error', `Failed: ${error.message}`);
+    }
+
+    job.progress.phase = 'done';
+    job.finishedAt = new Date().toISOString();
+}
+
+/**
+ * Applies the plan that was approved in the review of a dry run and records the results on the job.
+ * @param {Job} job - The dry run, its reviewedAt is already set.
+ * @param {import('./plan.js').Plan} plan - The reviewed plan, see review.js.
+ * @returns {Promise<import('./plan.js').OperationResult[]>} results
+ */
+const applyReviewedPlan = async (job, plan) => {
+    job.progress = { phase: 'applying', done: 0, total: plan.operations.length };
+    log(job, 'info', `Applying ${plan.operations.length} reviewed operations`);
+
+    await applyPlanAsync(plan, 'review', result => recordResult(job, result));
+
+    job.progress.phase = 'done';
+    return job.results;
+}
+
+/**
+ * Creates a queue that runs jobs in the background, one after the other, because the jobs share the config and the journal.
+ * The jobs are kept in memory.
+ * @returns {{ submit: (options: JobOptions) => Job, applyReviewed: (job: Job, plan: import('./plan.js').Plan) => Promise<import('./plan.js').OperationResult[]>, get: (id: string) => Job|undefined, list: () => Job[], idle: () => Promise<void> }} queue
+ */
+export const createJobQueue = () => {
+
+    /** @type {Map<string, Job>} */
+    const jobs = new Map();
+    let queue = Promise.resolve();
+
+    /**
+     * Adds a job to the queue, it starts once the jobs before it are finished.
+     * @param {JobOptions} options
+     * @returns {Job}
+     */
+    const submit = ({ folder, mode, dryRun = false }) => {
+        const invalid = validateJobOptions({ folder, mode, dryRun });
+        if (invalid) {
+            throw new Error(invalid);
+        }
+
+        /** @type {Job} */
+        const job = {
+            id: randomUUID(),
+            folder: path.resolve(folder),
+            mode,
+            dryRun,
+            status: 'queued',
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            reviewedAt: null,
+            progress: { phase: 'queued', done: 0, total: 0 },
+            plan: null,
+            results: [],
+            folders: [],
+            error: null,
+            logs: []
+        };
+        jobs.set(job.id, job);
+        log(job, 'info', `Queued ${mode} of ${job.folder}`);
+
+        queue = queue.then(() => runJob(job));
+        return job;
+    }
+
+    /**
+     * Applies the reviewed plan of a dry run once the jobs before it are finished.
+     * @param {Job} job - The dry run, its reviewedAt must already be set so the plan is not applied twice.
+     * @param {import('./plan.js').Plan} plan - The reviewed plan, see review.js.
+     * @returns {Promise<import('./plan.js').OperationResult[]>} results
+     */
+    const applyReviewed = (job, plan) => {
+        const applied = queue.then(() => applyReviewedPlan(job, plan));
+        // a failed apply must not stop the jobs after it
+        queue = applied.catch(() => {});
+        return applied;
+    }
+
+    return {
+        submit,
+        applyReviewed,
+        get: (id) => jobs.get(id),
+        list: () => [ ...jobs.values() ],
+        // resolves once all jobs that were submitted so far are finished
+        idle: () => queue
+    };
+}
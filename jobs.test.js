@@ -0,0 +1,85 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createJobQueue } from "./jobs";
+import { setProvider } from "./providers";
+import config from "./config";
+
+describe("Jobs", () => {
+
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-jobs-'));
+        config.cacheFile = "";
+        config.journalFile = path.join(dir, "journal.jsonl");
+        setProvider({ name: "Test", chat: async () => { throw new Error("The LLM should not be asked"); } });
+
+        fs.mkdirSync(path.join(dir, "Show", "Season 01"), { recursive: true });
+        fs.writeFileSync(path.join(dir, "Show", "Season 01", "Show.S01E01.1080p.WEB-DL.mkv"), "");
+    })
+    afterEach(() => {
+        setProvider(null);
+        fs.rmSync(dir, { recursive: true, force: true });
+    })
+
+    it("Should reject invalid jobs", () => {
+
+        const jobs = createJobQueue();
+        expect(() => jobs.submit({ folder: dir, mode: "delete" })).toThrow("mode must be one of");
+        expect(() => jobs.submit({ folder: path.join(dir, "missing"), mode: "rename" })).toThrow("is not a folder");
+        expect(() => jobs.submit({ folder: dir, mode: "rename", dryRun: "yes" })).toThrow("dryRun");
+        expect(jobs.list()).toStrictEqual([]);
+
+    })
+
+    it("Should report the progress while a plan is applied", async () => {
+
+        for (const episode of [ 2, 3 ]) {
+            fs.writeFileSync(path.join(dir, "Show", "Season 01", `Show.S01E0${episode}.1080p.WEB-DL.mkv`), "");
+        }
+
+        const jobs = createJobQueue();
+        const job = jobs.submit({ folder: dir, mode: "rename" });
+        const seen = [];
+        while (job.status !== "completed" && job.status !== "failed") {
+            await new Promise(resolve => setImmediate(resolve));
+            if (job.progress.phase === "applying") {
+                seen.push(job.progress.done);
+            }
+        }
+
+        expect(job.progress).toStrictEqual({ phase: "done", done: 3, total: 3 });
+        expect(seen.some(done => done > 0 && done < 3)).toBe(true);
+
+    })
+
+    it("Should run the jobs one after the other and record their progress and results", async () => {
+
+        const jobs = createJobQueue();
+        const dryRun = jobs.submit({ folder: dir, mode: "rename", dryRun: true });
+        const rename = jobs.submit({ folder: dir, mode: "rename" });
+        expect(rename.status).toBe("queued");
+
+        await jobs.idle();
+
+        const file = path.join(dir, "Show", "Season 01", "Show S01E01.mkv");
+        expect(dryRun.status).toBe("completed");
+        expect(dryRun.plan.operations.map(operation => operation.to)).toStrictEqual([ file ]);
+        expect(dryRun.results).toStrictEqual([]);
+
+        expect(rename.status).toBe("completed");
+        expect(rename.progress).toStrictEqual({ phase: "done", done: 1, total: 1 });
+        expect(rename.results.map(result => result.status)).toStrictEqual([ "renamed" ]);
+        expect(fs.existsSync(file)).toBe(true);
+        expect(rename.logs.map(entry => entry.message)).toContain(`Renamed ${path.join(dir, "Show", "Season 01", "Show.S01E01.1080p.WEB-DL.mkv")} -> ${file}`);
+
+        const check = jobs.submit({ folder: path.join(dir, "Show"), mode: "check" });
+        await jobs.idle();
+        expect(check.status).toBe("completed");
+        expect(check.folders).toStrictEqual([]);
+        expect(jobs.list()).toStrictEqual([ dryRun, rename, check ]);
+
+    })
+
+})
@@ -0,0 +1,206 @@
+import fs from 'fs'
+import path from 'path'
+import { randomUUID } from 'crypto'
+import pino from 'pino'
+import config from './config.js'
+
+const logger = pino({
+    level: process.env.NODE_ENV === "development" ? 'debug' : "info"
+}, pino.destination(2));
+
+/**
+ * @typedef {Object} JournalEntry
+ * @property {'run'|'rename'|'mkdir'|'rmdir'} type
+ * @property {string} runId - The run the entry belongs to.
+ * @property {string} timestamp - ISO timestamp of when the change was made.
+ * @property {string} [ kind ] - Only for 'run' entries: what started the run (e.g. 'rename', 'organize', 'undo').
+ * @property {string} [ undoes ] - Only for 'run' entries of undo runs: the run that is reverted.
+ * @property {string} [ from ] - Only for 'rename' entries.
+ * @property {string} [ to ] - Only for 'rename' entries.
+ * @property {string} [ path ] - Only for 'mkdir' and 'rmdir' entries.
+ */
+
+/**
+ * Appends an entry to the journal. Entries are never changed or removed afterwards.
+ * @param {object} entry
+ */
+const append = (entry) => {
+    fs.mkdirSync(path.dirname(config.journalFile), { recursive: true });
+    fs.appendFileSync(config.journalFile, JSON.stringify({ ...entry, timestamp: new Date().toISOString() }) + '\n');
+}
+
+/**
+ * Reads all entries from the journal, oldest first.
+ * @returns {JournalEntry[]}
+ */
+export const readJournal = () => {
+    if (!fs.existsSync(config.journalFile)) {
+        return [];
+    }
+
+    return fs.readFileSync(config.journalFile, 'utf-8')
+        .split('\n')
+        .filter(line => line.trim() !== '')
+        .map(line => JSON.parse(line));
+}
+
+/**
+ * Starts a new run. Every change made with the returned run ID can be undone together.
+ * @param {string} kind - What started the run (e.g. 'rename', 'organize').
+ * @param {object} [ extra ] - Additional fields stored with the run.
+ * @returns {string} runId
+ */
+export const startRun = (kind, extra = {}) => {
+    const runId = randomUUID();
+    append({ type: 'run', runId, kind, ...extra });
+
+    logger.info(`Started ${kind} run ${runId}`);
+    return runId;
+}
+
+/**
+ * Renames (or moves) a file and records it in the journal. Existing files are never overwritten.
+ * @param {string} runId
+ * @param {string} from
+ * @param {string} to
+ */
+export const renameFile = (runId, from, to) => {
+    // fs.renameSync silently replaces an existing target
+    if (fs.existsSync(to)) {
+        throw new Error(`${to} already exists`);
+    }
+    fs.renameSync(from, to);
+    append({ type: 'rename', runId, from: path.resolve(from), to: path.resolve(to) });
+}
+
+/**
+ * Creates a directory including its missing parents and records every folder that actually had to be created.
+ * @param {string} runId
+ * @param {string} dir
+ */
+export const makeDirectory = (runId, dir) => {
+    const missing = [];
+    let current = path.resolve(dir);
+    while (!fs.existsSync(current)) {
+        missing.unshift(current);
+        current = path.dirname(current);
+    }
+
+    for (const folder of missing) {
+        fs.mkdirSync(folder);
+        append({ type: 'mkdir', runId, path: folder });
+    }
+}
+
+/**
+ * Reverts journal entries (newest first) as part of the given undo run.
+ * Renames are only reverted if the file is still where the run put it, and folders are only removed when they are empty.
+ * @param {string} undoRunId
+ * @param {JournalEntry[]} entries
+ * @returns {{ entry: JournalEntry, status: 'reverted'|'failed', error?: string }[]}
+ */
+const revertEntries = (undoRunId, entries) => {
+    const results = [];
+
+    for (const entry of [ ...entries ].reverse()) {
+        try {
+
+            if (entry.type === 'rename') {
+                if (!fs.existsSync(entry.to)) {
+                    throw new Error(`${entry.to} does not exist anymore`);
+                }
+                if (fs.existsSync(entry.from)) {
+                    throw new Error(`${entry.from} already exists`);
+                }
+                renameFile(undoRunId, entry.to, entry.from);
+                logger.info(`Reverted: ${entry.to} -> ${entry.from}`);
+            }
+
+            if (entry.type === 'mkdir') {
+                if (!fs.existsSync(entry.path)) {
+                    continue;
+                }
+                if (fs.readdirSync(entry.path).length > 0) {
+                    logger.info(`Keeping folder: ${entry.path} (Not empty)`);
+                    continue;
+                }
+                fs.rmdirSync(entry.path);
+                append({ type: 'rmdir', runId: undoRunId, path: entry.path });
+                logger.info(`Removed folder: ${entry.path}`);
+            }
+
+            results.push({ entry, status: 'reverted' });
+        } catch (error) {
+            logger.error(`Failed to revert ${entry.type} of run ${entry.runId}: ${error.message}`);
+            results.push({ entry, status: 'failed', error: error.message });
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Lists all runs that are recorded in the journal, oldest first.
+ * @returns {JournalEntry[]}
+ */
+export const listRuns = () => {
+    return readJournal().filter(entry => entry.type === 'run');
+}
+
+/**
+ * Reverts every change of a run in reverse order and removes the folders it created if they are empty now.
+ * @param {string} runId
+ * @returns {ReturnType<typeof revertEntries>}
+ */
+export const undoRun = (runId) => {
+    const journal = readJournal();
+
+    if (!journal.some(entry => entry.type === 'run' && entry.runId === runId)) {
+        throw new Error(`Run ${runId} not found in the journal`);
+    }
+    if (journal.some(entry => entry.type === 'run' && entry.undoes === runId && !entry.file)) {
+        throw new Error(`Run ${runId} has already been undone`);
+    }
+
+    const entries = journal.filter(entry => entry.runId === runId && entry.type !== 'run');
+
+    const undoRunId = startRun('undo', { undoes: runId });
+    return revertEntries(undoRunId, entries);
+}
+
+/**
+ * Reverts the most recent run that touched the given file, but only for that file.
+ * If the run moved the file several times, all of those moves are reverted. Folders the run created for it are removed if they are empty now.
+ * Refused if the run was already undone, as a whole or for this file.
+ * @param {string} filePath - The current path of the file.
+ * @returns {ReturnType<typeof revertEntries>}
+ */
+export const undoFile = (filePath) => {
+    const journal = readJournal();
+    const undoRuns = new Set(journal.filter(entry => entry.type === 'run' && entry.kind === 'undo').map(entry => entry.runId));
+    const renames = journal.filter(entry => entry.type === 'rename' && !undoRuns.has(entry.runId));
+
+    // follow the file backwards through the renames of the run that touched it last
+    const entries = [];
+    let current = path.resolve(filePath);
+    let runId;
+    for (const entry of [ ...renames ].reverse()) {
+        if (entry.to === current && (!runId || entry.runId === runId)) {
+            runId = entry.runId;
+            entries.unshift(entry);
+            current = entry.from;
+        }
+    }
+
+    if (entries.length === 0) {
+        throw new Error(`No rename of ${filePath} found in the journal`);
+    }
+    if (journal.some(entry => entry.type === 'run' && entry.undoes === runId && (!entry.file || entry.file === path.resolve(filePath)))) {
+        throw new Error(`Run ${runId} has already been undone for ${filePath}`);
+    }
+
+    const folders = journal.filter(entry => entry.type === 'mkdir' && entry.runId === runId);
+
+    const undoRunId = startRun('undo', { undoes: runId, file: path.resolve(filePath) });
+    return revertEntries(undoRunId, [ ...folders, ...entries ]);
+}
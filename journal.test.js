@@ -0,0 +1,94 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { makeDirectory, readJournal, renameFile, startRun, undoFile, undoRun } from "./journal";
+import config from "./config";
+
+describe("Journal and undo", () => {
+
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-journal-'));
+        config.journalFile = path.join(dir, "data", "journal.jsonl");
+
+        fs.mkdirSync(path.join(dir, "library"));
+        fs.writeFileSync(path.join(dir, "library", "a.mkv"), "a");
+        fs.writeFileSync(path.join(dir, "library", "b.mkv"), "b");
+    })
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    })
+
+    /**
+     * Moves both files into 'Show/Season 01' the same way organizing a folder does.
+     */
+    const organize = () => {
+        const library = path.join(dir, "library");
+        const runId = startRun('organize');
+
+        makeDirectory(runId, path.join(library, "Show", "Season 01"));
+        renameFile(runId, path.join(library, "a.mkv"), path.join(library, "Show", "Season 01", "Show S01E01.mkv"));
+        renameFile(runId, path.join(library, "b.mkv"), path.join(library, "Show", "Season 01", "Show S01E02.mkv"));
+
+        return runId;
+    }
+
+    it("Should record every rename and created folder with the run ID", () => {
+
+        const runId = organize();
+
+        const types = readJournal().filter(entry => entry.runId === runId).map(entry => entry.type);
+        expect(types).toStrictEqual(["run", "mkdir", "mkdir", "rename", "rename"]);
+
+    })
+
+    it("Should undo a whole run and remove the folders it created", () => {
+
+        const runId = organize();
+
+        undoRun(runId);
+
+        expect(fs.readdirSync(path.join(dir, "library")).sort()).toStrictEqual(["a.mkv", "b.mkv"]);
+        expect(() => undoRun(runId)).toThrow("already been undone");
+
+    })
+
+    it("Should undo a single file and keep folders that are still in use", () => {
+
+        organize();
+
+        undoFile(path.join(dir, "library", "Show", "Season 01", "Show S01E01.mkv"));
+
+        expect(fs.readdirSync(path.join(dir, "library")).sort()).toStrictEqual(["Show", "a.mkv"]);
+        expect(fs.readdirSync(path.join(dir, "library", "Show", "Season 01"))).toStrictEqual(["Show S01E02.mkv"]);
+
+    })
+
+    it("Should refuse to undo a file twice", () => {
+
+        const runId = organize();
+        const first = path.join(dir, "library", "Show", "Season 01", "Show S01E01.mkv");
+
+        undoFile(first);
+        const runs = readJournal().filter(entry => entry.type === 'run');
+
+        expect(() => undoFile(first)).toThrow("already been undone");
+        expect(readJournal().filter(entry => entry.type === 'run')).toStrictEqual(runs);
+
+        undoRun(runId);
+        expect(() => undoFile(path.join(dir, "library", "Show", "Season 01", "Show S01E02.mkv"))).toThrow("already been undone");
+
+    })
+
+    it("Should never overwrite an existing file", () => {
+
+        const runId = startRun('rename');
+
+        expect(() => renameFile(runId, path.join(dir, "library", "a.mkv"), path.join(dir, "library", "b.mkv"))).toThrow("already exists");
+        expect(fs.readFileSync(path.join(dir, "library", "b.mkv"), "utf-8")).toBe("b");
+        expect(readJournal().filter(entry => entry.type === 'rename')).toHaveLength(0);
+
+    })
+
+})
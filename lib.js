@@ -1,11 +1,25 @@
 import fs from 'fs'
 import path from 'path'
 import { request } from './api.js'
+import { applyPlan, createPlan } from './plan.js'
+import { resolveConflicts } from './conflicts.js'
+import { getExtension, parseFileName, parseMovieFileName, toAirDate, VIDEO_EXTENSIONS } from './parser.js'
+import { schemas } from './schemas.js'
+import { getSpecialEpisodeNumber } from './specials.js'
+import { findSidecars, getNewSidecarPath } from './sidecar.js'
+import { getMetadataProvider, normalizeName } from './metadata.js'
+import { getEpisodeFileName, getEpisodeFileNamePattern, getEpisodeFolders, getTemplateFor, sanitizeFileName } from './template.js'
+import { mapWithConcurrency } from './concurrency.js'
+import { scoreAnswer, scoreDuration, splitByConfidence, voteOnSamples } from './confidence.js'
+import { resolveAlias } from './aliases.js'
+import { getEpisodeCounts, getNumberingMode, isAbsoluteNumber, toAbsolute, toSeasonal } from './numbering.js'
+import { describeMediaInfo, readMediaInfo } from './media.js'
+import config from './config.js'
 import pino from 'pino'
 
 const logger = pino({
     level: process.env.NODE_ENV === "development" ? 'debug' : "info"
-});
+}, pino.destination(2));
 
 /**
  * @typedef {Object} Directory
@@ -49,7 +63,7 @@ const logger = pino({
  *   ]
  * }
  */
-function traverseDirectory(dir) {
+export function traverseDirectory(dir) {
     /**
      * @type {object} result
      * @property {string} path - The full path of the current directory.
@@ -80,27 +94,373 @@ function traverseDirectory(dir) {
     return result;
 }
 
+/**
+ * @typedef {'parser'|'llm'|'specials'|'metadata'|'alias'|'numbering'|'manual'} Source - Where an answer came from: the rule-based file name parser, the LLM, the specials file, the metadata provider, the alias registry, the conversion of an absolute episode number or a correction in the review UI.
+ */
+/**
+ * @typedef {Object} Extraction
+ * @property {'Movie'|'Episode'|'Special'|'Unrelated'} classification - Specials are OVAs, holiday specials, pilots, creditless openings/endings and other extras of a series.
+ * @property {string|null} series - The name of the series, null if the file is not an episode.
+ * @property {number|null} season - The season number, null if the file is not an episode. The year of the air date for date-based episodes.
+ * @property {number|null} episode - The episode number, null if the file is not an episode or a date-based episode.
+ * @property {number|null} lastEpisode - The last episode number of multi-episode files like 'S01E01-E02', null otherwise.
+ * @property {number|null} year - The year of the series or movie, null if it is not part of the path.
+ * @property {string|null} title - The title of the episode or movie, null if it is not part of the path.
+ * @property {string|null} airDate - The air date of date-based episodes of daily and talk shows as 'YYYY-MM-DD', null otherwise.
+ * @property {{ classification: Source, series: Source, season: Source, episode: Source, year: Source, title: Source, airDate: Source }} sources - Where each of the fields came from.
+ * @property {number} confidence - How much the answer can be trusted, from 0 to 1 (see confidence.js). Answers of the parser are always trusted.
+ * @property {string[]} doubts - Why the confidence is lower than 1.
+ */
+
+const extractionSystem = `It is your job to extract everything about the media file paths I give you in one go.
+First classify the file path as "Movie", "Episode", "Special" or "Unrelated". If the file ending is the file ending of a video file it is most likely a movie, episode or special. Specials belong to a series but not to a regular season: OVAs, OADs, Christmas and other holiday specials, pilots, creditless openings and endings (NCOP, NCED), episodes in season 0 (S00) or in a 'Specials' folder. If it doesn't contain a season and episode number, it is most likely a movie. If the file name contains the word "Movie" it is most likely a movie. If you are unsure or the file is unrelated, classify it as "Unrelated".
+For episodes, extract the complete series name (exactly the series name, without the year, release information or any other additions/removals), the season number and the episode number. Please remember that sometimes the season and episode numbers can be in weird formats. If the file contains more than one episode (e.g. 'S01E01E02', 'S01E01-E02' or '01-02'), the episode is the first one and lastEpisode the last one, otherwise lastEpisode is null. For specials, extract the series name, use 0 as season and use the number of the special as episode if it has one, otherwise null. Use null for fields that do not apply, e.g. the series, season and episode of movies and unrelated files.
+Sometimes the metadata embedded in the video file (show, title, season, episode and duration) is given below the path, use it when the path is not clear. Videos that are only a few minutes long are usually samples, trailers, openings or endings and not full episodes or movies.
+Daily and talk shows are often named by their air date instead of season and episode numbers (e.g. 'The.Daily.Show.2024.03.14.Guest.Name'). For these episodes, extract the air date as airDate in the format YYYY-MM-DD and use null as season and episode, never make numbers up. For all other files airDate is null.
+Also extract the year and the title of the episode or movie if they are part of the file path, otherwise use null.
+Respond with a JSON object: { "classification": "Movie" | "Episode" | "Special" | "Unrelated", "series": "Series Name" | null, "season": SeasonNumber | null, "episode": EpisodeNumber | null, "lastEpisode": LastEpisodeNumber | null, "year": Year | null, "title": "Title" | null, "airDate": "YYYY-MM-DD" | null }. Make sure that season, episode, lastEpisode and year are numbers.`;
+
+/**
+ * @param {string} classification
+ * @param {Partial<Extraction>} [ fields ]
+ * @returns {string}
+ */
+const extractionExample = (classification, fields = {}) => JSON.stringify({ classification, series: null, season: null, episode: null, lastEpisode: null, year: null, title: null, airDate: null, ...fields });
+
+const extractionExamples = [
+    {
+        input: '/Volumes/Movies/series/Family Guy/Season 03/Family Guy - S03E05 - And The Wiener Is.mkv',
+        output: extractionExample('Episode', { series: 'Family Guy', season: 3, episode: 5, title: 'And The Wiener Is' })
+    },
+    {
+        input: 'general/piracy-vbox-shared/rename/[Anime Time] Attack On Titan (Complete Series) (S01-S04+OVA) [Dual Audio][BD][1080p][HEVC 10bit x265][AAC][Eng Sub]/[Anime Time] Attack on titan (Season 02)/[Anime Time] Attack On Titan - 26.mkv',
+        output: extractionExample('Episode', { series: 'Attack On Titan', season: 2, episode: 26 })
+    },
+    {
+        input: '/Volumes/Movies/series/Family Guy/The Movie - Stewie Griffin The Untold Story (Uncensored)/Family Guy - Stewie Griffin The Untold Story (Uncensored).mkv',
+        output: extractionExample('Movie', { title: 'Stewie Griffin The Untold Story' })
+    },
+    {
+        input: 'general/piracy-vbox-shared/rename/[Anime Time] Attack On Titan (Complete Series) (S01-S04+OVA) [Dual Audio][BD][1080p][HEVC 10bit x265][AAC][Eng Sub]/[Anime Time] Attack on titan (Season 03)/NC/NCED 01.mkv',
+        output: extractionExample('Special', { series: 'Attack On Titan', season: 0, title: 'NCED 01' })
+    },
+    {
+        input: '/rename/Movies/series/Rome (2005) - 1080p Bluray AV1 OPUS 5.1 -jenkins/Season 01/Rome (2005) S01E01.mkv',
+        output: extractionExample('Episode', { series: 'Rome', season: 1, episode: 1, year: 2005 })
+    },
+    {
+        input: '/Volumes/Movies/other/Some Random File.mkv',
+        output: extractionExample('Unrelated')
+    },
+    {
+        input: '/rename/Movies/series/Star Wars The Clone Wars/Season S02/Star Wars The Clone Wars S02E20.mkv',
+        output: extractionExample('Episode', { series: 'Star Wars The Clone Wars', season: 2, episode: 20 })
+    },
+    {
+        input: '/Volumes/Movies/series/KAOS, 2160p NF WEB-DL DD+ 5.1 Atmos H.265-NTb/Season 01/KAOS, 2160p NF WEB-DL DD+ 5.1 Atmos H.265-NTb S01E01.mkv',
+        output: extractionExample('Episode', { series: 'KAOS', season: 1, episode: 1 })
+    },
+    {
+        input: 'The Mandalorian/Season 02/info.txt',
+        output: extractionExample('Unrelated')
+    },
+    {
+        input: 'Volumes/Movies/downloaded/raw/Black Mirror S07 (2025)/Black.Mirror S07E06.mkv',
+        output: extractionExample('Episode', { series: 'Black Mirror', season: 7, episode: 6 })
+    },
+    {
+        input: '/Volumes/general/piracy-vbox-shared/rename/Berserk/Season 01/[SWORDS] Berserk (1997) - 24 [E15C75DD].mkv',
+        output: extractionExample('Episode', { series: 'Berserk', season: 1, episode: 24, year: 1997 })
+    },
+    {
+        input: '/Volumes/general/piracy-vbox-shared/piracy-vbox-credentials.kdbx',
+        output: extractionExample('Unrelated')
+    },
+    {
+        input: '/Volumes/Movies/encoded-series/move/3 Body Problem S01E02.mkv',
+        output: extractionExample('Episode', { series: '3 Body Problem', season: 1, episode: 2 })
+    },
+    {
+        input: '/Movies/downloaded/raw/Game.of.Thrones.S04.1080p.BluRay.AV1.Opus.5.1-onlyfaffs/Game.of.Thrones.S04E01.Two.Swords.1080p.BluRay.AV1.Opus.5.1-onlyfaffs.mkv',
+        output: extractionExample('Episode', { series: 'Game of Thrones', season: 4, episode: 1, title: 'Two Swords' })
+    },
+    {
+        input: '/Volumes/Movies/series/Doctor Who (2005)/Doctor.Who.2005.The.Christmas.Invasion.720p.BluRay.x264.mkv',
+        output: extractionExample('Special', { series: 'Doctor Who', season: 0, year: 2005, title: 'The Christmas Invasion' })
+    },
+    {
+        input: '[Anime Time] Attack On Titan (Complete Series) (S01-S04+OVA)/OVA/[Anime Time] Attack On Titan - OVA 03 - Distress.mkv',
+        output: extractionExample('Special', { series: 'Attack On Titan', season: 0, episode: 3, title: 'Distress' })
+    },
+    {
+        input: '/Volumes/Movies/series/Doctor Who (2005)/Season 04/Doctor.Who.2005.Series.4.Episodes.12.and.13.The.Stolen.Earth.mkv',
+        output: extractionExample('Episode', { series: 'Doctor Who', season: 4, episode: 12, lastEpisode: 13, year: 2005, title: 'The Stolen Earth' })
+    },
+    {
+        input: '/Volumes/Movies/downloaded/Extras/NCED 01.mkv\nEmbedded metadata: show "Attack on Titan", title "Ending", duration 90 seconds',
+        output: extractionExample('Special', { series: 'Attack on Titan', season: 0, title: 'NCED 01' })
+    },
+    {
+        input: '/Volumes/Movies/series/The Tonight Show/The Tonight Show Starring Jimmy Fallon - March 14, 2024 - Guest Name.mkv',
+        output: extractionExample('Episode', { series: 'The Tonight Show Starring Jimmy Fallon', title: 'Guest Name', airDate: '2024-03-14' })
+    }
+];
+
+/**
+ * Extracts the classification, series, season, episode, year and title of a file in one consistent request.
+ * If the file name parser is confident about the series, season and episode (or the air date) of a video file, the LLM is not asked at all. Files in season 0 are specials.
+ * Otherwise fields the parser is confident about take precedence over the answer of the LLM. The LLM is asked config.votingSamples times,
+ * the answer most samples agree on wins and is scored by the agreement and by cross-checking it with the folders and the parser.
+ * Date-based episodes have no episode number, their season is the year of the air date.
+ * The metadata embedded in the container (see media.js) is given to the LLM below the path, its duration lowers the confidence of episodes and movies that are too short to be one.
+ * @param {string} filePath
+ * @returns {Promise<Extraction>} extraction
+ */
+export async function extractDetails(filePath) {
+
+    const parsed = parseFileName(filePath);
+    const media = readMediaInfo(filePath);
+    const extension = getExtension(filePath);
+    const parserIsConfident = parsed.series !== undefined && (parsed.airDate !== undefined || (parsed.season !== undefined && parsed.episode !== undefined))
+        && (extension === '' || VIDEO_EXTENSIONS.includes(extension));
+
+    let response;
+    let score = { confidence: 1, doubts: [] };
+    if (parserIsConfident) {
+        logger.debug(`Details of ${filePath} from parser: ${JSON.stringify(parsed)}`);
+        response = { classification: parsed.season === 0 ? 'Special' : 'Episode', series: null, season: null, episode: null, lastEpisode: null, year: null, title: null, airDate: null };
+        score = scoreDuration(response.classification, media?.duration);
+    } else {
+        try {
+            // Call Ollama API once per sample, the responses are validated against the schema
+            const description = describeMediaInfo(media);
+            const input = description ? `${filePath}\n${description}` : filePath;
+            const samples = await Promise.all(Array.from({ length: Math.max(1, config.votingSamples) }, (_, sample) =>
+                request(extractionSystem, input, extractionExamples, { task: 'extraction', schema: schemas.extraction, sample }).catch(error => {
+                    logger.warn(`Sample ${sample + 1} of ${filePath} failed: ${error.message}`);
+                    return null;
+                })
+            ));
+            const vote = voteOnSamples(samples);
+            response = vote.answer;
+            score = scoreAnswer(filePath, response, parsed, vote.agreement, media);
+        } catch (error) {
+            throw new Error(`Failed to extract details of the file from Ollama API: ${error.message}`);
+        }
+        if (score.doubts.length > 0) {
+            logger.debug(`Confidence of ${filePath}: ${score.confidence} (${score.doubts.join(', ')})`);
+        }
+    }
+
+    // an air date in the file name wins, the one of the LLM only counts if it did not find an episode number
+    const [ , year, month, day ] = (response.episode === null && response.airDate?.match(/^(\d{4})-(\d{2})-(\d{2})$/)) || [];
+    const airDate = response.classification === 'Episode' ? parsed.airDate ?? (year && toAirDate(year, month, day)) ?? null : null;
+    const airDateSource = parsed.airDate !== undefined || parserIsConfident ? 'parser' : 'llm';
+
+    // the range belongs to the episode number, so it comes from the same source
+    const episode = airDate ? null : parsed.episode ?? response.episode;
+    const lastEpisode = parsed.episode !== undefined ? parsed.lastEpisode : response.lastEpisode;
+
+    return {
+        classification: response.classification,
+        series: parsed.series ?? response.series,
+        season: airDate ? parseInt(airDate) : parsed.season ?? response.season,
+        episode,
+        lastEpisode: !airDate && lastEpisode > episode ? lastEpisode : null,
+        year: response.year,
+        title: response.title,
+        airDate,
+        sources: {
+            classification: parserIsConfident ? 'parser' : 'llm',
+            series: parsed.series !== undefined ? 'parser' : 'llm',
+            season: airDate ? airDateSource : parsed.season !== undefined ? 'parser' : 'llm',
+            episode: airDate ? airDateSource : parsed.episode !== undefined ? 'parser' : 'llm',
+            year: parserIsConfident ? 'parser' : 'llm',
+            title: parserIsConfident ? 'parser' : 'llm',
+            airDate: airDateSource
+        },
+        confidence: score.confidence,
+        doubts: score.doubts
+    };
+
+}
+
 /**
  * @typedef {Object} Details
  * @property {string} series - The name of the series.
- * @property {number} season - The season number.
- * @property {number} episode - The episode number.
+ * @property {number} season - The season number, 0 for specials and the year of the air date for date-based episodes.
+ * @property {number|null} episode - The episode number, the first one of multi-episode files. For specials, the number they are mapped to in the specials file wins. null for date-based episodes.
+ * @property {number|null} [ lastEpisode ] - The last episode number of multi-episode files, null otherwise.
+ * @property {number|null} [ year ] - The year of the series, if it is part of the path.
+ * @property {string|null} [ title ] - The title of the episode, if it is part of the path.
+ * @property {string|null} [ airDate ] - The air date of date-based episodes as 'YYYY-MM-DD', they are named with the date template (see template.js).
+ * @property {{ series: Source, season: Source, episode: Source, year: Source, title: Source, airDate: Source }} sources - Where each of the fields came from.
+ * @property {number} confidence - How much the extraction can be trusted, from 0 to 1.
+ * @property {string[]} doubts - Why the confidence is lower than 1.
  */
 /**
- * The file path actually needs to represent an episode.
+ * Replaces the series name and year with the ones of the metadata provider (see metadata.js), if one is configured and knows the series.
+ * @param {Extraction} extraction - Is changed in place.
+ * @returns {Promise<import('./metadata.js').SeriesMetadata|null>} the series, null if it is not known
+ */
+const resolveMetadata = async (extraction) => {
+    const provider = getMetadataProvider();
+    if (!provider || extraction.series === null) {
+        return null;
+    }
+
+    const series = await provider.findSeries(extraction.series, extraction.year);
+    if (!series) {
+        logger.debug(`${provider.name} does not know the series ${extraction.series}`);
+        return null;
+    }
+
+    extraction.series = series.name;
+    extraction.sources.series = 'metadata';
+    if (series.year) {
+        extraction.year = series.year;
+        extraction.sources.year = 'metadata';
+    }
+
+    return series;
+}
+
+/**
+ * Replaces the episode title with the one of the metadata provider, if it knows the episode.
+ * @param {Extraction} extraction - Is changed in place.
+ * @param {import('./metadata.js').SeriesMetadata|null} series
+ */
+const resolveEpisodeTitle = async (extraction, series) => {
+    if (!series || extraction.season === null || extraction.episode === null) {
+        return;
+    }
+
+    const episode = await getMetadataProvider().getEpisode(series, extraction.season, extraction.episode);
+    if (episode?.title) {
+        extraction.title = episode.title;
+        extraction.sources.title = 'metadata';
+    }
+}
+
+/**
+ * Applies the numbering mode of the series (see numbering.js) to an episode, using the episode counts of its seasons if they are known.
+ * - 'seasonal': an absolute episode number like the 59 of '[Group] Show - 59' is converted to the season and episode, e.g. 'S03E22'.
+ *   Numbers that fit into the season of the file are not absolute and kept.
+ * - 'absolute': the episode is named by its absolute number in season 1, e.g. 'S01E59'. Numbers in the file name without a season are absolute already,
+ *   seasonal ones like 'S03E22' are converted.
+ * @param {Extraction} extraction - Is changed in place.
+ * @param {import('./metadata.js').SeriesMetadata|null} series
+ * @param {string} filePath
+ */
+const resolveAbsoluteNumbering = (extraction, series, filePath) => {
+    if (extraction.classification !== 'Episode' || extraction.episode === null) {
+        return;
+    }
+
+    const counts = getEpisodeCounts(extraction.series, series);
+    const setNumbers = (season, episode) => {
+        const offset = extraction.episode - episode;
+        extraction.season = season;
+        extraction.episode = episode;
+        extraction.lastEpisode = extraction.lastEpisode !== null ? extraction.lastEpisode - offset : null;
+        extraction.sources.season = 'numbering';
+        extraction.sources.episode = 'numbering';
+    }
+
+    if (getNumberingMode(extraction.series) === 'absolute') {
+        // the season of '[Group] Show - 59' comes from its folder, the number itself is absolute
+        const named = parseFileName(path.basename(filePath));
+        const isAbsolute = named.episode !== undefined && named.season === undefined;
+        if (isAbsolute || extraction.season === null || (counts && isAbsoluteNumber(extraction.season, extraction.episode, counts))) {
+            setNumbers(1, extraction.episode);
+            return;
+        }
+        const absolute = counts && extraction.season > 1 ? toAbsolute(extraction.season, extraction.episode, counts) : undefined;
+        if (absolute !== undefined) {
+            logger.debug(`Converted season ${extraction.season} episode ${extraction.episode} of ${extraction.series} to the absolute episode ${absolute}`);
+            setNumbers(1, absolute);
+        } else if (extraction.season > 1) {
+            logger.warn(`The absolute number of season ${extraction.season} episode ${extraction.episode} of ${extraction.series} is not known, set the episode counts of its seasons`);
+        }
+        return;
+    }
+
+    if (!counts || !isAbsoluteNumber(extraction.season, extraction.episode, counts)) {
+        return;
+    }
+
+    const seasonal = toSeasonal(extraction.episode, counts);
+    if (!seasonal) {
+        logger.warn(`Episode ${extraction.episode} of ${extraction.series} is beyond the ${counts.length} known seasons, it is kept as it is`);
+        return;
+    }
+
+    logger.debug(`Converted the absolute episode ${extraction.episode} of ${extraction.series} to season ${seasonal.season} episode ${seasonal.episode}`);
+    setNumbers(seasonal.season, seasonal.episode);
+}
+
+/**
+ * The file path actually needs to represent an episode or a special.
+ * Fields the file name parser is confident about are taken from it, only the rest is asked from the LLM in one request.
+ * Spellings of the series that are registered in the alias registry (see aliases.js) are replaced with the canonical name.
+ * The canonical series name, year and episode title come from the metadata provider if it knows the series.
+ * Absolute episode numbers are converted to the season and episode if the numbering mode of the series asks for it (see numbering.js).
+ * Specials are always in season 0, their episode number can be set in the specials file (see specials.js).
  * @param {string} filePath 
  * @returns {Promise<Details>} details
  */
 export async function getDetails(filePath) {
 
-    const episodeNumber = await getEpisodeNumber(filePath);
-    const seriesName = await getSeriesName(filePath);
-    const seasonNumber = await getSeasonNumber(filePath);
+    const extraction = await extractDetails(filePath);
+
+    const canonical = extraction.series !== null ? resolveAlias(extraction.series) : undefined;
+    if (canonical !== undefined && canonical !== extraction.series) {
+        logger.debug(`Using the canonical name ${canonical} for ${extraction.series}`);
+        extraction.series = canonical;
+        extraction.sources.series = 'alias';
+    }
+
+    if (extraction.classification === 'Special' && extraction.series !== null) {
+        const mapped = getSpecialEpisodeNumber(extraction.series, filePath, extraction.title);
+        extraction.season = 0;
+        if (mapped !== undefined) {
+            extraction.episode = mapped;
+            extraction.lastEpisode = null;
+            extraction.sources.episode = 'specials';
+        } else if (extraction.episode === null) {
+            throw new Error(`No episode number found for the special ${filePath}, map it to an episode of season 0 in the specials file`);
+        }
+    }
+
+    const series = await resolveMetadata(extraction);
+    resolveAbsoluteNumbering(extraction, series, filePath);
+    await resolveEpisodeTitle(extraction, series);
+
+    // date-based episodes have no episode number
+    for (const field of extraction.airDate ? [ 'series', 'season' ] : [ 'series', 'season', 'episode' ]) {
+        if (extraction[field] === null) {
+            throw new Error(`No ${field} found for ${filePath} (classified as ${extraction.classification})`);
+        }
+    }
 
     return {
-        series: seriesName,
-        season: seasonNumber,
-        episode: episodeNumber
+        series: extraction.series,
+        season: extraction.season,
+        episode: extraction.episode,
+        lastEpisode: extraction.lastEpisode,
+        year: extraction.year,
+        title: extraction.title,
+        airDate: extraction.airDate,
+        sources: {
+            series: extraction.sources.series,
+            season: extraction.sources.season,
+            episode: extraction.sources.episode,
+            year: extraction.sources.year,
+            title: extraction.sources.title,
+            airDate: extraction.sources.airDate
+        },
+        confidence: extraction.confidence,
+        doubts: extraction.doubts
     };
 
 }
@@ -111,35 +471,9 @@ export async function getDetails(filePath) {
  * @returns {Promise<number>} episodeNumber
  */
 export async function getEpisodeNumber(filePath) {
-    // Prepare prompt for Ollama
-    const system = "It is your job to extract the episode number from file paths I give you. You will be given a file path and you must extract the episode number from the file path or name. Please remember that sometimes the episode numbers can be in weird formats Respond with a JSON object: { 'episode': EpisodeNumber }. Make sure that the field is a number";
-    const examples = [
-        {
-            input: '/Volumes/Movies/series/Family Guy/Season 03/Family Guy - S03E05 - And The Wiener Is.mkv',
-            output: JSON.stringify({ 'episode': 5 })
-        },
-        {
-            input: 'general/piracy-vbox-shared/rename/[Anime Time] Attack On Titan (Complete Series) (S01-S04+OVA) [Dual Audio][BD][1080p][HEVC 10bit x265][AAC][Eng Sub]/[Anime Time] Attack on titan (Season 02)/[Anime Time] Attack On Titan - 26.mkv',
-            output: JSON.stringify({ 'episode': 26 })
-        },
-    ]
-
     try {
-        // Call Ollama API
-        const jsonResponse = await request(system, filePath, examples);
-
-        // check if the response contains the episode number
-        if (!jsonResponse.episode) {
-            throw new Error('Episode number not found in the response');
-        }
-
-        // check if the episode number is typeof number
-        if (isNaN(parseInt(jsonResponse.episode))) {
-            throw new Error('Episode number is not a number');
-        }
-
-        const episodeNumber = parseInt(jsonResponse.episode);
-        return episodeNumber;
+        const details = await getDetails(filePath);
+        return details.episode;
     } catch (error) {
         throw new Error(`Failed to get episode number of the file from Ollama API: ${error.message}`);
     }
@@ -151,55 +485,9 @@ export async function getEpisodeNumber(filePath) {
  * @returns {Promise<string>} seriesName
  */
 export async function getSeriesName(filePath) {
-
-    // Prepare prompt for Ollama
-    const system = "It is your job to extract the full series name from file paths I give you. You will be given a file path and you must extract the complete series name from the file path or name. Return exactly the Series Name, without the year or any other additions/removals.Respond with a JSON object: { 'series': 'Series Name' }.";
-
-    const examples = [
-        {
-            input: '/Volumes/Movies/series/Family Guy/Season 03/Family Guy - S03E05 - And The Wiener Is.mkv',
-            output: JSON.stringify({ 'series': "Family Guy" })
-        },
-        {
-            input: '[Anime Time] Attack On Titan (Complete Series) (S01-S04+OVA) [Dual Audio][BD][1080p][HEVC 10bit x265][AAC][Eng Sub]',
-            output: JSON.stringify({ 'series': "Attack On Titan" })
-        },
-        {
-            input: 'general/piracy-vbox-shared/rename/[Anime Time] Attack On Titan (Complete Series) (S01-S04+OVA) [Dual Audio][BD][1080p][HEVC 10bit x265][AAC][Eng Sub]/[Anime Time] Attack on titan (Season 02)/[Anime Time] Attack On Titan - 26.mkv',
-            output: JSON.stringify({ 'series': "Attack On Titan" })
-        },
-        {
-            input: '/rename/Movies/series/Star Wars The Clone Wars/Season S02/Star Wars The Clone Wars S02E20.mkv',
-            output: JSON.stringify({ 'series': "Star Wars The Clone Wars" })
-        },
-        {
-            input: '/rename/Movies/series/Rome (2005) - 1080p Bluray AV1 OPUS 5.1 -jenkins/Season 01/Rome (2005) S01E01.mkv',
-            output: JSON.stringify({ 'series': "Rome" })
-        },
-        {
-            input: '/rename/Movies/series/Star Wars The Clone Wars/Season S04/Star Wars The Clone Wars S04E20.mkv',
-            output: JSON.stringify({ 'series': "Star Wars The Clone Wars" })
-        },
-        {
-            input: '/Volumes/Movies/encoded-series/move/3 Body Problem S01E02.mkv',
-            output: JSON.stringify({ 'series': "3 Body Problem" })
-        },
-        {
-            input: 'Daredevil Born Again S01 (2025)',
-            output: JSON.stringify({ 'series': "Daredevil Born Again" })
-        }
-    ]
-
     try {
-        // Call Ollama API
-        const jsonResponse = await request(system, filePath, examples);
-
-        // check if the response contains the series name
-        if (!jsonResponse.series) {
-            throw new Error('Series name not found in the response');
-        }
-
-        return jsonResponse.series;
+        const details = await getDetails(filePath);
+        return details.series;
     } catch (error) {
         throw new Error(`Failed to get series name of the file from Ollama API: ${error.message}`);
     }
@@ -211,40 +499,9 @@ export async function getSeriesName(filePath) {
  * @returns {Promise<number>} seasonNumber
  */
 export async function getSeasonNumber(filePath) {
-
-    // Prepare prompt for Ollama
-    const system = "It is your job to extract the season number from file paths I give you. You will be given a file path and you must extract the season number from the file path or name. Please remember that sometimes the season numbers can be in weird formats Respond with a JSON object: { 'season': 'Season Number' }";
-
     try {
-        const examples = [
-            {
-                input: 'general/piracy-vbox-shared/rename/[Anime Time] Attack On Titan (Complete Series) (S01-S04+OVA) [Dual Audio][BD][1080p][HEVC 10bit x265][AAC][Eng Sub]/[Anime Time] Attack on titan (Season 02)/[Anime Time] Attack On Titan - 26.mkv',
-                output: JSON.stringify({ 'season': 2 })
-            },
-            {
-                input: '/Volumes/Movies/downloaded/encode/Vinland Saga S01E24.mkv',
-                output: JSON.stringify({ 'season': 1 })
-            },
-            {
-                input: 'Volumes/Movies/downloaded/raw/Black Mirror S07 (2025)/Black.Mirror S07E06.mkv ',
-                output: JSON.stringify({ 'season': 7 })
-            },
-            {
-                input: 'Daredevil Born Again S01 (2025)/Daredevil Born Again S01E06',
-                output: JSON.stringify({ 'season': 1 })
-            }
-        ];
-
-        // Call Ollama API
-        const jsonResponse = await request(system, filePath, examples);
-        
-        // check if the response contains the season number
-        if (!jsonResponse.season) {
-            throw new Error('Season number not found in the response');
-        }
-
-        const seasonNumber = parseInt(jsonResponse.season);
-        return seasonNumber;
+        const details = await getDetails(filePath);
+        return details.season;
     } catch (error) {
         throw new Error(`Failed to get season number of the file from Ollama API: ${error.message}`);
     }
@@ -334,13 +591,8 @@ If even one file does not match the format, return false. If all files match the
     ]
 
     try {
-        // Call Ollama API
-        const jsonResponse = await request(system, JSON.stringify(filePaths), examples);
-
-        // check if the response contains the matches field
-        if (jsonResponse.matches == null || jsonResponse.matches == undefined || typeof jsonResponse.matches !== 'boolean') {
-            throw new Error('Matches field not found in the response');
-        }
+        // Call Ollama API, the response is validated against the schema
+        const jsonResponse = await request(system, JSON.stringify(filePaths), examples, { task: 'classification', schema: schemas.formatCheck });
 
         return jsonResponse.matches;
     } catch (error) {
@@ -350,7 +602,10 @@ If even one file does not match the format, return false. If all files match the
 }
 
 /**
- * Goes through all the files and checks if they match the format 'Series Name - SXXEYY' If even one file does not match the format, return false. If all files match the format, return true.
+ * Goes through all the files and checks if they match the file name of the naming template (see template.js), e.g. 'Series Name SXXEYY'. If even one file does not match the format, return false. If all files match the format, return true.
+ * The check is derived from the same template the files are renamed with, so both always agree.
+ * The series name is resolved once from the first file (including the alias registry, see aliases.js), so every other spelling of the series does not match.
+ * If the first file is a date-based episode, the files are checked against the date template, e.g. 'Series Name YYYY-MM-DD'.
  * Returns true if the given list is empty.
  * @param {string[]} filePaths 
  * @returns {Promise<boolean>} returns true if all episodes match the format, false otherwise
@@ -363,27 +618,25 @@ export async function checkIfEpisodeMatchesFormatInBatch(filePaths) {
         }
     
         const classification = await classifyFile(filePaths[0]);
-        if(classification !== 'Episode') {
+        if(classification !== 'Episode' && classification !== 'Special') {
             logger.debug("Couldn't check if episode matches format in batch because the first file is not an episode. First file: ", filePaths[0]);
             return false;
         }
         
-        const seriesName = await getSeriesName(filePaths[0]);
-        const seasonNumber = await getSeasonNumber(filePaths[0]);
+        const details = await getDetails(filePaths[0]);
     
-        const paddedSeasonNumber = seasonNumber.toString().padStart(2, '0');
+        // all files of the folder need to have the series and season of the first one, date-based episodes are checked against the date template
+        const regex = getEpisodeFileNamePattern({ series: details.series, season: details.season }, getTemplateFor(details));
     
         const matches = filePaths.every(filePath => {
             // remove the directory path and file extension, keep only the file name
             const fileName = path.basename(filePath);
             const fileNameWithoutExtension = path.parse(fileName).name;
     
-            const exp = `^${seriesName} S${paddedSeasonNumber}E\\d{2}$`;
-            const regex = new RegExp(exp);
             const match = regex.test(fileNameWithoutExtension);
     
             if(!match) {
-                logger.debug(`File "${fileNameWithoutExtension}" did not match the format ("${seriesName} S${paddedSeasonNumber}EXX").`);
+                logger.debug(`File "${fileNameWithoutExtension}" did not match the format (${regex}).`);
             }
     
             return match;
@@ -399,146 +652,407 @@ export async function checkIfEpisodeMatchesFormatInBatch(filePaths) {
 }
 
 /**
- * 
- * @param {string} seriesName 
- * @param {number} seasonNumber 
- * @param {number} episodeNumber 
+ * Returns the new file name of an episode according to the naming template (see template.js), e.g. 'Series Name SXXEYY.mkv' or 'Series Name SXXEYY-EZZ.mkv' for multi-episode files.
+ * @param {Details} details 
  * @param {string} filePath 
  * @returns {Promise<string>} newFileName
  */
-async function getNewFileName(seriesName, seasonNumber, episodeNumber, filePath) {
+async function getNewFileName(details, filePath) {
     
-    return `${seriesName} S${seasonNumber.toString().padStart(2, '0')}E${episodeNumber.toString().padStart(2, '0')}${path.extname(filePath)}`;
+    return getEpisodeFileName(details, path.extname(filePath));
 
 }
 
 /**
- * 
- * @param {string} dir the directory to rename files in 
+ * @typedef {Object} MissingEpisodes
+ * @property {string} series
+ * @property {number} season
+ * @property {number[]} episodes - The episode numbers that are missing between the first and the last episode of the season.
  */
-export async function renameFilesInDirectory(dir) {
-    const result = await traverseDirectory(dir);
+/**
+ * Finds gaps in the episodes of each season, multi-episode files cover every episode of their range.
+ * Only episodes between the lowest and the highest known episode of a season are reported, since the total number of episodes is not known.
+ * @param {Details[]} episodes
+ * @returns {MissingEpisodes[]} missing - One entry for every season with gaps.
+ */
+export const findMissingEpisodes = (episodes) => {
+    const seasons = new Map();
 
-    // check whether the files are in the correct format already
-    const matchesFormat = await checkIfEpisodeMatchesFormatInBatch(result.files);
-    if(matchesFormat) {
+    for (const { series, season, episode, lastEpisode } of episodes) {
+        const key = JSON.stringify([ series, season ]);
+        if (!seasons.has(key)) {
+            seasons.set(key, { series, season, covered: new Set() });
+        }
+        for (let number = episode; number <= Math.max(episode, lastEpisode ?? episode); number++) {
+            seasons.get(key).covered.add(number);
+        }
+    }
 
-        logger.info(`All files in ${dir} are already in the correct format.`);
+    const missing = [];
+    for (const { series, season, covered } of seasons.values()) {
+        const numbers = [ ...covered ];
+        const episodesMissing = [];
+        for (let number = Math.min(...numbers); number <= Math.max(...numbers); number++) {
+            if (!covered.has(number)) {
+                episodesMissing.push(number);
+            }
+        }
+        if (episodesMissing.length > 0) {
+            missing.push({ series, season, episodes: episodesMissing });
+        }
+    }
 
-    } else {
+    return missing;
+}
 
-        for (const file of result.files) {
-            try {
+/**
+ * @typedef {Object} MovieDetails
+ * @property {string} title - The title of the movie.
+ * @property {number|null} year - The release year, null if it is not known.
+ * @property {{ title: Source, year: Source }} sources - Where each of the fields came from.
+ */
+/**
+ * The file path actually needs to represent a movie.
+ * If the file name parser finds a title and a year, the LLM is not asked at all.
+ * @param {string} filePath
+ * @returns {Promise<MovieDetails>} details
+ */
+export async function getMovieDetails(filePath) {
 
-                // Check whether the file is actually a episode
-                const classification = await classifyFile(file);
-                if(classification !== 'Episode') {
-                    logger.info(`Skipping: ${file} (Not an episode)`);
-                    continue;
-                }
+    const parsed = parseMovieFileName(filePath);
+    if (parsed.title !== undefined) {
+        logger.debug(`Movie details of ${filePath} from parser: ${JSON.stringify(parsed)}`);
+        return { title: parsed.title, year: parsed.year, sources: { title: 'parser', year: 'parser' } };
+    }
 
-                // Get details from the file
-                const details = await getDetails(file);
+    const extraction = await extractDetails(filePath);
+    if (!extraction.title) {
+        throw new Error(`No movie title found for ${filePath} (classified as ${extraction.classification})`);
+    }
 
-                const newFileName = await getNewFileName(details.series, details.season, details.episode, file);
-                const newFilePath = path.join(path.dirname(file), newFileName);
+    return { title: extraction.title, year: extraction.year, sources: { title: 'llm', year: 'llm' } };
 
-                // Rename the file
-                fs.renameSync(file, newFilePath);
+}
 
-                // Print the renaming action
-                logger.info(`Renamed: ${file} -> ${newFilePath}`);
-            } catch (error) {
-                console.error(`Failed to rename ${file}: ${error.message}`);
-            }
+/**
+ * Returns the name Jellyfin expects for the folder and the file of a movie: 'Title (Year)'.
+ * Characters that are not allowed in file names are removed, a colon becomes ' -'.
+ * @param {string} title
+ * @param {number|null} year
+ * @returns {string} movieName
+ */
+export const getMovieName = (title, year) => {
+    const name = year ? `${title} (${year})` : title;
+
+    return sanitizeFileName(name);
+}
+
+/**
+ * Finds the series folder a file is in, which is the closest parent folder that contains a 'Season XX' or 'Specials' folder.
+ * @param {string} filePath
+ * @param {string} [ root ] - Folders above this one are not checked.
+ * @returns {string|null} the series folder, null if the file is not inside a series folder
+ */
+export const findSeriesFolder = (filePath, root) => {
+    let folder = path.dirname(filePath);
+    const top = root ? path.dirname(path.resolve(root)) : path.parse(path.resolve(folder)).root;
+
+    while (path.resolve(folder) !== top && fs.existsSync(folder)) {
+        const hasSeasonFolders = fs.readdirSync(folder, { withFileTypes: true })
+            .some(entry => entry.isDirectory() && /^(Season\s*\d+|Specials)$/i.test(entry.name));
+        if (hasSeasonFolders) {
+            return folder;
+        }
+        if (path.dirname(folder) === folder) {
+            break;
         }
+        folder = path.dirname(folder);
+    }
+
+    return null;
+}
 
+/**
+ * Generates the new path of a movie in the form 'Title (Year)/Title (Year).ext'.
+ * - Movies inside a series folder (e.g. 'Family Guy/The Movie - .../...mkv') are moved next to the series folder, or into config.moviesDir if it is set.
+ * - If the movie is the only video in its folder, that folder is replaced by the movie folder, unless it is the root folder.
+ * - Otherwise the movie folder is created inside the current folder.
+ * @param {string} filePath - The file path actually needs to represent a movie.
+ * @param {string} [ root ] - The folder that is being renamed, the movie is never moved above it unless it is inside a series folder.
+ * @returns {Promise<string>} newFilePath
+ */
+export const generateNewMovieFilePath = async (filePath, root) => {
+
+    const details = await getMovieDetails(filePath);
+    const movieName = getMovieName(details.title, details.year);
+    const parent = path.dirname(filePath);
+
+    let base = parent;
+    const seriesFolder = findSeriesFolder(filePath, root);
+    if (seriesFolder) {
+        base = config.moviesDir || path.dirname(seriesFolder);
+    } else if (path.basename(parent) === movieName) {
+        base = path.dirname(parent);
+    } else if (root && path.resolve(parent) !== path.resolve(root) && fs.existsSync(parent)) {
+        const videos = fs.readdirSync(parent).filter(entry => VIDEO_EXTENSIONS.includes(getExtension(entry)));
+        if (videos.length === 1) {
+            base = path.dirname(parent);
+        }
     }
 
-    // Also rename files in subdirectories
-    for (const subfolder of result.subfolders) {
-        await renameFilesInDirectory(subfolder.path);
+    return path.join(base, movieName, `${movieName}${path.extname(filePath)}`);
+
+}
+
+/**
+ * Returns the new path of an episode or special with the given details. The file is renamed according to the naming template and stays in its folder,
+ * specials and date-based episodes inside a series folder are moved into their season folder, e.g. 'Season 00' or 'Season 2024'.
+ * @param {string} file
+ * @param {string} root - The folder that is being renamed.
+ * @param {'Episode'|'Special'} classification
+ * @param {Details} details
+ * @returns {Promise<string>} newFilePath
+ */
+export async function getNewEpisodeFilePath(file, root, classification, details) {
+
+    const newFileName = await getNewFileName(details, file);
+
+    const seriesFolder = classification === 'Special' || details.airDate ? findSeriesFolder(file, root) : null;
+    const folders = getEpisodeFolders(details);
+    if (seriesFolder && folders.length > 1) {
+        return path.join(seriesFolder, folders[folders.length - 1], newFileName);
     }
+
+    return path.join(path.dirname(file), newFileName);
+
 }
 
 /**
- * Classify a given file path using the Ollama API to determine if it's a 'Movie', 'Episode', or 'Unrelated'.
- * @param {string} filePath - The full path to the file.
- * @returns {Promise<string>} - The classification result: 'Movie', 'Episode', or 'Unrelated'.
+ * Proposes the new name of a single file.
+ * @param {string} file
+ * @param {string} root - The folder that is being renamed.
+ * @returns {Promise<import('./plan.js').Operation|null>} operation - null if the file should not be renamed, the operation keeps the path if the file already has the correct name.
  */
-export const classifyFile = async (filePath) => {
+async function planRenameOfFile(file, root) {
     try {
-        // Prepare the prompt for the Ollama API
-        const system = `It is your job to classify file paths I give you. 
-You will be given a file path and you must classify it as a { "classification": "Movie" }, an { "classification": "Episode" }, or { "classification": "Unrelated" }. 
-If the file ending is the file ending of a video file it is most likely a movie or episode. If it doesn't contain a season and episode number, it is most likely a movie. If the file name contains the word "Movie" it is most likely a movie.
-If you are unsure or the file is unrelated, classify it as 'Unrelated'. 
-Respond with a JSON object: { "classification": "Movie" | "Episode" | "Unrelated" }`;
-
-        const examples = [
-            {
-                input: '/Volumes/Movies/series/Family Guy/The Movie - Stewie Griffin The Untold Story (Uncensored)/Family Guy - Stewie Griffin The Untold Story (Uncensored).mkv',
-                output: JSON.stringify({ classification: 'Movie' })
-            },
-            {
-                input: 'general/piracy-vbox-shared/rename/[Anime Time] Attack On Titan (Complete Series) (S01-S04+OVA) [Dual Audio][BD][1080p][HEVC 10bit x265][AAC][Eng Sub]/[Anime Time] Attack on titan (Season 03)/NC/NCED 01.mkv',
-                output: JSON.stringify({ classification: 'Unrelated' })
-            },
-            {
-                input: '/Volumes/Movies/series/Family Guy/Season 03/Family Guy - S03E05 - And The Wiener Is.mkv',
-                output: JSON.stringify({ classification: 'Episode' })
-            },
-            {
-                input: '/Volumes/Movies/other/Some Random File.mkv',
-                output: JSON.stringify({ classification: "Unrelated" })
-            },
-            {
-                input: '/Volumes/Movies/series/KAOS, 2160p NF WEB-DL DD+ 5.1 Atmos H.265-NTb/Season 01/KAOS, 2160p NF WEB-DL DD+ 5.1 Atmos H.265-NTb S01E01.mkv',
-                output: JSON.stringify({ classification: "Episode" })
-            },
-            {
-                input: '/Volumes/Movies/series/output.txt',
-                output: JSON.stringify({ classification: "Unrelated" })
-            },
-            {
-                input: 'The Mandalorian/Season 02/info.txt',
-                output: JSON.stringify({ classification: "Unrelated" })
-            },
-            {
-                input: 'The Witcher/The Movie.mp4',
-                output: JSON.stringify({ classification: "Movie" })
-            },
-            {
-                input: '/Volumes/general/piracy-vbox-shared/rename/Attack On Titan (2013) - 1080p Blu-Ray AAC 2.0 x265-AnimeTime/Season 03/[Anime Time] Attack On Titan - 59.mkv',
-                output: JSON.stringify({ classification: "Episode" })
-            },
-            {
-                input: '/Volumes/general/piracy-vbox-shared/piracy-vbox-credentials.kdbx',
-                output: JSON.stringify({ classification: "Unrelated" })
-            },
-            {
-                input: '/Volumes/general/piracy-vbox-shared/rename/Berserk/Season 01/[SWORDS] Berserk (1997) - 24 [E15C75DD].mkv',
-                output: JSON.stringify({ classification: "Episode" })
-            },
-            {
-                input: '/Movies/downloaded/raw/Game.of.Thrones.S04.1080p.BluRay.AV1.Opus.5.1-onlyfaffs/Game.of.Thrones.S04E01.Two.Swords.1080p.BluRay.AV1.Opus.5.1-onlyfaffs.mkv',
-                output: JSON.stringify({ classification: "Episode" })
-            }
-        ]
 
-        // Request the classification from Ollama API
-        const response = await request(system, filePath, examples);
+        // Check whether the file is actually a episode, special or movie, the details are extracted in the same request
+        const { classification, confidence, doubts } = await extractDetails(file);
+        if(classification !== 'Episode' && classification !== 'Special' && classification !== 'Movie') {
+            logger.info(`Skipping: ${file} (Not an episode, special or movie)`);
+            return null;
+        }
+
+        let details;
+        let newFilePath;
+        if(classification === 'Movie') {
+
+            details = await getMovieDetails(file);
+            newFilePath = await generateNewMovieFilePath(file, root);
 
-        // Check if the response contains a valid classification
-        if (response && response.classification) {
-            return response.classification;
         } else {
-            // Handle the case where the response is not as expected
-            throw new Error('Invalid response from Ollama API');
+
+            // Get details from the file (answered from the cache of the extraction above)
+            details = await getDetails(file);
+            newFilePath = await getNewEpisodeFilePath(file, root, classification, details);
+
         }
+
+        return { from: file, to: newFilePath, classification, details, confidence, doubts };
+    } catch (error) {
+        logger.error(`Failed to plan rename of ${file}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Returns what makes spellings of a series name the same: the name without case, punctuation and a year at the end.
+ * @param {string} series
+ * @returns {string}
+ */
+const getSeriesKey = (series) => {
+    const withoutYear = series.replace(/\s*[([]?(?:19|20)\d{2}[)\]]?\s*$/, '');
+
+    return normalizeName(withoutYear || series);
+}
+
+/**
+ * Makes the series names of the episodes consistent. Inside a series folder (or the folder of a release if there is none), spellings of the same series
+ * that only differ in case, punctuation or a year at the end (e.g. 'Attack On Titan', 'Attack on titan' and 'Attack On Titan (2013)') get the same name:
+ * the one from the metadata provider, the alias registry or a correction if there is one, otherwise the one most files got.
+ * @param {import('./plan.js').Operation[]} operations - Including the files that already have the correct name.
+ * @param {string} root - The folder that is being renamed.
+ * @returns {Promise<import('./plan.js').Operation[]>} operations - The renamed ones are replaced with new operations, the order is kept.
+ */
+async function harmonizeSeriesNames(operations, root) {
+    const groups = new Map();
+    for (const operation of operations) {
+        if (operation.sidecarOf || !operation.details?.series || (operation.classification !== 'Episode' && operation.classification !== 'Special')) {
+            continue;
+        }
+        const scope = findSeriesFolder(operation.from, root) || path.dirname(operation.from);
+        const key = JSON.stringify([ scope, getSeriesKey(operation.details.series) ]);
+        groups.set(key, [ ...(groups.get(key) || []), operation ]);
+    }
+
+    const harmonized = new Map();
+    for (const group of groups.values()) {
+        const spellings = new Map();
+        group.forEach((operation, index) => {
+            const spelling = spellings.get(operation.details.series) || { count: 0, trusted: false, index };
+            spelling.count++;
+            spelling.trusted ||= [ 'metadata', 'alias', 'manual' ].includes(operation.details.sources?.series);
+            spellings.set(operation.details.series, spelling);
+        });
+        if (spellings.size < 2) {
+            continue;
+        }
+
+        const [ [ series ] ] = [ ...spellings ].sort(([ , a ], [ , b ]) => b.trusted - a.trusted || b.count - a.count || a.index - b.index);
+        logger.info(`Using the series name ${series} instead of ${[ ...spellings.keys() ].filter(spelling => spelling !== series).join(', ')}`);
+
+        for (const operation of group.filter(operation => operation.details.series !== series)) {
+            const details = { ...operation.details, series };
+            harmonized.set(operation, { ...operation, details, to: await getNewEpisodeFilePath(operation.from, root, operation.classification, details) });
+        }
+    }
+
+    // sidecar files follow their video
+    const videoTargets = new Map();
+    return operations.map(operation => {
+        if (operation.sidecarOf) {
+            const to = videoTargets.get(operation.sidecarOf);
+            return to ? { ...operation, to: getNewSidecarPath({ suffix: operation.details.suffix }, to) } : operation;
+        }
+        const replacement = harmonized.get(operation);
+        if (replacement) {
+            videoTargets.set(operation.from, replacement.to);
+        }
+        return replacement || operation;
+    });
+}
+
+/**
+ * Lists the directory and its subdirectories up to the depth, in the order of the directory tree. The tree is only read once.
+ * @param {string} dir
+ * @param {number} depth
+ * @returns {{ path: string, files: string[] }[]} directories
+ */
+const listDirectories = (dir, depth) => {
+    const directories = [];
+    const collect = (directory, level) => {
+        directories.push({ path: directory.path, files: directory.files });
+        if (level > 0) {
+            directory.subfolders.forEach(subfolder => collect(subfolder, level - 1));
+        }
+    }
+    collect(traverseDirectory(dir), depth);
+
+    return directories;
+}
+
+/**
+ * Collects the proposed names of the files in the directory tree, including the files that already have the correct name.
+ * Directories whose files are in the correct format already are left out. The files of all other directories are planned together,
+ * so config.concurrency limits the requests to the LLM no matter how deep the tree is.
+ * @param {string} dir
+ * @param {string} root
+ * @param {number} depth
+ * @returns {Promise<import('./plan.js').Operation[]>} operations
+ */
+async function collectRenamesInDirectory(dir, root, depth) {
+    const directories = listDirectories(dir, depth).map(directory => {
+        const sidecars = findSidecars(directory.files);
+        return { ...directory, sidecars, files: directory.files.filter(file => !sidecars.some(sidecar => sidecar.path === file)) };
+    });
+
+    // check whether the files are in the correct format already
+    const matchesFormat = await mapWithConcurrency(directories, config.concurrency, directory => checkIfEpisodeMatchesFormatInBatch(directory.files));
+    const pending = directories.filter((directory, index) => {
+        if (matchesFormat[index]) {
+            logger.info(`All files in ${directory.path} are already in the correct format.`);
+        }
+        return !matchesFormat[index];
+    });
+
+    const files = pending.flatMap(directory => directory.files);
+    const sidecars = pending.flatMap(directory => directory.sidecars);
+    const planned = await mapWithConcurrency(files, config.concurrency, file => planRenameOfFile(file, root));
+
+    const operations = [];
+    for (const operation of planned.filter(operation => operation !== null)) {
+        operations.push(operation);
+        for (const sidecar of sidecars.filter(sidecar => sidecar.video === operation.from)) {
+            operations.push({ from: sidecar.path, to: getNewSidecarPath(sidecar, operation.to), classification: 'Sidecar', details: { suffix: sidecar.suffix }, sidecarOf: operation.from });
+        }
+    }
+
+    return operations;
+}
+
+/**
+ * Walks the directory tree the same way renameFilesInDirectory does, but only collects the proposed renames instead of executing them.
+ * The files of all folders are processed concurrently (see config.concurrency), but the operations keep the order of the directory tree.
+ * Sidecar files (subtitles, NFO files and artwork, see sidecar.js) are not classified themselves, they follow their video right after it.
+ * The series names are made consistent per series folder afterwards (see harmonizeSeriesNames).
+ * @param {string} dir the directory to plan the renames for
+ * @param {string} [ root ] the folder the planning started in, defaults to dir
+ * @param {number} [ depth ] how many levels of subdirectories are planned too, defaults to config.maxDepth
+ * @returns {Promise<import('./plan.js').Operation[]>} operations
+ */
+export async function planRenameFilesInDirectory(dir, root = dir, depth = config.maxDepth) {
+    const operations = await harmonizeSeriesNames(await collectRenamesInDirectory(dir, root, depth), root);
+
+    return operations.filter(operation => {
+        if (operation.to === operation.from) {
+            logger.info(`Skipping: ${operation.from} (Already has the correct name)`);
+            return false;
+        }
+        logger.debug(`Planned: ${operation.from} -> ${operation.to}`);
+        return true;
+    });
+}
+
+/**
+ * Plans the renames of the directory and resolves the files that would end up with the same name with the conflict policy (see conflicts.js).
+ * Files whose details have a confidence below config.confidenceThreshold are put on the review list of the plan instead.
+ * @param {string} dir
+ * @returns {Promise<import('./plan.js').Plan>} plan
+ */
+export async function createRenamePlan(dir) {
+    const { operations: confident, review } = splitByConfidence(await planRenameFilesInDirectory(dir));
+    const { operations, conflicts } = resolveConflicts(confident, { root: dir });
+
+    return createPlan(dir, operations, conflicts, review);
+}
+
+/**
+ * 
+ * @param {string} dir the directory to rename files in 
+ * @returns {Promise<import('./plan.js').OperationResult[]>} results
+ */
+export async function renameFilesInDirectory(dir) {
+    const plan = await createRenamePlan(dir);
+    for (const operation of plan.review.filter(operation => !operation.sidecarOf)) {
+        logger.warn(`Needs review: ${operation.from} -> ${operation.to} (confidence ${operation.confidence}: ${operation.doubts.join(', ')})`);
+    }
+
+    return applyPlan(plan, 'rename');
+}
+
+/**
+ * Classify a given file path to determine if it's a 'Movie', 'Episode', 'Special' or 'Unrelated'.
+ * It shares the request with the other details of the file, so the answers can't contradict each other.
+ * @param {string} filePath - The full path to the file.
+ * @returns {Promise<string>} - The classification result: 'Movie', 'Episode', 'Special' or 'Unrelated'.
+ */
+export const classifyFile = async (filePath) => {
+    try {
+        const extraction = await extractDetails(filePath);
+        return extraction.classification;
     } catch (error) {
         // Handle any errors and return a fallback classification
-        console.error('Error during file classification:', error);
+        logger.error(`Error during file classification of ${filePath}: ${error.message}`);
         return 'Unrelated';  // Return 'Unrelated' as fallback in case of an error
     }
 };
@@ -546,47 +1060,106 @@ Respond with a JSON object: { "classification": "Movie" | "Episode" | "Unrelated
 /**
  * 
  * @param {string} dir 
+ * @param {number} [ depth ] how many levels of subdirectories are checked too, defaults to config.maxDepth
+ * @returns {Promise<string[]>} the folders whose files are not in the correct format
  */
-export const printFoldersWithWrongFormat = async (dir) => {
-    const result = await traverseDirectory(dir);
+export const printFoldersWithWrongFormat = async (dir, depth = config.maxDepth) => {
+    const folders = [];
 
-    const matchesFormat = await checkIfEpisodeMatchesFormatInBatch(result.files);
+    // the tree is read once, the folders are checked one after the other
+    for (const directory of listDirectories(dir, depth)) {
 
-    if(matchesFormat) {
+        // sidecar files keep the name of their video plus a suffix, they are not checked
+        const sidecars = findSidecars(directory.files);
+        const matchesFormat = await checkIfEpisodeMatchesFormatInBatch(directory.files.filter(file => !sidecars.some(sidecar => sidecar.path === file)));
 
-        // logger.info(`All files in ${dir} are already in the correct format.`);
+        if(!matchesFormat) {
+            logger.warn(`Files in ${directory.path} are not in the correct format:`);
+            folders.push(directory.path);
+        }
 
-    } else {
+    }
 
-        logger.warn(`Files in ${dir} are not in the correct format:`);
+    return folders;
+}
 
+/**
+ * Warns about the episodes that are missing in each season of the files in the directory and its subdirectories.
+ * @param {string} dir
+ * @returns {Promise<MissingEpisodes[]>} missing
+ */
+export const printMissingEpisodes = async (dir) => {
+    const files = [];
+    const collect = (directory, depth) => {
+        files.push(...directory.files);
+        if (depth > 0) {
+            directory.subfolders.forEach(subfolder => collect(subfolder, depth - 1));
+        }
     }
+    collect(traverseDirectory(dir), config.maxDepth);
+
+    const extractions = await mapWithConcurrency(files, config.concurrency, async (file) => {
+        try {
+            return await extractDetails(file);
+        } catch (error) {
+            logger.error(`Failed to extract details of ${file}: ${error.message}`);
+            return null;
+        }
+    });
+    const episodes = extractions.filter(extraction => extraction?.classification === 'Episode' && extraction.series !== null && extraction.season !== null && extraction.episode !== null);
 
-    // Also check files in subdirectories
-    for (const subfolder of result.subfolders) {
-        await printFoldersWithWrongFormat(subfolder.path);
+    const missing = findMissingEpisodes(episodes);
+    for (const { series, season, episodes: numbers } of missing) {
+        logger.warn(`${series} season ${season} is missing episodes: ${numbers.join(', ')}`);
     }
+
+    return missing;
 }
 
 /**
  * 
  * @param {string} filePath - file name with extension with. The file name needs to actually represent an episode.
+ * @param {Details} [ details ] - The details of the file if they were already extracted, otherwise they are extracted from the path.
  * @returns {Promise<string>} - file path with correct parent folders. Be aware that it tries to reuse existing parent folders.  
  */
-export const generateNewFilePathIncludingParentFolders = async (filePath) => {
+export const generateNewFilePathIncludingParentFolders = async (filePath, details) => {
    
     const fileName = path.basename(filePath);
-    const fileNameWithoutExtension = path.parse(fileName).name;
 
-    const details = await getDetails(fileNameWithoutExtension);
+    details = details ?? await getDetails(filePath);
 
-    const newPath = path.join(details.series, `Season ${details.season.toString().padStart(2, "0")}`, fileName);
+    // the folders come from the naming template, e.g. 'Series Name/Season XX'
+    const newPath = path.join(...getEpisodeFolders(details), fileName);
     const completePath = path.join(path.dirname(filePath), newPath);
 
     return completePath;
 
 }
 
+/**
+ * Proposes where a file goes inside a library. Episodes and specials go into their folders and are named according to the naming template,
+ * movies go to 'Title (Year)/Title (Year).ext' inside config.moviesDir or the library.
+ * @param {string} filePath - The full path of the file, it can be outside of the library.
+ * @param {string} library - The folder of the library.
+ * @returns {Promise<import('./plan.js').Operation|null>} operation - null if the file is neither an episode, special nor movie
+ */
+export const planMoveIntoLibrary = async (filePath, library) => {
+
+    const { classification, confidence, doubts } = await extractDetails(filePath);
+    if (classification === 'Movie') {
+        const details = await getMovieDetails(filePath);
+        const movieName = getMovieName(details.title, details.year);
+        return { from: filePath, to: path.join(config.moviesDir || library, movieName, `${movieName}${path.extname(filePath)}`), classification, details, confidence, doubts };
+    }
+    if (classification !== 'Episode' && classification !== 'Special') {
+        return null;
+    }
+
+    const details = await getDetails(filePath);
+    return { from: filePath, to: path.join(library, ...getEpisodeFolders(details), await getNewFileName(details, filePath)), classification, details, confidence, doubts };
+
+}
+
 /**
  * 
  * @param {string[]} filePaths - An array of file paths. Each file path actually needs to represent an episode and be the full path.
@@ -594,16 +1167,14 @@ export const generateNewFilePathIncludingParentFolders = async (filePath) => {
  */
 export const getNewFilePathsIncludingParentFolders = async (filePaths) => {
 
-    let newFilePaths = [];
+    const newFilePaths = await mapWithConcurrency(filePaths, config.concurrency, async (fullFilePath) => {
 
-    for(const fullFilePath of filePaths) {
-        
         // const fileName = path.basename(fullFilePath);
         const newPath = await generateNewFilePathIncludingParentFolders(fullFilePath);
 
-        newFilePaths.push(path.join(path.dirname(fullFilePath), newPath));
-        
-    }
+        return path.join(path.dirname(fullFilePath), newPath);
+
+    });
 
     return newFilePaths;
 
@@ -612,18 +1183,13 @@ export const getNewFilePathsIncludingParentFolders = async (filePaths) => {
 /**
  * 
  * @param {string[]} filePaths - An array of file paths. Each file path must be the full path.
- * @returns {Promise<string[]>} - An array of file paths that represent episodes.
+ * @returns {Promise<string[]>} - An array of file paths that represent episodes, including specials.
  */
 export const filterFilePathsByEpisode = async (filePaths) => {
 
-    let episodes = [];
+    const classifications = await mapWithConcurrency(filePaths, config.concurrency, classifyFile);
 
-    for(const filePath of filePaths) {
-        const classification = await classifyFile(filePath);
-        if(classification === 'Episode') {
-            episodes.push(filePath);
-        }
-    }
+    const episodes = filePaths.filter((filePath, index) => classifications[index] === 'Episode' || classifications[index] === 'Special');
 
     return episodes;
 
@@ -632,13 +1198,14 @@ export const filterFilePathsByEpisode = async (filePaths) => {
 /**
  * 
  * @param {string} filePath - The full path to the file. The file path actually needs to represent an episode.
+ * @param {Details} [ details ] - The details of the file if they were already extracted, otherwise they are extracted from the path.
  * @returns {Promise<boolean>} - Whether the file is already in the correct folder or not.
  */
-export const checkIfFileIsAlreadyInCorrectFoler = async (filePath) => {
+export const checkIfFileIsAlreadyInCorrectFoler = async (filePath, details) => {
 
     const fileName = path.basename(filePath);
 
-    const newPath = await generateNewFilePathIncludingParentFolders(fileName);
+    const newPath = await generateNewFilePathIncludingParentFolders(fileName, details ?? await getDetails(filePath));
 
     return filePath.endsWith(newPath);
 
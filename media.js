@@ -0,0 +1,424 @@
+import fs from 'fs'
+import pino from 'pino'
+import { getExtension, VIDEO_EXTENSIONS } from './parser.js'
+import config from './config.js'
+
+const logger = pino({
+    level: process.env.NODE_ENV === "development" ? 'debug' : "info"
+}, pino.destination(2));
+
+/**
+ * What the container of a video says about it. Every field is null if the container does not have it.
+ * @typedef {Object} MediaInfo
+ * @property {'matroska'|'mp4'} container
+ * @property {number|null} duration - In seconds.
+ * @property {string|null} title - The title of the episode or movie.
+ * @property {string|null} show - The name of the series.
+ * @property {number|null} season
+ * @property {number|null} episode
+ */
+/**
+ * Reads bytes of a file or buffer, fewer at its end.
+ * @typedef {(position: number, length: number) => Buffer} Reader
+ */
+
+// elements and fields of Matroska files are only read up to this size, everything bigger is video data or not metadata
+const MAX_ELEMENT_SIZE = 1024 * 1024;
+
+const EBML = {
+    header: 0x1A45DFA3,
+    docType: 0x4282,
+    segment: 0x18538067,
+    seekHead: 0x114D9B74,
+    seek: 0x4DBB,
+    seekId: 0x53AB,
+    seekPosition: 0x53AC,
+    info: 0x1549A966,
+    timecodeScale: 0x2AD7B1,
+    duration: 0x4489,
+    title: 0x7BA9,
+    cluster: 0x1F43B675,
+    tags: 0x1254C367,
+    tag: 0x7373,
+    targets: 0x63C0,
+    targetTypeValue: 0x68CA,
+    simpleTag: 0x67C8,
+    tagName: 0x45A3,
+    tagString: 0x4487
+};
+
+/**
+ * @param {Buffer} buffer
+ * @returns {Reader}
+ */
+const bufferReader = (buffer) => (position, length) => buffer.subarray(position, position + length);
+
+/**
+ * @param {number} fd
+ * @returns {Reader}
+ */
+const fileReader = (fd) => (position, length) => {
+    const buffer = Buffer.alloc(length);
+    const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+
+    return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * @param {Buffer} buffer
+ * @returns {number}
+ */
+const readUnsigned = (buffer) => buffer.reduce((value, byte) => value * 256 + byte, 0);
+
+/**
+ * Reads a variable length integer of EBML. IDs keep their length marker, sizes don't.
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @param {boolean} isId
+ * @returns {{ value: number, length: number, unknown: boolean }|null} unknown is set for sizes that are not known (all bits set), null if the buffer is too short
+ */
+const readVint = (buffer, offset, isId) => {
+    const first = buffer[offset];
+    if (first === undefined || first === 0) {
+        return null;
+    }
+    const length = Math.clz32(first) - 23;
+    if (offset + length > buffer.length) {
+        return null;
+    }
+
+    const bytes = [ isId ? first : first & (0xff >> length), ...buffer.subarray(offset + 1, offset + length) ];
+    const unknown = !isId && bytes[0] === (0xff >> length) && bytes.slice(1).every(byte => byte === 0xff);
+
+    return { value: readUnsigned(Buffer.from(bytes)), length, unknown };
+}
+
+/**
+ * Iterates over the EBML elements between two positions.
+ * @param {Reader} read
+ * @param {number} start
+ * @param {number} end
+ * @returns {Generator<{ id: number, start: number, size: number|null }>} size is null if it is unknown, the element then reaches until the end
+ */
+function* readElements(read, start, end) {
+    let position = start;
+    while (position < end) {
+        const header = read(position, 12);
+        const id = readVint(header, 0, true);
+        const size = id && readVint(header, id.length, false);
+        if (!size) {
+            return;
+        }
+
+        const dataStart = position + id.length + size.length;
+        yield { id: id.value, start: dataStart, size: size.unknown ? null : size.value };
+        if (size.unknown) {
+            return;
+        }
+        position = dataStart + size.value;
+    }
+}
+
+/**
+ * Reads the children of an element that was read into memory, by their ID. Only the first child with an ID is kept.
+ * @param {Buffer} buffer
+ * @returns {Map<number, Buffer>}
+ */
+const readChildren = (buffer) => {
+    const children = new Map();
+    for (const element of readElements(bufferReader(buffer), 0, buffer.length)) {
+        if (!children.has(element.id)) {
+            children.set(element.id, buffer.subarray(element.start, element.start + (element.size ?? buffer.length)));
+        }
+    }
+
+    return children;
+}
+
+/**
+ * Reads all children of an element that was read into memory that have the given ID.
+ * @param {Buffer} buffer
+ * @param {number} id
+ * @returns {Buffer[]}
+ */
+const readAllChildren = (buffer, id) => [ ...readElements(bufferReader(buffer), 0, buffer.length) ]
+    .filter(element => element.id === id)
+    .map(element => buffer.subarray(element.start, element.start + (element.size ?? buffer.length)));
+
+/**
+ * @param {Buffer} buffer
+ * @returns {number|null}
+ */
+const readFloat = (buffer) => buffer.length === 4 ? buffer.readFloatBE(0) : buffer.length === 8 ? buffer.readDoubleBE(0) : null;
+
+/**
+ * @param {string|undefined} value
+ * @returns {number|null}
+ */
+const toNumber = (value) => /^\d+$/.test(value?.trim() || '') ? parseInt(value) : null;
+
+/**
+ * Reads the segment info and the tags of a Matroska (MKV, WebM) file. They are usually in front of the video data, otherwise the seek head points to them.
+ * Tags follow the Matroska tagging guidelines (target 70 is the collection, 60 the season, 50 the episode), the tags ffmpeg writes are supported too.
+ * @param {Reader} read
+ * @param {number} fileSize
+ * @returns {MediaInfo|null}
+ */
+const readMatroska = (read, fileSize) => {
+    const elements = readElements(read, 0, fileSize);
+    const header = elements.next().value;
+    if (header?.id !== EBML.header || header.size === null || header.size > MAX_ELEMENT_SIZE) {
+        return null;
+    }
+    const docType = readChildren(read(header.start, header.size)).get(EBML.docType)?.toString('utf-8').replace(/\0+$/, '');
+    if (docType !== 'matroska' && docType !== 'webm') {
+        return null;
+    }
+
+    const segment = [ ...elements ].find(element => element.id === EBML.segment);
+    if (!segment) {
+        return null;
+    }
+    const segmentEnd = segment.size === null ? fileSize : segment.start + segment.size;
+
+    const bodies = new Map();
+    const seeks = new Map();
+    for (const element of readElements(read, segment.start, segmentEnd)) {
+        if (element.id === EBML.cluster || element.size === null) {
+            break;
+        }
+        if (![ EBML.seekHead, EBML.info, EBML.tags ].includes(element.id) || element.size > MAX_ELEMENT_SIZE || bodies.has(element.id)) {
+            continue;
+        }
+
+        const body = read(element.start, element.size);
+        bodies.set(element.id, body);
+        if (element.id === EBML.seekHead) {
+            for (const seek of readAllChildren(body, EBML.seek).map(readChildren)) {
+                if (seek.has(EBML.seekId) && seek.has(EBML.seekPosition)) {
+                    seeks.set(readUnsigned(seek.get(EBML.seekId)), segment.start + readUnsigned(seek.get(EBML.seekPosition)));
+                }
+            }
+        }
+    }
+
+    // the tags are often written after the video data
+    for (const id of [ EBML.info, EBML.tags ].filter(id => !bodies.has(id) && seeks.has(id))) {
+        const element = readElements(read, seeks.get(id), segmentEnd).next().value;
+        if (element?.id === id && element.size !== null && element.size <= MAX_ELEMENT_SIZE) {
+            bodies.set(id, read(element.start, element.size));
+        }
+    }
+
+    const info = bodies.has(EBML.info) ? readChildren(bodies.get(EBML.info)) : new Map();
+    const timecodeScale = info.has(EBML.timecodeScale) ? readUnsigned(info.get(EBML.timecodeScale)) : 1000000;
+    const duration = info.has(EBML.duration) ? readFloat(info.get(EBML.duration)) : null;
+
+    const tags = new Map();
+    for (const tag of readAllChildren(bodies.get(EBML.tags) || Buffer.alloc(0), EBML.tag)) {
+        const targets = readChildren(readChildren(tag).get(EBML.targets) || Buffer.alloc(0));
+        const target = targets.has(EBML.targetTypeValue) ? readUnsigned(targets.get(EBML.targetTypeValue)) : 50;
+        for (const simpleTag of readAllChildren(tag, EBML.simpleTag).map(readChildren)) {
+            const name = simpleTag.get(EBML.tagName)?.toString('utf-8').toUpperCase();
+            const key = `${target}:${name}`;
+            if (name && simpleTag.has(EBML.tagString) && !tags.has(key)) {
+                tags.set(key, simpleTag.get(EBML.tagString).toString('utf-8'));
+            }
+        }
+    }
+
+    return {
+        container: 'matroska',
+        duration: duration !== null ? duration * timecodeScale / 1e9 : null,
+        title: info.get(EBML.title)?.toString('utf-8') || tags.get('50:TITLE') || null,
+        show: tags.get('70:TITLE') || tags.get('50:SHOW') || null,
+        season: toNumber(tags.get('60:PART_NUMBER') ?? tags.get('50:SEASON_NUMBER')),
+        episode: toNumber(tags.get('50:PART_NUMBER') ?? tags.get('50:EPISODE_SORT'))
+    };
+}
+
+/**
+ * Iterates over the atoms (boxes) of an MP4 file between two positions.
+ * @param {Reader} read
+ * @param {number} start
+ * @param {number} end
+ * @returns {Generator<{ type: string, start: number, end: number }>}
+ */
+function* readAtoms(read, start, end) {
+    let position = start;
+    while (position + 8 <= end) {
+        const header = read(position, 16);
+        if (header.length < 8) {
+            return;
+        }
+
+        let size = header.readUInt32BE(0);
+        let headerSize = 8;
+        if (size === 1 && header.length === 16) {
+            size = Number(header.readBigUInt64BE(8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - position;
+        }
+        if (size < headerSize) {
+            return;
+        }
+
+        yield { type: header.toString('latin1', 4, 8), start: position + headerSize, end: Math.min(position + size, end) };
+        position += size;
+    }
+}
+
+/**
+ * Returns the first atom of a type between two positions.
+ * @param {Reader} read
+ * @param {number} start
+ * @param {number} end
+ * @param {string} type
+ * @returns {{ type: string, start: number, end: number }|undefined}
+ */
+const findAtom = (read, start, end, type) => {
+    for (const atom of readAtoms(read, start, end)) {
+        if (atom.type === type) {
+            return atom;
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * Reads the value of an iTunes style metadata item, e.g. '©nam' or 'tvsn'.
+ * @param {Reader} read
+ * @param {{ start: number, end: number }} item
+ * @returns {string|number|null}
+ */
+const readItemValue = (read, item) => {
+    const data = findAtom(read, item.start, item.end, 'data');
+    if (!data || data.end - data.start < 8) {
+        return null;
+    }
+
+    const type = readUnsigned(read(data.start + 1, 3));
+    const value = read(data.start + 8, data.end - data.start - 8);
+    if (type === 1) {
+        return value.toString('utf-8');
+    }
+    // signed integers, or implicit numbers like the season and episode of older files
+    if ((type === 21 || type === 0) && [ 1, 2, 4, 8 ].includes(value.length)) {
+        return value.length === 8 ? Number(value.readBigInt64BE(0)) : value.readIntBE(0, value.length);
+    }
+
+    return null;
+}
+
+/**
+ * Reads the movie header and the iTunes style metadata ('moov/udta/meta/ilst') of an MP4, M4V or MOV file.
+ * Only the atoms on the way are read, the video data is skipped.
+ * @param {Reader} read
+ * @param {number} fileSize
+ * @returns {MediaInfo|null}
+ */
+const readMp4 = (read, fileSize) => {
+    const first = readAtoms(read, 0, fileSize).next().value;
+    if (![ 'ftyp', 'moov', 'mdat', 'wide', 'free', 'skip' ].includes(first?.type)) {
+        return null;
+    }
+    const moov = findAtom(read, 0, fileSize, 'moov');
+    if (!moov) {
+        return null;
+    }
+
+    let duration = null;
+    const mvhd = findAtom(read, moov.start, moov.end, 'mvhd');
+    if (mvhd) {
+        const header = read(mvhd.start, 32);
+        const version = header[0];
+        const timescale = version === 1 ? header.readUInt32BE(20) : header.readUInt32BE(12);
+        const length = version === 1 ? Number(header.readBigUInt64BE(24)) : header.readUInt32BE(16);
+        duration = timescale > 0 && length !== 0xffffffff ? length / timescale : null;
+    }
+
+    // the metadata is in 'moov/udta/meta' and sometimes directly in 'moov/meta'
+    const udta = findAtom(read, moov.start, moov.end, 'udta');
+    const meta = (udta && findAtom(read, udta.start, udta.end, 'meta')) || findAtom(read, moov.start, moov.end, 'meta');
+    const items = new Map();
+    if (meta) {
+        // 'meta' is a full box with version and flags, except in some QuickTime files
+        const offset = read(meta.start + 4, 4).toString('latin1') === 'hdlr' ? 0 : 4;
+        const ilst = findAtom(read, meta.start + offset, meta.end, 'ilst');
+        for (const item of ilst ? readAtoms(read, ilst.start, ilst.end) : []) {
+            if (!items.has(item.type)) {
+                items.set(item.type, readItemValue(read, item));
+            }
+        }
+    }
+    const text = (type) => typeof items.get(type) === 'string' ? items.get(type) : null;
+    const number = (type) => typeof items.get(type) === 'number' ? items.get(type) : null;
+
+    return {
+        container: 'mp4',
+        duration,
+        title: text('©nam'),
+        show: text('tvsh'),
+        season: number('tvsn'),
+        episode: number('tves')
+    };
+}
+
+/**
+ * Reads the metadata embedded in the container of a video: the duration and the title, show, season and episode tags.
+ * Matroska (MKV, WebM) and MP4 (MP4, M4V, MOV) are supported, only the headers are read, never the video data.
+ * @param {string} filePath
+ * @returns {MediaInfo|null} null if the file is not a video, does not exist, has another container or reading it is disabled in the config
+ */
+export const readMediaInfo = (filePath) => {
+    if (!config.readContainerMetadata || !VIDEO_EXTENSIONS.includes(getExtension(filePath))) {
+        return null;
+    }
+
+    let fd;
+    try {
+        fd = fs.openSync(filePath, 'r');
+        const { size } = fs.fstatSync(fd);
+        const read = fileReader(fd);
+
+        return readMatroska(read, size) || readMp4(read, size);
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            logger.debug(`Failed to read the container metadata of ${filePath}: ${e.message}`);
+        }
+        return null;
+    } finally {
+        if (fd !== undefined) {
+            fs.closeSync(fd);
+        }
+    }
+}
+
+/**
+ * @param {number} seconds
+ * @returns {string}
+ */
+const formatDuration = (seconds) => seconds < 120 ? `${Math.round(seconds)} seconds` : `${Math.round(seconds / 60)} minutes`;
+
+/**
+ * Describes the metadata of a video for the LLM, e.g. 'Embedded metadata: show "Attack on Titan", title "Ending", duration 90 seconds'.
+ * @param {MediaInfo|null} info
+ * @returns {string} an empty string if nothing is known
+ */
+export const describeMediaInfo = (info) => {
+    if (!info) {
+        return '';
+    }
+
+    const parts = [
+        info.show && `show "${info.show}"`,
+        info.title && `title "${info.title}"`,
+        info.season !== null && `season ${info.season}`,
+        info.episode !== null && `episode ${info.episode}`,
+        info.duration !== null && `duration ${formatDuration(info.duration)}`
+    ].filter(Boolean);
+
+    return parts.length > 0 ? `Embedded metadata: ${parts.join(', ')}` : '';
+}
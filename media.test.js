@@ -0,0 +1,201 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describeMediaInfo, readMediaInfo } from "./media";
+import { extractDetails } from "./lib";
+import { createOrganizePlan } from "./system";
+import { setProvider } from "./providers";
+import config from "./config";
+
+/**
+ * Encodes an EBML element, the size always takes 8 bytes.
+ * @param {number} id
+ * @param {Buffer|string|Buffer[]} data
+ * @returns {Buffer}
+ */
+const element = (id, data) => {
+    const body = Array.isArray(data) ? Buffer.concat(data) : Buffer.from(data);
+    const idBytes = Buffer.from(id.toString(16).padStart(2, '0').replace(/^(.)((..)*)$/, '0$1$2'), 'hex');
+    const size = Buffer.alloc(8);
+    size.writeBigUInt64BE(BigInt(body.length));
+    size[0] = 0x01;
+
+    return Buffer.concat([ idBytes, size, body ]);
+}
+const uint = (value, length = 8) => {
+    const buffer = Buffer.alloc(length);
+    buffer.writeUIntBE(value, length - Math.min(length, 6), Math.min(length, 6));
+    return buffer;
+}
+const float = (value) => {
+    const buffer = Buffer.alloc(8);
+    buffer.writeDoubleBE(value);
+    return buffer;
+}
+
+/**
+ * Encodes an MP4 atom.
+ * @param {string} type
+ * @param {Buffer|Buffer[]} data
+ * @returns {Buffer}
+ */
+const atom = (type, data) => {
+    const body = Array.isArray(data) ? Buffer.concat(data) : data;
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(body.length + 8);
+    header.write(type, 4, 'latin1');
+
+    return Buffer.concat([ header, body ]);
+}
+const item = (type, dataType, value) => atom(type, atom('data', [ uint(dataType, 4), uint(0, 4), value ]));
+
+const createMatroska = () => {
+    const info = element(0x1549A966, [ element(0x2AD7B1, uint(1000000)), element(0x4489, float(90000)), element(0x7BA9, "Ending") ]);
+    const cluster = element(0x1F43B675, Buffer.alloc(2048));
+    const tags = element(0x1254C367, [
+        element(0x7373, [ element(0x63C0, element(0x68CA, uint(70))), element(0x67C8, [ element(0x45A3, "TITLE"), element(0x4487, "Attack on Titan") ]) ]),
+        element(0x7373, [ element(0x63C0, element(0x68CA, uint(60))), element(0x67C8, [ element(0x45A3, "PART_NUMBER"), element(0x4487, "3") ]) ]),
+        element(0x7373, [ element(0x63C0, element(0x68CA, uint(50))), element(0x67C8, [ element(0x45A3, "PART_NUMBER"), element(0x4487, "1") ]) ])
+    ]);
+    // the tags are behind the video data, the seek head points to them
+    const seekHeadSize = element(0x114D9B74, element(0x4DBB, [ element(0x53AB, uint(0x1254C367, 4)), element(0x53AC, uint(0)) ])).length;
+    const seekHead = element(0x114D9B74, element(0x4DBB, [ element(0x53AB, uint(0x1254C367, 4)), element(0x53AC, uint(seekHeadSize + info.length + cluster.length)) ]));
+
+    return Buffer.concat([
+        element(0x1A45DFA3, element(0x4282, "matroska")),
+        element(0x18538067, [ seekHead, info, cluster, tags ])
+    ]);
+}
+
+const createMp4 = () => {
+    const mvhd = Buffer.alloc(100);
+    mvhd.writeUInt32BE(1000, 12);
+    mvhd.writeUInt32BE(1320000, 16);
+    const ilst = atom('ilst', [ item('©nam', 1, Buffer.from("Pilot")), item('tvsh', 1, Buffer.from("Some Show")), item('tvsn', 21, uint(1, 4)), item('tves', 21, uint(2, 4)) ]);
+
+    return Buffer.concat([
+        atom('ftyp', Buffer.from("isom\0\0\0\0isomiso2mp41")),
+        atom('mdat', Buffer.alloc(4096)),
+        atom('moov', [ atom('mvhd', mvhd), atom('udta', atom('meta', [ uint(0, 4), atom('hdlr', Buffer.alloc(25)), ilst ])) ])
+    ]);
+}
+
+describe("Container metadata", () => {
+
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-media-'));
+    })
+    afterEach(() => {
+        config.readContainerMetadata = true;
+        fs.rmSync(dir, { recursive: true, force: true });
+    })
+
+    it("Should read the info and tags of Matroska files", () => {
+
+        fs.writeFileSync(path.join(dir, "NCED 01.mkv"), createMatroska());
+
+        expect(readMediaInfo(path.join(dir, "NCED 01.mkv"))).toStrictEqual({ container: "matroska", duration: 90, title: "Ending", show: "Attack on Titan", season: 3, episode: 1 });
+
+    })
+
+    it("Should read the movie header and the metadata of MP4 files", () => {
+
+        fs.writeFileSync(path.join(dir, "video.mp4"), createMp4());
+
+        expect(readMediaInfo(path.join(dir, "video.mp4"))).toStrictEqual({ container: "mp4", duration: 1320, title: "Pilot", show: "Some Show", season: 1, episode: 2 });
+
+    })
+
+    it("Should not read other files", () => {
+
+        fs.writeFileSync(path.join(dir, "empty.mkv"), "");
+        fs.writeFileSync(path.join(dir, "text.mkv"), "not a video");
+        fs.writeFileSync(path.join(dir, "video.nfo"), createMatroska());
+
+        expect(readMediaInfo(path.join(dir, "empty.mkv"))).toBeNull();
+        expect(readMediaInfo(path.join(dir, "text.mkv"))).toBeNull();
+        expect(readMediaInfo(path.join(dir, "video.nfo"))).toBeNull();
+        expect(readMediaInfo(path.join(dir, "missing.mkv"))).toBeNull();
+
+        fs.writeFileSync(path.join(dir, "NCED 01.mkv"), createMatroska());
+        config.readContainerMetadata = false;
+        expect(readMediaInfo(path.join(dir, "NCED 01.mkv"))).toBeNull();
+
+    })
+
+    it("Should describe the metadata for the LLM", () => {
+
+        expect(describeMediaInfo({ container: "matroska", duration: 90, title: "Ending", show: "Attack on Titan", season: null, episode: null })).toBe('Embedded metadata: show "Attack on Titan", title "Ending", duration 90 seconds');
+        expect(describeMediaInfo({ container: "mp4", duration: 1320, title: null, show: null, season: 1, episode: 2 })).toBe('Embedded metadata: season 1, episode 2, duration 22 minutes');
+        expect(describeMediaInfo(null)).toBe('');
+
+    })
+
+})
+
+describe("Details with container metadata", () => {
+
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-media-'));
+        config.cacheFile = "";
+    })
+    afterEach(() => {
+        setProvider(null);
+        fs.rmSync(dir, { recursive: true, force: true });
+    })
+
+    it("Should give the embedded metadata to the LLM", async () => {
+
+        const file = path.join(dir, "NCED 01.mkv");
+        fs.writeFileSync(file, createMatroska());
+        const inputs = [];
+        setProvider({ name: "Test", chat: async ({ messages }) => {
+            inputs.push(messages[messages.length - 1].content);
+            return JSON.stringify({ classification: "Special", series: "Attack on Titan", season: 0, episode: 1, lastEpisode: null, year: null, title: "Ending", airDate: null });
+        } });
+
+        const extraction = await extractDetails(file);
+
+        expect(inputs).toHaveLength(1);
+        expect(inputs[0]).toContain('Embedded metadata: show "Attack on Titan", title "Ending", season 3, episode 1, duration 90 seconds');
+        expect(extraction).toMatchObject({ classification: "Special", series: "Attack on Titan", confidence: 1 });
+
+    })
+
+    it("Should read the container of the files that are organized", async () => {
+
+        fs.writeFileSync(path.join(dir, "NCED 01.mkv"), createMatroska());
+        const inputs = [];
+        setProvider({ name: "Test", chat: async ({ messages }) => {
+            inputs.push(messages[messages.length - 1].content);
+            return JSON.stringify({ classification: "Special", series: "Attack on Titan", season: 0, episode: 1, lastEpisode: null, year: null, title: "Ending", airDate: null });
+        } });
+
+        const plan = await createOrganizePlan(dir);
+
+        // the classification and the details of the new path come from the same extraction
+        expect(inputs).toHaveLength(1);
+        expect(inputs[0]).toContain('Embedded metadata: show "Attack on Titan", title "Ending", season 3, episode 1, duration 90 seconds');
+        expect(plan.operations.map(operation => [ operation.from, operation.to ])).toStrictEqual([ [ path.join(dir, "NCED 01.mkv"), path.join(dir, "Attack on Titan", "Season 00", "NCED 01.mkv") ] ]);
+        expect(plan.operations[0].details).toMatchObject({ series: "Attack on Titan", season: 0, episode: 1 });
+
+    })
+
+    it("Should doubt episodes that are too short", async () => {
+
+        const file = path.join(dir, "Show.S01E01.sample.mkv");
+        fs.writeFileSync(file, createMatroska());
+        setProvider({ name: "Test", chat: async () => { throw new Error("The LLM should not be asked"); } });
+
+        const extraction = await extractDetails(file);
+
+        expect(extraction.confidence).toBe(0.5);
+        expect(extraction.doubts).toStrictEqual([ "the video is only 90 seconds long, it might be a sample, trailer or credits" ]);
+
+    })
+
+})
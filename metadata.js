@@ -0,0 +1,168 @@
+import fs from 'fs'
+import path from 'path'
+import pino from 'pino'
+import config from './config.js'
+
+const logger = pino({
+    level: process.env.NODE_ENV === "development" ? 'debug' : "info"
+}, pino.destination(2));
+
+/**
+ * @typedef {Object} EpisodeMetadata
+ * @property {number} season
+ * @property {number} episode
+ * @property {string|null} title
+ */
+/**
+ * @typedef {Object} SeriesMetadata
+ * @property {string} name - The canonical name of the series.
+ * @property {number|null} year - The year the series started.
+ * @property {string[]} [ aliases ] - Other names the series is known by.
+ * @property {EpisodeMetadata[]} [ episodes ]
+ */
+/**
+ * @typedef {Object} MetadataProvider
+ * @property {string} name - Used in log messages.
+ * @property {(name: string, year?: number|null) => Promise<SeriesMetadata|null>} findSeries - Finds a series by its name or one of its aliases.
+ * @property {(series: SeriesMetadata, season: number, episode: number) => Promise<EpisodeMetadata|null>} getEpisode
+ */
+
+/**
+ * Makes names comparable: 'Attack On Titan', 'attack.on.titan' and 'Attack on Titan!' are the same.
+ * @param {string} name
+ * @returns {string}
+ */
+export const normalizeName = (name) => name.toLowerCase().replace(/&/g, 'and').replace(/[^\p{L}\p{N}]+/gu, '');
+
+/**
+ * Splits a CSV line into its fields. Fields can be quoted with '"', quotes inside quoted fields are doubled.
+ * @param {string} line
+ * @returns {string[]}
+ */
+const parseCsvLine = (line) => {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted && char === '"' && line[i + 1] === '"') {
+            field += '"';
+            i++;
+        } else if (char === '"') {
+            quoted = !quoted;
+        } else if (char === ',' && !quoted) {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+
+    return fields.map(value => value.trim());
+}
+
+/**
+ * Reads a CSV dump with one episode per line and the header 'series,year,season,episode,title'. An optional 'aliases' column separates the aliases with '|'.
+ * @param {string} content
+ * @returns {SeriesMetadata[]}
+ */
+export const parseMetadataCsv = (content) => {
+    const [ header, ...lines ] = content.split(/\r?\n/).filter(line => line.trim() !== '');
+    const columns = parseCsvLine(header).map(column => column.toLowerCase());
+    for (const column of [ 'series', 'season', 'episode' ]) {
+        if (!columns.includes(column)) {
+            throw new Error(`Metadata CSV is missing the column ${column}`);
+        }
+    }
+
+    const series = new Map();
+    for (const line of lines) {
+        const row = Object.fromEntries(parseCsvLine(line).map((value, index) => [ columns[index], value ]));
+        const year = row.year ? parseInt(row.year) : null;
+        const key = JSON.stringify([ row.series, year ]);
+        if (!series.has(key)) {
+            series.set(key, { name: row.series, year, aliases: [], episodes: [] });
+        }
+
+        const entry = series.get(key);
+        for (const alias of (row.aliases || '').split('|').filter(Boolean)) {
+            if (!entry.aliases.includes(alias)) {
+                entry.aliases.push(alias);
+            }
+        }
+        entry.episodes.push({ season: parseInt(row.season), episode: parseInt(row.episode), title: row.title || null });
+    }
+
+    return [ ...series.values() ];
+}
+
+/**
+ * Metadata provider backed by local data, so it works without network, e.g. an exported TVmaze or TheTVDB dataset.
+ * The file is either JSON (a list of SeriesMetadata) or CSV (see parseMetadataCsv).
+ * @param {Object} options
+ * @param {string} [ options.file ] - A '.json' or '.csv' file.
+ * @param {SeriesMetadata[]} [ options.series ] - The data itself, e.g. in tests.
+ * @returns {MetadataProvider}
+ */
+export const createLocalMetadataProvider = ({ file, series = [] }) => {
+    const data = [ ...series ];
+    if (file) {
+        const content = fs.readFileSync(file, 'utf-8');
+        data.push(...(path.extname(file).toLowerCase() === '.csv' ? parseMetadataCsv(content) : JSON.parse(content)));
+        logger.debug(`Loaded metadata of ${data.length} series from ${file}`);
+    }
+
+    return {
+        name: 'Local metadata',
+        findSeries: async (name, year) => {
+            const normalized = normalizeName(name);
+            const matches = data.filter(entry => [ entry.name, ...(entry.aliases || []) ].some(candidate => normalizeName(candidate) === normalized));
+
+            // remakes share their name, the year decides between them
+            return matches.find(entry => year && entry.year === year) || matches[0] || null;
+        },
+        getEpisode: async (entry, season, episode) => {
+            return (entry.episodes || []).find(candidate => candidate.season === season && candidate.episode === episode) || null;
+        }
+    };
+}
+
+/**
+ * Creates the metadata provider that is selected in the config.
+ * @returns {MetadataProvider|null}
+ */
+const createMetadataProvider = () => {
+    switch (config.metadataProvider) {
+        case 'none':
+            return null;
+        case 'local':
+            return createLocalMetadataProvider({ file: config.metadataFile });
+        default:
+            throw new Error(`Unknown metadata provider: ${config.metadataProvider}`);
+    }
+}
+
+/** @type {MetadataProvider|null|undefined} */
+let metadataProvider;
+
+/**
+ * Returns the metadata provider that is selected in the config, or null if none is used. It is created on first use.
+ * @returns {MetadataProvider|null}
+ */
+export const getMetadataProvider = () => {
+    if (metadataProvider === undefined) {
+        metadataProvider = createMetadataProvider();
+    }
+
+    return metadataProvider;
+}
+
+/**
+ * Replaces the metadata provider, e.g. with local test data. Passing undefined creates the provider from the config again on next use.
+ * @param {MetadataProvider|null|undefined} newProvider
+ */
+export const setMetadataProvider = (newProvider) => {
+    metadataProvider = newProvider;
+}
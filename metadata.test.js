@@ -0,0 +1,95 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLocalMetadataProvider, parseMetadataCsv, setMetadataProvider } from "./metadata";
+import { getDetails } from "./lib";
+import { setProvider } from "./providers";
+import config from "./config";
+
+const attackOnTitan = {
+    name: "Attack on Titan",
+    year: 2013,
+    aliases: [ "Shingeki no Kyojin" ],
+    episodes: [ { season: 2, episode: 1, title: "Beast Titan" } ]
+};
+
+describe("Metadata providers", () => {
+
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-metadata-'));
+    })
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    })
+
+    it("Should find series by name or alias and prefer the same year", async () => {
+
+        const provider = createLocalMetadataProvider({ series: [ attackOnTitan, { name: "Doctor Who", year: 1963 }, { name: "Doctor Who", year: 2005 } ] });
+
+        expect((await provider.findSeries("attack.on.titan"))?.name).toBe("Attack on Titan");
+        expect((await provider.findSeries("Shingeki no Kyojin"))?.name).toBe("Attack on Titan");
+        expect((await provider.findSeries("Doctor Who", 2005))?.year).toBe(2005);
+        expect(await provider.findSeries("Attack on Titan Junior High")).toBeNull();
+        expect(await provider.getEpisode(attackOnTitan, 2, 1)).toStrictEqual({ season: 2, episode: 1, title: "Beast Titan" });
+        expect(await provider.getEpisode(attackOnTitan, 2, 2)).toBeNull();
+
+    })
+
+    it("Should read JSON and CSV dumps", async () => {
+
+        const csv = 'series,year,season,episode,title,aliases\nAttack on Titan,2013,2,1,Beast Titan,Shingeki no Kyojin\n"Attack on Titan",2013,2,2,"I\'m Home",\n';
+        expect(parseMetadataCsv(csv)).toStrictEqual([ {
+            name: "Attack on Titan",
+            year: 2013,
+            aliases: [ "Shingeki no Kyojin" ],
+            episodes: [ { season: 2, episode: 1, title: "Beast Titan" }, { season: 2, episode: 2, title: "I'm Home" } ]
+        } ]);
+
+        fs.writeFileSync(path.join(dir, "series.csv"), csv);
+        fs.writeFileSync(path.join(dir, "series.json"), JSON.stringify([ attackOnTitan ]));
+
+        expect((await createLocalMetadataProvider({ file: path.join(dir, "series.csv") }).findSeries("Attack On Titan"))?.episodes).toHaveLength(2);
+        expect((await createLocalMetadataProvider({ file: path.join(dir, "series.json") }).findSeries("Attack On Titan"))?.year).toBe(2013);
+        expect(() => parseMetadataCsv("name,season\nShow,1")).toThrow("series");
+
+    })
+
+})
+
+describe("Details with metadata", () => {
+
+    beforeEach(() => {
+        config.cacheFile = "";
+        setProvider({ name: "Test", chat: async () => { throw new Error("The LLM should not be asked"); } });
+    })
+    afterEach(() => {
+        setProvider(null);
+        setMetadataProvider(undefined);
+    })
+
+    it("Should use the canonical series name, year and episode title", async () => {
+
+        setMetadataProvider(createLocalMetadataProvider({ series: [ attackOnTitan ] }));
+
+        expect(await getDetails("Attack On Titan/Season 02/[Anime Time] Attack On Titan - 01.mkv")).toMatchObject({
+            series: "Attack on Titan",
+            season: 2,
+            episode: 1,
+            year: 2013,
+            title: "Beast Titan",
+            sources: { series: "metadata", year: "metadata", title: "metadata" }
+        });
+
+    })
+
+    it("Should keep the extracted details if the series is unknown", async () => {
+
+        setMetadataProvider(createLocalMetadataProvider({ series: [] }));
+
+        expect(await getDetails("Show.Name.S04E03.1080p.WEB-DL.mkv")).toMatchObject({ series: "Show Name", season: 4, episode: 3, year: null, title: null, sources: { series: "parser" } });
+
+    })
+
+})
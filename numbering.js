@@ -0,0 +1,143 @@
+import pino from 'pino'
+import { normalizeName } from './metadata.js'
+import { createJsonStore } from './store.js'
+import config from './config.js'
+
+const logger = pino({
+    level: process.env.NODE_ENV === "development" ? 'debug' : "info"
+}, pino.destination(2));
+
+/**
+ * How absolute episode numbers (e.g. '[Group] Show - 59') are named:
+ * - 'seasonal': they are converted to the season and episode number, e.g. 'S03E22', if the episode counts of the seasons are known.
+ * - 'absolute': the episodes are named by their absolute number in season 1, e.g. 'S01E59', like media servers expect for absolute ordering.
+ * @typedef {'seasonal'|'absolute'} NumberingMode
+ */
+/**
+ * The numbering of a series, both fields are optional.
+ * @typedef {Object} SeriesNumbering
+ * @property {NumberingMode} [ mode ] - Defaults to config.absoluteNumbering.
+ * @property {number[]} [ episodes ] - The number of episodes of season 1, 2, ..., they win over the ones of the metadata provider.
+ */
+/**
+ * The numbering of series by their name, e.g.
+ * { "Attack on Titan": { "mode": "seasonal", "episodes": [ 25, 12, 22, 28 ] }, "One Piece": { "mode": "absolute" } }
+ * @typedef {Object<string, SeriesNumbering>} NumberingMap
+ */
+
+export const NUMBERING_MODES = [ 'seasonal', 'absolute' ];
+
+const store = createJsonStore('numbering', () => config.numberingFile);
+
+/**
+ * Loads config.numberingFile the first time it is needed (or the file was changed in the config).
+ * @returns {NumberingMap}
+ */
+export const loadNumbering = () => store.load();
+
+/**
+ * Returns the numbering of a series from config.numberingFile, names are compared without case and punctuation.
+ * @param {string} series
+ * @returns {SeriesNumbering}
+ */
+const getSeriesNumbering = (series) => {
+    const [ , entry ] = Object.entries(loadNumbering()).find(([ name ]) => normalizeName(name) === normalizeName(series)) || [];
+
+    return entry || {};
+}
+
+/**
+ * @param {string} series
+ * @returns {NumberingMode}
+ */
+export const getNumberingMode = (series) => getSeriesNumbering(series).mode || config.absoluteNumbering;
+
+/**
+ * Returns the number of episodes of each regular season, from the numbering file or else from the episodes the metadata provider knows.
+ * The metadata is only used if it has episodes of every season up to the last one, the highest episode number of a season is its count.
+ * @param {string} series
+ * @param {import('./metadata.js').SeriesMetadata|null} [ metadata ]
+ * @returns {number[]|null} the counts of season 1, 2, ..., null if they are not known
+ */
+export const getEpisodeCounts = (series, metadata) => {
+    const { episodes } = getSeriesNumbering(series);
+    if (Array.isArray(episodes) && episodes.length > 0) {
+        return episodes;
+    }
+
+    const counts = [];
+    for (const { season, episode } of (metadata?.episodes || []).filter(episode => episode.season > 0)) {
+        counts[season - 1] = Math.max(counts[season - 1] || 0, episode);
+    }
+    // seasons without any known episode leave holes in the counts
+    if (counts.length === 0 || Array.from(counts).some(count => !count)) {
+        return null;
+    }
+
+    return counts;
+}
+
+/**
+ * Converts an absolute episode number to the season and the episode in it.
+ * @param {number} absolute - Starts at 1 with the first episode of season 1.
+ * @param {number[]} counts - The number of episodes of season 1, 2, ...
+ * @returns {{ season: number, episode: number }|undefined} undefined if the number is beyond the last known season
+ */
+export const toSeasonal = (absolute, counts) => {
+    let offset = 0;
+    for (const [ index, count ] of counts.entries()) {
+        if (absolute <= offset + count) {
+            return { season: index + 1, episode: absolute - offset };
+        }
+        offset += count;
+    }
+
+    return undefined;
+}
+
+/**
+ * Converts the episode of a season to its absolute number, the reverse of toSeasonal.
+ * @param {number} season - Starts at 1.
+ * @param {number} episode
+ * @param {number[]} counts - The number of episodes of season 1, 2, ...
+ * @returns {number|undefined} undefined if the episode counts of the seasons before are not known
+ */
+export const toAbsolute = (season, episode, counts) => {
+    if (season - 1 > counts.length) {
+        return undefined;
+    }
+
+    return counts.slice(0, season - 1).reduce((sum, count) => sum + count, episode);
+}
+
+/**
+ * Whether an episode number must be an absolute one: the season is unknown or does not have that many episodes.
+ * @param {number|null} season
+ * @param {number} episode
+ * @param {number[]} counts - The number of episodes of season 1, 2, ...
+ * @returns {boolean}
+ */
+export const isAbsoluteNumber = (season, episode, counts) => season === null || episode > (counts[season - 1] ?? Infinity);
+
+/**
+ * Sets the numbering of a series and saves it in config.numberingFile.
+ * @param {string} series
+ * @param {NumberingMode} mode
+ * @param {number[]} [ episodes ] - The number of episodes of season 1, 2, ..., the saved ones are kept if this is not given.
+ */
+export const setNumbering = (series, mode, episodes) => {
+    if (!NUMBERING_MODES.includes(mode)) {
+        throw new Error(`Unknown numbering mode: ${mode}, use one of ${NUMBERING_MODES.join(', ')}`);
+    }
+    if (episodes && (episodes.length === 0 || episodes.some(count => !Number.isInteger(count) || count <= 0))) {
+        throw new Error(`Invalid episode counts for ${series}: ${episodes.join(', ')}`);
+    }
+
+    const map = loadNumbering();
+    const name = Object.keys(map).find(existing => normalizeName(existing) === normalizeName(series)) || series;
+    map[name] = { ...map[name], mode, ...(episodes ? { episodes } : {}) };
+
+    store.save(map);
+
+    logger.info(`Numbering of ${name}: ${mode}${map[name].episodes ? ` (${map[name].episodes.join(', ')} episodes)` : ''}`);
+}
@@ -0,0 +1,128 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getEpisodeCounts, getNumberingMode, isAbsoluteNumber, loadNumbering, setNumbering, toAbsolute, toSeasonal } from "./numbering";
+import { createLocalMetadataProvider, setMetadataProvider } from "./metadata";
+import { getDetails } from "./lib";
+import { getEpisodeFileName } from "./template";
+import { setProvider } from "./providers";
+import config from "./config";
+
+const SEASONS = "[Anime Time] Attack On Titan (Complete Series) (S01-S04+OVA)";
+
+describe("Absolute numbering", () => {
+
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-numbering-'));
+        config.numberingFile = path.join(dir, "data", "numbering.json");
+        config.absoluteNumbering = "seasonal";
+    })
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    })
+
+    it("Should convert absolute episode numbers to seasons", () => {
+
+        const counts = [ 25, 12, 22, 28 ];
+
+        expect(toSeasonal(1, counts)).toStrictEqual({ season: 1, episode: 1 });
+        expect(toSeasonal(26, counts)).toStrictEqual({ season: 2, episode: 1 });
+        expect(toSeasonal(59, counts)).toStrictEqual({ season: 3, episode: 22 });
+        expect(toSeasonal(88, counts)).toBeUndefined();
+        expect(isAbsoluteNumber(3, 59, counts)).toBe(true);
+        expect(isAbsoluteNumber(3, 5, counts)).toBe(false);
+        expect(isAbsoluteNumber(null, 5, counts)).toBe(true);
+        expect(toAbsolute(1, 5, counts)).toBe(5);
+        expect(toAbsolute(3, 22, counts)).toBe(59);
+        expect(toAbsolute(6, 1, counts)).toBeUndefined();
+
+    })
+
+    it("Should take the episode counts from the numbering file or else from complete metadata", () => {
+
+        setNumbering("Attack on Titan", "seasonal", [ 25, 12, 22, 28 ]);
+        setNumbering("attack on titan", "absolute");
+
+        expect(loadNumbering()).toStrictEqual({ "Attack on Titan": { mode: "absolute", episodes: [ 25, 12, 22, 28 ] } });
+        expect(getNumberingMode("Attack.On.Titan")).toBe("absolute");
+        expect(getNumberingMode("One Piece")).toBe("seasonal");
+        expect(getEpisodeCounts("Attack on Titan", null)).toStrictEqual([ 25, 12, 22, 28 ]);
+
+        const episodes = (season, count) => Array.from({ length: count }, (_, index) => ({ season, episode: index + 1, title: null }));
+        expect(getEpisodeCounts("Show", { name: "Show", year: null, episodes: [ ...episodes(0, 3), ...episodes(1, 10), ...episodes(2, 8) ] })).toStrictEqual([ 10, 8 ]);
+        expect(getEpisodeCounts("Show", { name: "Show", year: null, episodes: episodes(2, 8) })).toBeNull();
+        expect(getEpisodeCounts("Show", null)).toBeNull();
+        expect(() => setNumbering("Show", "daily")).toThrow();
+        expect(() => setNumbering("Show", "seasonal", [ 10, 0 ])).toThrow();
+
+    })
+
+})
+
+describe("Details with absolute numbering", () => {
+
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-numbering-'));
+        config.numberingFile = path.join(dir, "data", "numbering.json");
+        config.absoluteNumbering = "seasonal";
+        config.cacheFile = "";
+        setProvider({ name: "Test", chat: async () => { throw new Error("The LLM should not be asked"); } });
+    })
+    afterEach(() => {
+        setProvider(null);
+        setMetadataProvider(undefined);
+        fs.rmSync(dir, { recursive: true, force: true });
+    })
+
+    it("Should convert absolute episode numbers with the episode counts of the numbering file", async () => {
+
+        setNumbering("Attack on Titan", "seasonal", [ 25, 12, 22, 28 ]);
+
+        expect(await getDetails(`${SEASONS}/[Anime Time] Attack on titan (Season 03)/[Anime Time] Attack On Titan - 59.mkv`)).toMatchObject({
+            season: 3, episode: 22, sources: { season: "numbering", episode: "numbering" }
+        });
+        expect(await getDetails(`${SEASONS}/[Anime Time] Attack on titan (Season 02)/[Anime Time] Attack On Titan - 26-27.mkv`)).toMatchObject({ season: 2, episode: 1, lastEpisode: 2 });
+        // numbers that fit into the season are seasonal already
+        expect(await getDetails(`${SEASONS}/[Anime Time] Attack on titan (Season 02)/[Anime Time] Attack On Titan - 05.mkv`)).toMatchObject({ season: 2, episode: 5, sources: { episode: "parser" } });
+
+    })
+
+    it("Should name episodes by their absolute number in season 1 in the absolute mode", async () => {
+
+        setNumbering("Attack on Titan", "absolute", [ 25, 12, 22, 28 ]);
+
+        expect(await getDetails(`${SEASONS}/[Anime Time] Attack on titan (Season 03)/[Anime Time] Attack On Titan - 59.mkv`)).toMatchObject({ season: 1, episode: 59 });
+        expect(await getDetails(`${SEASONS}/Attack on Titan S03E22.mkv`)).toMatchObject({ season: 1, episode: 59, sources: { episode: "numbering" } });
+        expect(getEpisodeFileName(await getDetails(`${SEASONS}/[Anime Time] Attack on titan (Season 03)/[Anime Time] Attack On Titan - 60-61.mkv`), '.mkv')).toBe("Attack On Titan S01E60-E61.mkv");
+
+    })
+
+    it("Should name absolute numbers in season 1 even if the episode counts are not known", async () => {
+
+        setNumbering("One Piece", "absolute");
+
+        expect(await getDetails("One Piece/Season 05/[Group] One Piece - 1071.mkv")).toMatchObject({ season: 1, episode: 1071 });
+        // seasonal numbers can't be converted without the counts
+        expect(await getDetails("One Piece/Season 05/One Piece S05E10.mkv")).toMatchObject({ season: 5, episode: 10 });
+
+    })
+
+    it("Should convert absolute episode numbers with the episodes of the metadata provider and use their titles", async () => {
+
+        setMetadataProvider(createLocalMetadataProvider({ series: [ {
+            name: "Attack on Titan",
+            year: 2013,
+            episodes: [ { season: 1, episode: 25, title: "Wall" }, { season: 2, episode: 1, title: "Beast Titan" }, { season: 2, episode: 12, title: "Scream" } ]
+        } ] }));
+
+        expect(await getDetails(`${SEASONS}/[Anime Time] Attack on titan (Season 02)/[Anime Time] Attack On Titan - 26.mkv`)).toMatchObject({
+            series: "Attack on Titan", season: 2, episode: 1, title: "Beast Titan"
+        });
+
+    })
+
+})
@@ -0,0 +1,211 @@
+import path from 'path'
+
+/**
+ * Tokens that mark the start of release information (resolution, source, codecs, ...). Everything from the first of them on is not part of a title.
+ */
+const RELEASE_TAG = /(?:^|[\s._\-\[(,])(?:\d{3,4}p|4k|uhd|hdr|hdr10|dv|web-?dl|web-?rip|blu-?ray|bdrip|brrip|bd|dvdrip|hdtv|remux|x26[45]|h\.?26[45]|hevc|avc|av1|xvid|aac|ac3|eac3|dts|ddp?\d|dd\+?|opus|flac|atmos|10bit|8bit|proper|repack|dual[\s.-]?audio|amzn|nf|pcok|dsnp|hmax|atvp)(?=$|[\s._\-\])\],+])/i;
+
+/**
+ * Removes release group tags, release information, the year and separators from a title.
+ * @param {string} title
+ * @returns {string} the cleaned title, can be an empty string
+ */
+export const cleanTitle = (title) => {
+    let cleaned = title
+        // remove release groups and hashes like [Anime Time] or [E15C75DD]
+        .replace(/\[[^\]]*\]/g, ' ')
+        // dots and underscores are used instead of spaces in release names
+        .replace(/[._]/g, ' ');
+
+    const releaseTag = cleaned.match(RELEASE_TAG);
+    if (releaseTag) {
+        cleaned = cleaned.slice(0, releaseTag.index);
+    }
+
+    cleaned = cleaned
+        // remove the year, but only if it is not the whole title (e.g. '1923')
+        .replace(/(.+?)[\s(]+(?:19\d{2}|20[0-3]\d)\)?\s*$/, '$1')
+        .replace(/\(\s*\)/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        // remove leftover separators, e.g. 'Family Guy -' or 'KAOS,'
+        .replace(/^[\s\-,:]+|[\s\-,:]+$/g, '');
+
+    return cleaned;
+}
+
+export const VIDEO_EXTENSIONS = [ '.mkv', '.mp4', '.m4v', '.avi', '.mov', '.wmv', '.mpg', '.mpeg', '.ts', '.m2ts', '.webm', '.flv', '.ogm', '.divx' ];
+
+/**
+ * Returns the lower case extension of a file, or an empty string if it has none.
+ * Only real extensions (which contain a letter and have no more than 4 characters) count,
+ * so that names like 'Show.S01E01.1080p.WEB-DL.DDP5.1.x264-' or 'Show.2024.03.14' have no extension.
+ * @param {string} filePath
+ * @returns {string}
+ */
+export const getExtension = (filePath) => {
+    const extension = path.extname(path.basename(filePath));
+
+    return /^\.(?=.*[a-z])[a-z0-9]{2,4}$/i.test(extension) ? extension.toLowerCase() : '';
+}
+
+/**
+ * Returns the file name without its extension (see getExtension).
+ * @param {string} filePath
+ * @returns {string}
+ */
+const getNameWithoutExtension = (filePath) => {
+    const fileName = path.basename(filePath);
+    const extension = getExtension(filePath);
+
+    return extension ? fileName.slice(0, -extension.length) : fileName;
+}
+
+/**
+ * Looks for a season number in the parent folders of a file, starting with the closest one.
+ * Supports 'Season 02', 'Season S02', '(Season 02)' and 'Show S02 (2025)', but ignores ranges like '(S01-S04+OVA)'. A 'Specials' folder is season 0.
+ * @param {string} filePath
+ * @returns {number|undefined}
+ */
+export const parseSeasonFromFolders = (filePath) => {
+    const folders = path.dirname(filePath).split(/[\\/]/).reverse();
+
+    for (const folder of folders) {
+        if (/^Specials$/i.test(folder)) {
+            return 0;
+        }
+        const season = folder.match(/\bSeason[\s._]*S?(\d{1,2})\b/i) || folder.match(/(?<![-\w])S(\d{1,2})\b(?!\s*[-+~]\s*S?\d)/i);
+        if (season) {
+            return parseInt(season[1]);
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * @typedef {Object} ParsedFileName
+ * @property {string} [ series ] - Only set if the parser is confident about it.
+ * @property {number} [ season ] - Only set if the parser is confident about it.
+ * @property {number} [ episode ] - Only set if the parser is confident about it. For multi-episode files, this is the first episode.
+ * @property {number} [ lastEpisode ] - Only set for multi-episode files like 'S01E01-E02'.
+ * @property {string} [ airDate ] - The air date of date-based episodes like 'Show.2024.03.14' as 'YYYY-MM-DD', they have no season and episode.
+ */
+/**
+ * Returns a date as 'YYYY-MM-DD' if it exists in the calendar.
+ * @param {number|string} year
+ * @param {number|string} month
+ * @param {number|string} day
+ * @returns {string|undefined} undefined if the date is invalid, e.g. '2024-02-30'
+ */
+export const toAirDate = (year, month, day) => {
+    const date = new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day)));
+    if (date.getUTCFullYear() !== parseInt(year) || date.getUTCMonth() !== parseInt(month) - 1 || date.getUTCDate() !== parseInt(day)) {
+        return undefined;
+    }
+
+    return date.toISOString().slice(0, 10);
+}
+/**
+ * Returns the last episode of a multi-episode range, or undefined if it isn't a range.
+ * @param {number} episode - The first episode.
+ * @param {string} [ rest ] - The part of the match after the first episode, e.g. 'E02', '-E02' or '-02'.
+ * @returns {number|undefined}
+ */
+const getLastEpisode = (episode, rest) => {
+    const numbers = [ ...(rest || '').matchAll(/\d+/g) ].map(match => parseInt(match[0]));
+    const lastEpisode = numbers.length > 0 ? numbers[numbers.length - 1] : undefined;
+
+    return lastEpisode > episode ? lastEpisode : undefined;
+}
+
+/**
+ * Rule-based parser for common naming patterns of episodes. It only returns the fields it is confident about, so the caller can ask the LLM for the rest.
+ * Supported patterns:
+ * - 'Show.Name.2019.S04E03.1080p.WEB-DL-Group' and 'Show Name - S03E05 - Title'
+ * - 'Show Name 1x05'
+ * - '[Group] Show Name - 12 [CRC32]' and 'Show Name - 26' (the season is taken from a parent folder like 'Season 02')
+ * - multi-episode files like 'Show.S01E01E02', 'Show S01E01-E02', 'Show S01E01-02', 'Show 1x01-02' and 'Show - 01-02'
+ * - date-based episodes of daily and talk shows like 'The.Daily.Show.2024.03.14.Guest.Name.1080p' and 'Show 2024-03-14'
+ * @param {string} filePath
+ * @returns {ParsedFileName}
+ */
+export const parseFileName = (filePath) => {
+    const name = getNameWithoutExtension(filePath);
+
+    // 'S04E03', 'S04.E03' or '1x05', optionally followed by more episodes ('E04', '-E04', '-04')
+    const seasonEpisodes = [ ...name.matchAll(/(?<![a-z\d])(?:S(\d{1,2})[\s._-]?E(\d{1,3})((?:-?E\d{1,3}|-\d{1,3}(?![\da-z]))*)|(\d{1,2})x(\d{2,3})((?:-(?:\d{1,2}x)?\d{2,3})*))(?![a-z\d])/gi) ];
+    if (seasonEpisodes.length > 0) {
+        const values = seasonEpisodes.map(match => {
+            const episode = parseInt(match[2] ?? match[5]);
+            return [ parseInt(match[1] ?? match[4]), episode, getLastEpisode(episode, match[3] ?? match[6]) ];
+        });
+
+        // different episodes in one name are ambiguous
+        if (values.some(([ season, episode, lastEpisode ]) => season !== values[0][0] || episode !== values[0][1] || lastEpisode !== values[0][2])) {
+            return {};
+        }
+
+        const series = cleanTitle(name.slice(0, seasonEpisodes[0].index));
+        return {
+            ...(series ? { series } : {}),
+            season: values[0][0],
+            episode: values[0][1],
+            ...(values[0][2] !== undefined ? { lastEpisode: values[0][2] } : {})
+        };
+    }
+
+    // 'Show.2024.03.14', 'Show 2024-03-14' or 'Show_2024_03_14'
+    const date = name.match(/(?<![a-z\d])((?:19|20)\d{2})([.\s_-])(\d{2})\2(\d{2})(?![a-z\d])/i);
+    const airDate = date && toAirDate(date[1], date[3], date[4]);
+    if (airDate) {
+        const series = cleanTitle(name.slice(0, date.index));
+        return series ? { series, airDate } : { airDate };
+    }
+
+    // '[Group] Show Name - 12 [CRC32]', '[Group] Show Name - 12v2', 'Show Name - 26' or 'Show Name - 01-02'
+    const absolute = name.match(/^(.*?\S)\s+-\s+(\d{1,4})(?:v\d)?(?:-(\d{1,4})(?:v\d)?)?(?=$|\s*[[(])/i);
+    if (absolute && !/^(?:19\d{2}|20[0-3]\d)$/.test(absolute[2])) {
+        const series = cleanTitle(absolute[1]);
+        const season = parseSeasonFromFolders(filePath);
+        const episode = parseInt(absolute[2]);
+        const lastEpisode = getLastEpisode(episode, absolute[3]);
+        return {
+            ...(series ? { series } : {}),
+            ...(season !== undefined ? { season } : {}),
+            episode,
+            ...(lastEpisode !== undefined ? { lastEpisode } : {})
+        };
+    }
+
+    return {};
+}
+
+/**
+ * @typedef {Object} ParsedMovieFileName
+ * @property {string} [ title ] - Only set if the parser is confident about it.
+ * @property {number} [ year ] - Only set if the parser is confident about it.
+ */
+/**
+ * Rule-based parser for movie release names like 'The.Matrix.1999.1080p.BluRay.x264-Group' or 'Blade Runner 2049 (2017)'.
+ * The parser is only confident if the name contains a year and no season and episode numbers or air date.
+ * @param {string} filePath
+ * @returns {ParsedMovieFileName}
+ */
+export const parseMovieFileName = (filePath) => {
+    const name = getNameWithoutExtension(filePath);
+
+    const parsedEpisode = parseFileName(filePath);
+    if (parsedEpisode.season !== undefined || parsedEpisode.episode !== undefined || parsedEpisode.airDate !== undefined) {
+        return {};
+    }
+
+    // the last year wins, so years in the title (like '2049' or '1917') stay part of it
+    const movie = name.match(/^(.+)[\s._([]+(19\d{2}|20[0-3]\d)(?=$|[\s._)\]])/);
+    if (!movie) {
+        return {};
+    }
+
+    const title = cleanTitle(movie[1]);
+    return title ? { title, year: parseInt(movie[2]) } : {};
+}
@@ -0,0 +1,74 @@
+import { parseFileName, parseMovieFileName } from "./parser";
+
+describe("Parse file names without the LLM", () => {
+
+    it("Should parse release names with SxxEyy", () => {
+
+        expect(parseFileName("Movies/series/Temptation Island/Season 04/Temptation.Island.2019.S04E03.1080p.PCOK.WEB-DL.DDP5.1.x264-")).toStrictEqual({ series: "Temptation Island", season: 4, episode: 3 });
+        expect(parseFileName("/Movies/downloaded/raw/Game.of.Thrones.S04.1080p.BluRay.AV1.Opus.5.1-onlyfaffs/Game.of.Thrones.S04E01.Two.Swords.1080p.BluRay.AV1.Opus.5.1-onlyfaffs.mkv")).toStrictEqual({ series: "Game of Thrones", season: 4, episode: 1 });
+        expect(parseFileName("/Volumes/Movies/series/Family Guy/Season 03/Family Guy - S03E05 - And The Wiener Is.mkv")).toStrictEqual({ series: "Family Guy", season: 3, episode: 5 });
+        expect(parseFileName("Movies/series/KAOS, 2160p NF WEB-DL DD+ 5.1 Atmos H.265-NTb/Season 01/KAOS, 2160p NF WEB-DL DD+ 5.1 Atmos H.265-NTb S01E01.mkv")).toStrictEqual({ series: "KAOS", season: 1, episode: 1 });
+        expect(parseFileName("/rename/Movies/series/Rome (2005) - 1080p Bluray AV1 OPUS 5.1 -jenkins/Season 01/Rome (2005) S01E01.mkv")).toStrictEqual({ series: "Rome", season: 1, episode: 1 });
+
+    })
+
+    it("Should parse the 1x05 pattern", () => {
+
+        expect(parseFileName("The Office 2x05.avi")).toStrictEqual({ series: "The Office", season: 2, episode: 5 });
+
+    })
+
+    it("Should parse absolute episode numbers and take the season from the folders", () => {
+
+        expect(parseFileName("general/piracy-vbox-shared/rename/[Anime Time] Attack On Titan (Complete Series) (S01-S04+OVA) [Dual Audio][BD][1080p][HEVC 10bit x265][AAC][Eng Sub]/[Anime Time] Attack on titan (Season 02)/[Anime Time] Attack On Titan - 26.mkv")).toStrictEqual({ series: "Attack On Titan", season: 2, episode: 26 });
+        expect(parseFileName("/Volumes/general/piracy-vbox-shared/rename/Berserk/Season 01/[SWORDS] Berserk (1997) - 24 [E15C75DD].mkv")).toStrictEqual({ series: "Berserk", season: 1, episode: 24 });
+
+    })
+
+    it("Should parse the range of multi-episode files", () => {
+
+        expect(parseFileName("Show.S01E01E02.1080p.WEB-DL.mkv")).toStrictEqual({ series: "Show", season: 1, episode: 1, lastEpisode: 2 });
+        expect(parseFileName("Show S01E01-E02.mkv")).toStrictEqual({ series: "Show", season: 1, episode: 1, lastEpisode: 2 });
+        expect(parseFileName("Show 1x01-02.mkv")).toStrictEqual({ series: "Show", season: 1, episode: 1, lastEpisode: 2 });
+        expect(parseFileName("Show/Season 01/Show - 01-02 [ABC].mkv")).toStrictEqual({ series: "Show", season: 1, episode: 1, lastEpisode: 2 });
+        expect(parseFileName("Show.S01E01-1080p.mkv")).toStrictEqual({ series: "Show", season: 1, episode: 1 });
+
+    })
+
+    it("Should parse the air date of date-based episodes", () => {
+
+        expect(parseFileName("The.Daily.Show.2024.03.14.Guest.Name.1080p.WEB.h264-Group.mkv")).toStrictEqual({ series: "The Daily Show", airDate: "2024-03-14" });
+        expect(parseFileName("The Daily Show/Season 2024/The Daily Show 2024-03-14.mkv")).toStrictEqual({ series: "The Daily Show", airDate: "2024-03-14" });
+        expect(parseFileName("Show.Name.S01E01.2024.03.14.mkv")).toStrictEqual({ series: "Show Name", season: 1, episode: 1 });
+        expect(parseFileName("The.Daily.Show.2024.02.30.mkv")).toStrictEqual({});
+
+    })
+
+    it("Should leave out fields it is not confident about", () => {
+
+        expect(parseFileName("[Anime Time] Attack On Titan (Complete Series) (S01-S04+OVA)/[Anime Time] Attack On Titan - 26.mkv")).toStrictEqual({ series: "Attack On Titan", episode: 26 });
+        expect(parseFileName("The Mandalorian/Season 02/info.txt")).toStrictEqual({});
+        expect(parseFileName("NC/NCED 01.mkv")).toStrictEqual({});
+
+    })
+
+})
+
+describe("Parse movie file names without the LLM", () => {
+
+    it("Should parse the title and the year", () => {
+
+        expect(parseMovieFileName("The.Matrix.1999.1080p.BluRay.x264-Group.mkv")).toStrictEqual({ title: "The Matrix", year: 1999 });
+        expect(parseMovieFileName("Blade Runner 2049 (2017).mkv")).toStrictEqual({ title: "Blade Runner 2049", year: 2017 });
+
+    })
+
+    it("Should not be confident without a year or with episode numbers", () => {
+
+        expect(parseMovieFileName("The Witcher/The Movie.mp4")).toStrictEqual({});
+        expect(parseMovieFileName("Temptation.Island.2019.S04E03.1080p.mkv")).toStrictEqual({});
+        expect(parseMovieFileName("The.Daily.Show.2024.03.14.Guest.Name.1080p.mkv")).toStrictEqual({});
+
+    })
+
+})
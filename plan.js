@@ -0,0 +1,164 @@
+import fs from 'fs'
+import path from 'path'
+import pino from 'pino'
+import { makeDirectory, renameFile, startRun } from './journal.js'
+
+const logger = pino({
+    level: process.env.NODE_ENV === "development" ? 'debug' : "info"
+}, pino.destination(2));
+
+const PLAN_VERSION = 1;
+
+/**
+ * @typedef {Object} Operation
+ * @property {string} from - The current path of the file.
+ * @property {string} to - The path the file should be renamed to.
+ * @property {string} classification - The classification of the file ('Movie', 'Episode', 'Special', 'Unrelated' or 'Sidecar').
+ * @property {object} details - The details that were extracted from the file path.
+ * @property {string} [ sidecarOf ] - For sidecar files, the current path of the video they belong to. They are only renamed if the video was renamed.
+ * @property {number} [ confidence ] - How much the details of the file can be trusted, from 0 to 1 (see confidence.js).
+ * @property {string[]} [ doubts ] - Why the confidence is lower than 1.
+ */
+/**
+ * @typedef {Object} Plan
+ * @property {number} version - The version of the plan format.
+ * @property {string} createdAt - ISO timestamp of when the plan was created.
+ * @property {string} root - The directory the plan was created for.
+ * @property {Operation[]} operations - The proposed operations, in the order they will be executed.
+ * @property {import('./conflicts.js').Conflict[]} [ conflicts ] - Files that would have ended up with the same name and how they were resolved.
+ * @property {Operation[]} [ review ] - Operations whose confidence is below config.confidenceThreshold. They are not applied, but can be approved in the review UI.
+ */
+/**
+ * @typedef {Object} OperationResult
+ * @property {Operation} operation
+ * @property {'renamed'|'failed'} status
+ * @property {string} [ error ] - The reason why the operation failed.
+ */
+
+/**
+ * Creates a reviewable plan from a list of proposed operations.
+ * @param {string} root - The directory the operations were collected from.
+ * @param {Operation[]} operations
+ * @param {import('./conflicts.js').Conflict[]} [ conflicts ]
+ * @param {Operation[]} [ review ]
+ * @returns {Plan}
+ */
+export const createPlan = (root, operations, conflicts = [], review = []) => {
+    return {
+        version: PLAN_VERSION,
+        createdAt: new Date().toISOString(),
+        root,
+        operations,
+        conflicts,
+        review
+    };
+}
+
+/**
+ * Writes the plan as JSON to the given file, so it can be reviewed before it is applied.
+ * @param {Plan} plan
+ * @param {string} file
+ */
+export const savePlan = (plan, file) => {
+    fs.writeFileSync(file, JSON.stringify(plan, null, 2));
+    logger.info(`Saved plan with ${plan.operations.length} operations and ${(plan.conflicts || []).length} conflicts to ${file}`);
+}
+
+/**
+ * Reads a previously saved plan and checks that it is actually a plan.
+ * @param {string} file
+ * @returns {Plan}
+ */
+export const loadPlan = (file) => {
+    const plan = JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+    if (plan.version !== PLAN_VERSION) {
+        throw new Error(`Unsupported plan version: ${plan.version}`);
+    }
+    if (!Array.isArray(plan.operations)) {
+        throw new Error('Plan does not contain any operations');
+    }
+
+    const invalid = plan.operations.find(operation => typeof operation.from !== 'string' || typeof operation.to !== 'string');
+    if (invalid) {
+        throw new Error(`Plan contains an invalid operation: ${JSON.stringify(invalid)}`);
+    }
+
+    return plan;
+}
+
+/**
+ * Executes a single operation of a plan and records it in the journal under the run.
+ * @param {string} runId
+ * @param {Operation} operation
+ * @param {Set<string>} failed - The sources of the operations that failed so far, sidecar files are skipped if their video is in it.
+ * @returns {OperationResult}
+ */
+const applyOperation = (runId, operation, failed) => {
+    try {
+
+        if (operation.sidecarOf && failed.has(operation.sidecarOf)) {
+            throw new Error('Video was not renamed');
+        }
+        if (!fs.existsSync(operation.from)) {
+            throw new Error('Source does not exist anymore');
+        }
+        if (fs.existsSync(operation.to)) {
+            throw new Error('Target already exists');
+        }
+
+        makeDirectory(runId, path.dirname(operation.to));
+        renameFile(runId, operation.from, operation.to);
+
+        logger.info(`Renamed: ${operation.from} -> ${operation.to}`);
+        return { operation, status: 'renamed' };
+    } catch (error) {
+        logger.error(`Failed to rename ${operation.from}: ${error.message}`);
+        failed.add(operation.from);
+        return { operation, status: 'failed', error: error.message };
+    }
+}
+
+/**
+ * Executes the operations of a plan exactly as they are written down. Nothing is asked from the LLM again.
+ * An operation fails (and is skipped) if its source no longer exists or if its target already exists. Sidecar files are skipped if their video failed.
+ * All changes are recorded in the journal under one run, so they can be undone together.
+ * @param {Plan} plan
+ * @param {string} [ kind ] - What the run is recorded as in the journal.
+ * @param {(result: OperationResult) => void} [ onResult ] - Called after each operation, e.g. to report the progress.
+ * @returns {OperationResult[]}
+ */
+export const applyPlan = (plan, kind = 'apply', onResult) => {
+    const results = [];
+    const runId = startRun(kind, { root: plan.root });
+    const failed = new Set();
+
+    for (const operation of plan.operations) {
+        results.push(applyOperation(runId, operation, failed));
+        onResult?.(results[results.length - 1]);
+    }
+
+    return results;
+}
+
+/**
+ * Executes the operations of a plan like applyPlan, but yields to the event loop before each operation,
+ * so a server stays responsive and can report the progress while a large plan is applied.
+ * @param {Plan} plan
+ * @param {string} [ kind ] - What the run is recorded as in the journal.
+ * @param {(result: OperationResult) => void} [ onResult ] - Called after each operation, e.g. to report the progress.
+ * @returns {Promise<OperationResult[]>}
+ */
+export const applyPlanAsync = async (plan, kind = 'apply', onResult) => {
+    const results = [];
+    const runId = startRun(kind, { root: plan.root });
+    const failed = new Set();
+
+    for (const operation of plan.operations) {
+        await new Promise(resolve => setImmediate(resolve));
+        results.push(applyOperation(runId, operation, failed));
+        onResult?.(results[results.length - 1]);
+    }
+
+    return results;
+}
@@ -0,0 +1,79 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { applyPlan, createPlan, loadPlan, savePlan } from "./plan";
+import config from "./config";
+
+describe("Rename plans", () => {
+
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-plan-'));
+        config.journalFile = path.join(dir, "journal.jsonl");
+    })
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    })
+
+    it("Should save and load a plan without changing it", () => {
+
+        const plan = createPlan(dir, [
+            { from: path.join(dir, "The.Last.of.Us.S01E01.mkv"), to: path.join(dir, "The Last of Us S01E01.mkv"), classification: "Episode", details: { series: "The Last of Us", season: 1, episode: 1 } }
+        ]);
+        const planFile = path.join(dir, "plan.json");
+
+        savePlan(plan, planFile);
+
+        expect(loadPlan(planFile)).toStrictEqual(plan);
+
+    })
+
+    it("Should reject files that are not a plan", () => {
+
+        const planFile = path.join(dir, "plan.json");
+        fs.writeFileSync(planFile, JSON.stringify({ operations: [] }));
+
+        expect(() => loadPlan(planFile)).toThrow("Unsupported plan version");
+
+    })
+
+    it("Should execute the operations exactly and never overwrite files", () => {
+
+        fs.writeFileSync(path.join(dir, "a.mkv"), "a");
+        fs.writeFileSync(path.join(dir, "b.mkv"), "b");
+        fs.writeFileSync(path.join(dir, "taken.mkv"), "taken");
+
+        const results = applyPlan(createPlan(dir, [
+            { from: path.join(dir, "a.mkv"), to: path.join(dir, "Show S01E01.mkv") },
+            { from: path.join(dir, "b.mkv"), to: path.join(dir, "taken.mkv") },
+            { from: path.join(dir, "missing.mkv"), to: path.join(dir, "Show S01E03.mkv") },
+        ]));
+
+        expect(results.map(result => result.status)).toStrictEqual(["renamed", "failed", "failed"]);
+        expect(fs.readdirSync(dir).sort()).toStrictEqual(["Show S01E01.mkv", "b.mkv", "journal.jsonl", "taken.mkv"]);
+        expect(fs.readFileSync(path.join(dir, "taken.mkv"), "utf-8")).toBe("taken");
+
+    })
+
+    it("Should only rename sidecar files if their video was renamed", () => {
+
+        fs.writeFileSync(path.join(dir, "a.mkv"), "a");
+        fs.writeFileSync(path.join(dir, "a.en.srt"), "a");
+        fs.writeFileSync(path.join(dir, "b.mkv"), "b");
+        fs.writeFileSync(path.join(dir, "b.en.srt"), "b");
+        fs.writeFileSync(path.join(dir, "taken.mkv"), "taken");
+
+        const results = applyPlan(createPlan(dir, [
+            { from: path.join(dir, "a.mkv"), to: path.join(dir, "Show S01E01.mkv") },
+            { from: path.join(dir, "a.en.srt"), to: path.join(dir, "Show S01E01.en.srt"), sidecarOf: path.join(dir, "a.mkv") },
+            { from: path.join(dir, "b.mkv"), to: path.join(dir, "taken.mkv") },
+            { from: path.join(dir, "b.en.srt"), to: path.join(dir, "taken.en.srt"), sidecarOf: path.join(dir, "b.mkv") },
+        ]));
+
+        expect(results.map(result => result.status)).toStrictEqual(["renamed", "renamed", "failed", "failed"]);
+        expect(fs.readdirSync(dir).sort()).toStrictEqual(["Show S01E01.en.srt", "Show S01E01.mkv", "b.en.srt", "b.mkv", "journal.jsonl", "taken.mkv"]);
+
+    })
+
+})
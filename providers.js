@@ -0,0 +1,156 @@
+import fs from 'fs'
+import { Ollama } from 'ollama'
+import config from './config.js'
+
+/**
+ * @typedef {Object} Message
+ * @property {'system'|'user'|'assistant'} role
+ * @property {string} content
+ */
+/**
+ * @typedef {Object} ChatRequest
+ * @property {string} model - The model that should answer.
+ * @property {Message[]} messages
+ * @property {string[]} [ stop ] - Sequences at which the model stops generating.
+ * @property {object} [ format ] - JSON schema the answer has to follow (structured output), if the server supports it.
+ * @property {number} [ temperature ] - Sampling temperature, the default of the server (Ollama) or 0 (OpenAI-compatible APIs) if not set.
+ */
+/**
+ * @typedef {Object} Provider
+ * @property {string} name - Used in log messages.
+ * @property {(request: ChatRequest) => Promise<string>} chat - Returns the content of the answer of the model.
+ */
+
+/**
+ * Provider for an Ollama server.
+ * @param {Object} options
+ * @param {string} options.host - e.g. 'http://localhost:11434'
+ * @returns {Provider}
+ */
+export const createOllamaProvider = ({ host }) => {
+    const ollama = new Ollama({ host });
+
+    return {
+        name: 'Ollama',
+        chat: async ({ model, messages, stop, format, temperature }) => {
+            const response = await ollama.chat({ model, messages, format, options: { stop, ...(temperature !== undefined ? { temperature } : {}) } });
+            return response.message.content;
+        }
+    };
+}
+
+/**
+ * Provider for any server that implements the OpenAI chat completions endpoint (llama.cpp server, vLLM, LM Studio, ...).
+ * @param {Object} options
+ * @param {string} options.baseUrl - The URL the '/chat/completions' path is appended to, e.g. 'http://localhost:8080/v1'.
+ * @param {string} [ options.apiKey ]
+ * @returns {Provider}
+ */
+export const createOpenAIProvider = ({ baseUrl, apiKey }) => {
+    return {
+        name: 'OpenAI-compatible API',
+        chat: async ({ model, messages, stop, format, temperature }) => {
+            const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+                },
+                body: JSON.stringify({
+                    model,
+                    messages,
+                    stop,
+                    temperature: temperature ?? 0,
+                    ...(format ? { response_format: { type: 'json_schema', json_schema: { name: 'response', schema: format } } } : {})
+                })
+            });
+
+            if (!response.ok) {
+                throw new Error(`Request failed with status ${response.status}: ${await response.text()}`);
+            }
+
+            const body = await response.json();
+            return body.choices[0].message.content;
+        }
+    };
+}
+
+/**
+ * Deterministic in-process provider for tests and dry runs, no model is involved.
+ * The answer to an input is looked up in the given responses first, then in the examples of the request. Everything else is answered with '{}'.
+ * @param {Object} [ options ]
+ * @param {Object<string, object|string>} [ options.responses ] - Answers by input.
+ * @returns {Provider}
+ */
+export const createMockProvider = ({ responses = {} } = {}) => {
+    return {
+        name: 'Mock',
+        chat: async ({ messages }) => {
+            // the input is the first message that asks for JSON, answers to invalid responses come after it
+            const input = messages.find(message => message.role === 'user' && message.content.endsWith('```json')).content.replace(/```json$/, '');
+
+            if (input in responses) {
+                const response = responses[input];
+                return typeof response === 'string' ? response : JSON.stringify(response);
+            }
+
+            const example = messages.findIndex((message, index) => message.role === 'user' && index < messages.length - 1 && message.content === input);
+            if (example !== -1 && messages[example + 1]?.role === 'assistant') {
+                return messages[example + 1].content;
+            }
+
+            return '{}';
+        }
+    };
+}
+
+/**
+ * Creates the provider that is selected in the config.
+ * @returns {Provider}
+ */
+const createProvider = () => {
+    switch (config.provider) {
+        case 'ollama':
+            return createOllamaProvider({ host: config.llmHost });
+        case 'openai':
+            return createOpenAIProvider({ baseUrl: config.llmHost, apiKey: config.llmApiKey });
+        case 'mock':
+            return createMockProvider({
+                responses: config.mockResponsesFile ? JSON.parse(fs.readFileSync(config.mockResponsesFile, 'utf-8')) : {}
+            });
+        default:
+            throw new Error(`Unknown LLM provider: ${config.provider}`);
+    }
+}
+
+/** @type {Provider|null} */
+let provider = null;
+
+/**
+ * Returns the provider that is selected in the config. It is created on first use.
+ * @returns {Provider}
+ */
+export const getProvider = () => {
+    if (!provider) {
+        provider = createProvider();
+    }
+
+    return provider;
+}
+
+/**
+ * Replaces the provider, e.g. with a mock provider in tests. Passing null creates the provider from the config again on next use.
+ * @param {Provider|null} newProvider
+ */
+export const setProvider = (newProvider) => {
+    provider = newProvider;
+}
+
+/**
+ * Returns the model that is configured for a task, falling back to the default model.
+ * @param {'classification'|'extraction'} [ task ]
+ * @returns {string}
+ */
+export const getModel = (task) => {
+    return (task && config.models[task]) || config.model;
+}
@@ -0,0 +1,151 @@
+import { request } from "./api";
+import { createMockProvider, getModel, setProvider } from "./providers";
+import { classifyFile, getDetails, getEpisodeNumber } from "./lib";
+import { mapSpecial } from "./specials";
+import config from "./config";
+
+describe("LLM providers", () => {
+
+    beforeEach(() => {
+        config.cacheFile = "";
+    })
+    afterEach(() => {
+        setProvider(null);
+    })
+
+    it("Should answer with the configured responses and examples of the mock provider", async () => {
+
+        setProvider(createMockProvider({ responses: { "Show S01E02.mkv": { episode: 2 } } }));
+
+        expect(await request("Extract the episode", "Show S01E02.mkv")).toStrictEqual({ episode: 2 });
+        expect(await request("Extract the episode", "Other S01E03.mkv", [ { input: "Other S01E03.mkv", output: JSON.stringify({ episode: 3 }) } ])).toStrictEqual({ episode: 3 });
+        expect(await request("Extract the episode", "Unknown.mkv")).toStrictEqual({});
+
+    })
+
+    it("Should send identical requests that are in flight only once", async () => {
+
+        let requests = 0;
+        setProvider({
+            name: "Test",
+            chat: async () => {
+                requests++;
+                return JSON.stringify({ episode: 2 });
+            }
+        });
+
+        const responses = await Promise.all([
+            request("Extract the episode", "Another Show S01E02.mkv"),
+            request("Extract the episode", "Another Show S01E02.mkv"),
+        ]);
+
+        expect(responses).toStrictEqual([ { episode: 2 }, { episode: 2 } ]);
+        expect(requests).toBe(1);
+
+    })
+
+    it("Should select the model per task", () => {
+
+        config.models.classification = "qwen2.5:0.5b";
+
+        expect(getModel("classification")).toBe("qwen2.5:0.5b");
+        expect(getModel("extraction")).toBe(config.model);
+
+        config.models.classification = undefined;
+
+    })
+
+})
+
+describe("Structured outputs", () => {
+
+    beforeEach(() => {
+        config.cacheFile = "";
+    })
+    afterEach(() => {
+        setProvider(null);
+    })
+
+    it("Should pass the schema to the provider and retry invalid answers with the validation errors", async () => {
+
+        const requests = [];
+        setProvider({
+            name: "Test",
+            chat: async (chatRequest) => {
+                requests.push(chatRequest);
+                return requests.length === 1 ? JSON.stringify({ episode: "three" }) : JSON.stringify({ episode: 3 });
+            }
+        });
+
+        const schema = { type: "object", properties: { episode: { type: "integer" } }, required: [ "episode" ] };
+        const response = await request("Extract the episode", "Show - Episode Three.mkv", [], { schema });
+
+        expect(response).toStrictEqual({ episode: 3 });
+        expect(requests[0].format).toBe(schema);
+        expect(requests[1].messages.slice(-2).map(message => message.role)).toStrictEqual([ "assistant", "user" ]);
+        expect(requests[1].messages[requests[1].messages.length - 1].content).toContain("response.episode must be of type integer");
+
+    })
+
+    it("Should accept episode 0", async () => {
+
+        setProvider(createMockProvider({ responses: { "Pilot/NCED 00.mkv": { classification: "Episode", series: "Show", season: 1, episode: 0, lastEpisode: null, year: null, title: null } } }));
+
+        expect(await getEpisodeNumber("Pilot/NCED 00.mkv")).toBe(0);
+
+    })
+
+})
+
+describe("Combined extraction", () => {
+
+    beforeEach(() => {
+        config.cacheFile = "";
+    })
+    afterEach(() => {
+        setProvider(null);
+    })
+
+    it("Should answer the classification and all details with one request", async () => {
+
+        const filePath = "Downloads/Some Show Episode Three.mkv";
+        let requests = 0;
+        setProvider({
+            name: "Test",
+            chat: async () => {
+                requests++;
+                return JSON.stringify({ classification: "Episode", series: "Some Show", season: 1, episode: 3, lastEpisode: null, year: null, title: null });
+            }
+        });
+
+        expect(await classifyFile(filePath)).toBe("Episode");
+        expect(await getDetails(filePath)).toMatchObject({ series: "Some Show", season: 1, episode: 3, sources: { series: "llm", season: "llm", episode: "llm" } });
+        expect(await getEpisodeNumber(filePath)).toBe(3);
+        expect(requests).toBe(1);
+
+    })
+
+    it("Should not ask the LLM if the parser is confident", async () => {
+
+        setProvider({ name: "Test", chat: async () => { throw new Error("The LLM should not be asked"); } });
+
+        expect(await getDetails("Show.Name.S04E03.1080p.WEB-DL.mkv")).toMatchObject({ series: "Show Name", season: 4, episode: 3, sources: { series: "parser", season: "parser", episode: "parser" } });
+
+    })
+
+    it("Should put specials into season 0 and use the episode they are mapped to", async () => {
+
+        config.specialsFile = "";
+        setProvider(createMockProvider({ responses: {
+            "Doctor Who/Doctor.Who.2005.The.Christmas.Invasion.mkv": { classification: "Special", series: "Doctor Who", season: 0, episode: null, lastEpisode: null, year: 2005, title: "The Christmas Invasion" },
+            "Doctor Who/Doctor.Who.2005.Voyage.of.the.Damned.mkv": { classification: "Special", series: "Doctor Who", season: 0, episode: null, lastEpisode: null, year: 2005, title: "Voyage of the Damned" }
+        } }));
+        mapSpecial("Doctor Who", "The Christmas Invasion", 1);
+
+        expect(await getDetails("Doctor Who/Doctor.Who.2005.The.Christmas.Invasion.mkv")).toMatchObject({ series: "Doctor Who", season: 0, episode: 1, sources: { episode: "specials" } });
+        await expect(getDetails("Doctor Who/Doctor.Who.2005.Voyage.of.the.Damned.mkv")).rejects.toThrow("specials file");
+        expect(await classifyFile("Show.S00E02.Pilot.mkv")).toBe("Special");
+
+    })
+
+})
@@ -0,0 +1,170 @@
+import path from 'path'
+import { getNewEpisodeFilePath } from './lib.js'
+import { createPlan } from './plan.js'
+import { resolveConflicts } from './conflicts.js'
+import { getNewSidecarPath } from './sidecar.js'
+import { parseSeasonFromFolders } from './parser.js'
+
+/**
+ * Why an operation deserves a closer look:
+ * - 'llm': at least one of the details was answered by the LLM instead of the parser, the specials file or the metadata provider.
+ * - 'conflict': the file is part of a conflict (see conflicts.js).
+ * - 'inconsistent-series': the series differs from the one most files in the same folder got.
+ * - 'season-mismatch': the season differs from the season folder the file is in.
+ * - 'low-confidence': the confidence is below config.confidenceThreshold, so the file is on the review list of the plan and is only renamed if it is approved.
+ * @typedef {'llm'|'conflict'|'inconsistent-series'|'season-mismatch'|'low-confidence'} ReviewFlag
+ */
+/**
+ * @typedef {Object} ReviewItem
+ * @property {import('./plan.js').Operation} operation
+ * @property {ReviewFlag[]} flags
+ */
+/**
+ * @typedef {Object} ReviewDecision
+ * @property {string} from - The file the decision is about.
+ * @property {boolean} approved - Only approved operations are applied.
+ * @property {{ series?: string, season?: number, episode?: number, lastEpisode?: number|null }} [ details ] - Corrected details of an episode or special.
+ */
+
+const CORRECTABLE_FIELDS = [ 'series', 'season', 'episode', 'lastEpisode' ];
+
+/**
+ * Returns the operations of a plan and the ones on its review list.
+ * @param {import('./plan.js').Plan} plan
+ * @returns {import('./plan.js').Operation[]}
+ */
+export const getAllOperations = (plan) => [ ...plan.operations, ...(plan.review || []) ];
+
+/**
+ * Returns the operations of a plan, followed by the ones on its review list, with the reasons why they should be reviewed.
+ * @param {import('./plan.js').Plan} plan
+ * @returns {ReviewItem[]} items
+ */
+export const getReviewItems = (plan) => {
+    const isEpisode = (operation) => operation.classification === 'Episode' || operation.classification === 'Special';
+    const operations = getAllOperations(plan);
+    const doubtful = new Set((plan.review || []).map(operation => operation.from));
+
+    // the series most files of each folder got
+    const seriesCounts = new Map();
+    for (const operation of operations.filter(isEpisode)) {
+        const folder = path.dirname(operation.from);
+        const counts = seriesCounts.get(folder) || new Map();
+        counts.set(operation.details.series, (counts.get(operation.details.series) || 0) + 1);
+        seriesCounts.set(folder, counts);
+    }
+    const majority = new Map([ ...seriesCounts ].map(([ folder, counts ]) => [ folder, [ ...counts ].sort((a, b) => b[1] - a[1])[0][0] ]));
+
+    const conflicting = new Set((plan.conflicts || []).flatMap(conflict => conflict.files));
+
+    return operations.map(operation => {
+        const flags = [];
+        if (doubtful.has(operation.from) && !operation.sidecarOf) {
+            flags.push('low-confidence');
+        }
+        if (Object.values(operation.details?.sources || {}).includes('llm')) {
+            flags.push('llm');
+        }
+        if (conflicting.has(operation.from)) {
+            flags.push('conflict');
+        }
+        if (isEpisode(operation)) {
+            if (majority.get(path.dirname(operation.from)) !== operation.details.series) {
+                flags.push('inconsistent-series');
+            }
+            const folderSeason = parseSeasonFromFolders(operation.from);
+            if (operation.classification === 'Episode' && folderSeason !== undefined && folderSeason !== operation.details.season) {
+                flags.push('season-mismatch');
+            }
+        }
+
+        return { operation, flags };
+    });
+}
+
+/**
+ * Checks the corrected details of an episode.
+ * @param {import('./lib.js').Details} details
+ */
+const validateDetails = ({ series, season, episode, lastEpisode, airDate }) => {
+    if (typeof series !== 'string' || series.trim() === '') {
+        throw new Error('The series must not be empty');
+    }
+    if (!Number.isInteger(season) || season < 0) {
+        throw new Error(`Invalid season: ${season}`);
+    }
+    // date-based episodes are named by their air date
+    if (!(airDate && episode === null) && (!Number.isInteger(episode) || episode < 0)) {
+        throw new Error(`Invalid episode: ${episode}`);
+    }
+    if (lastEpisode !== null && lastEpisode !== undefined && (!Number.isInteger(lastEpisode) || lastEpisode <= episode)) {
+        throw new Error(`Invalid last episode: ${lastEpisode}`);
+    }
+}
+
+/**
+ * Applies corrected details to an episode or special and computes its new path the same way the plan was created.
+ * The corrected fields are marked with the source 'manual'.
+ * @param {import('./plan.js').Operation} operation
+ * @param {ReviewDecision['details']} correction
+ * @param {string} root - The folder the plan was created for.
+ * @returns {Promise<import('./plan.js').Operation>} the corrected operation
+ */
+export const correctOperation = async (operation, correction, root) => {
+    if (operation.classification !== 'Episode' && operation.classification !== 'Special') {
+        throw new Error(`Only episodes and specials can be corrected, ${operation.from} is a ${operation.classification}`);
+    }
+
+    const details = { ...operation.details, sources: { ...operation.details.sources } };
+    for (const field of CORRECTABLE_FIELDS.filter(field => field in correction)) {
+        if (correction[field] !== details[field]) {
+            details[field] = correction[field];
+            details.sources[field] = 'manual';
+        }
+    }
+    validateDetails(details);
+
+    return { ...operation, details, to: await getNewEpisodeFilePath(operation.from, root, operation.classification, details) };
+}
+
+/**
+ * Creates the plan that is applied after a review: only approved operations are kept, including approved ones from the review list,
+ * corrections are applied and sidecar files follow their video.
+ * Corrections can create new collisions, so the conflicts are resolved again.
+ * @param {import('./plan.js').Plan} plan - The reviewed plan.
+ * @param {ReviewDecision[]} decisions
+ * @returns {Promise<import('./plan.js').Plan>} plan
+ */
+export const createReviewedPlan = async (plan, decisions) => {
+    const operations = getAllOperations(plan);
+    const sources = new Set(operations.map(operation => operation.from));
+    const unknown = decisions.find(decision => !sources.has(decision.from));
+    if (unknown) {
+        throw new Error(`${unknown.from} is not part of the plan`);
+    }
+    const decisionsByFile = new Map(decisions.map(decision => [ decision.from, decision ]));
+
+    const approved = [];
+    const videoTargets = new Map();
+    for (const operation of operations) {
+        if (operation.sidecarOf) {
+            const target = videoTargets.get(operation.sidecarOf);
+            if (target) {
+                approved.push({ ...operation, to: getNewSidecarPath({ suffix: operation.details.suffix }, target) });
+            }
+            continue;
+        }
+
+        const decision = decisionsByFile.get(operation.from);
+        if (!decision?.approved) {
+            continue;
+        }
+
+        const reviewed = decision.details ? await correctOperation(operation, decision.details, plan.root) : operation;
+        approved.push(reviewed);
+        videoTargets.set(operation.from, reviewed.to);
+    }
+
+    const { operations: resolved, conflicts } = resolveConflicts(approved, { root: plan.root });
+    return createPlan(plan.root, resolved, conflicts);
+}
@@ -0,0 +1,65 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createReviewedPlan, getReviewItems } from "./review";
+import { createRenamePlan } from "./lib";
+import { setProvider } from "./providers";
+import config from "./config";
+
+describe("Review", () => {
+
+    let dir;
+    let season;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-review-'));
+        config.cacheFile = "";
+        config.journalFile = path.join(dir, "journal.jsonl");
+        setProvider({ name: "Test", chat: async () => { throw new Error("The LLM should not be asked"); } });
+
+        season = path.join(dir, "Show", "Season 01");
+        fs.mkdirSync(season, { recursive: true });
+        for (const file of [ "Show.S01E01.mkv", "Show.S01E01.en.srt", "Show.S01E02.mkv", "Other.Show.S01E03.mkv", "Show.S02E04.mkv" ]) {
+            fs.writeFileSync(path.join(season, file), "");
+        }
+    })
+    afterEach(() => {
+        setProvider(null);
+        fs.rmSync(dir, { recursive: true, force: true });
+    })
+
+    it("Should flag inconsistent results", async () => {
+
+        const items = getReviewItems(await createRenamePlan(dir));
+        const flagsOf = (file) => items.find(item => item.operation.from === path.join(season, file)).flags;
+
+        expect(flagsOf("Show.S01E01.mkv")).toStrictEqual([]);
+        expect(flagsOf("Show.S01E01.en.srt")).toStrictEqual([]);
+        expect(flagsOf("Other.Show.S01E03.mkv")).toStrictEqual([ "inconsistent-series" ]);
+        expect(flagsOf("Show.S02E04.mkv")).toStrictEqual([ "season-mismatch" ]);
+
+    })
+
+    it("Should only keep approved operations and apply corrections", async () => {
+
+        const plan = await createRenamePlan(dir);
+        const reviewed = await createReviewedPlan(plan, [
+            { from: path.join(season, "Show.S01E01.mkv"), approved: true, details: { episode: 5 } },
+            { from: path.join(season, "Show.S01E02.mkv"), approved: false },
+            { from: path.join(season, "Other.Show.S01E03.mkv"), approved: true, details: { series: "Show" } }
+        ]);
+
+        expect(reviewed.operations.map(operation => [ path.basename(operation.from), path.basename(operation.to) ])).toStrictEqual([
+            [ "Other.Show.S01E03.mkv", "Show S01E03.mkv" ],
+            [ "Show.S01E01.mkv", "Show S01E05.mkv" ],
+            [ "Show.S01E01.en.srt", "Show S01E05.en.srt" ]
+        ]);
+        expect(reviewed.operations[1].details.sources.episode).toBe("manual");
+        expect(reviewed.operations[1].details.sources.series).toBe("parser");
+
+        await expect(createReviewedPlan(plan, [ { from: path.join(season, "Show.S01E01.mkv"), approved: true, details: { season: -1 } } ])).rejects.toThrow("Invalid season");
+        await expect(createReviewedPlan(plan, [ { from: path.join(dir, "unknown.mkv"), approved: true } ])).rejects.toThrow("is not part of the plan");
+
+    })
+
+})
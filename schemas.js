@@ -0,0 +1,97 @@
+/**
+ * JSON schemas of the answers the LLM has to give for each task. They are passed to the provider as structured output format and every answer is validated against them.
+ */
+export const schemas = {
+    extraction: {
+        type: 'object',
+        properties: {
+            classification: { type: 'string', enum: [ 'Movie', 'Episode', 'Special', 'Unrelated' ] },
+            series: { type: [ 'string', 'null' ], minLength: 1 },
+            season: { type: [ 'integer', 'null' ], minimum: 0 },
+            episode: { type: [ 'integer', 'null' ], minimum: 0 },
+            lastEpisode: { type: [ 'integer', 'null' ], minimum: 0 },
+            year: { type: [ 'integer', 'null' ], minimum: 1800 },
+            title: { type: [ 'string', 'null' ] },
+            airDate: { type: [ 'string', 'null' ] }
+        },
+        required: [ 'classification', 'series', 'season', 'episode', 'lastEpisode', 'year', 'title' ]
+    },
+    formatCheck: {
+        type: 'object',
+        properties: {
+            matches: { type: 'boolean' }
+        },
+        required: [ 'matches' ]
+    }
+};
+
+/**
+ * @param {*} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+const hasType = (value, type) => {
+    switch (type) {
+        case 'object':
+            return typeof value === 'object' && value !== null && !Array.isArray(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && !isNaN(value);
+        case 'null':
+            return value === null;
+        default:
+            return typeof value === type;
+    }
+}
+
+/**
+ * Validates a value against the subset of JSON schema that is used in this project:
+ * type (also as a list of types), enum, properties, required, items, minimum, maximum and minLength.
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} [ location ] - Where the value is, used in the error messages.
+ * @returns {string[]} the validation errors, empty if the value is valid
+ */
+export const validate = (schema, value, location = 'response') => {
+    const types = schema.type === undefined ? [] : [].concat(schema.type);
+    if (types.length > 0 && !types.some(type => hasType(value, type))) {
+        return [ `${location} must be of type ${types.join(' or ')}, got ${JSON.stringify(value)}` ];
+    }
+
+    const errors = [];
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${location} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+    if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+        errors.push(`${location} must be at least ${schema.minimum}, got ${value}`);
+    }
+    if (schema.maximum !== undefined && typeof value === 'number' && value > schema.maximum) {
+        errors.push(`${location} must be at most ${schema.maximum}, got ${value}`);
+    }
+    if (schema.minLength !== undefined && typeof value === 'string' && value.length < schema.minLength) {
+        errors.push(`${location} must have at least ${schema.minLength} characters`);
+    }
+
+    if (hasType(value, 'object')) {
+        for (const property of schema.required || []) {
+            if (value[property] === undefined) {
+                errors.push(`${location}.${property} is required`);
+            }
+        }
+        for (const [ property, propertySchema ] of Object.entries(schema.properties || {})) {
+            if (value[property] !== undefined) {
+                errors.push(...validate(propertySchema, value[property], `${location}.${property}`));
+            }
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => errors.push(...validate(schema.items, item, `${location}[${index}]`)));
+    }
+
+    return errors;
+}
@@ -0,0 +1,252 @@
+import fs from 'fs'
+import http from 'http'
+import path from 'path'
+import pino from 'pino'
+import { createJobQueue } from './jobs.js'
+import { correctOperation, createReviewedPlan, getAllOperations, getReviewItems } from './review.js'
+import config from './config.js'
+
+const logger = pino({
+    level: process.env.NODE_ENV === "development" ? 'debug' : "info"
+}, pino.destination(2));
+
+const MAX_BODY_SIZE = 1024 * 1024;
+
+const REVIEW_PAGE = new URL('./review.html', import.meta.url);
+
+/**
+ * An error that is answered with its status code and message.
+ */
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {*} body
+ */
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Reads the body of a request as JSON.
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<*>}
+ */
+const readJson = async (req) => {
+    let body = '';
+    for await (const chunk of req) {
+        body += chunk;
+        if (body.length > MAX_BODY_SIZE) {
+            throw new HttpError(413, 'Request body is too large');
+        }
+    }
+
+    try {
+        return JSON.parse(body || '{}');
+    } catch (e) {
+        throw new HttpError(400, `Invalid JSON: ${e.message}`);
+    }
+}
+
+/**
+ * Resolves the folder of a job. If config.serverRoot is set, the folder is relative to it and must not leave it.
+ * @param {*} folder
+ * @returns {string}
+ */
+const resolveFolder = (folder) => {
+    if (typeof folder !== 'string' || folder === '') {
+        throw new HttpError(400, 'folder must be a path');
+    }
+    if (!config.serverRoot) {
+        return folder;
+    }
+
+    const root = path.resolve(config.serverRoot);
+    const resolved = path.resolve(root, folder.replace(/^[/\\]+/, ''));
+    if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+        throw new HttpError(400, `${folder} is outside of ${root}`);
+    }
+
+    return resolved;
+}
+
+/**
+ * Returns the job if its plan can be reviewed: a finished dry run of 'rename' that was not applied yet.
+ * @param {import('./jobs.js').Job} job
+ * @returns {import('./jobs.js').Job}
+ */
+const requireReviewable = (job) => {
+    if (job.mode !== 'rename' || !job.dryRun) {
+        throw new HttpError(409, 'Only dry runs of rename jobs can be reviewed');
+    }
+    if (job.status !== 'completed') {
+        throw new HttpError(409, `The job is ${job.status}`);
+    }
+    if (job.reviewedAt) {
+        throw new HttpError(409, 'The job was already applied');
+    }
+
+    return job;
+}
+
+/**
+ * Everything about a job except its plan, results and logs, which can be large.
+ * @param {import('./jobs.js').Job} job
+ * @returns {object}
+ */
+const summarize = ({ id, folder, mode, dryRun, status, createdAt, startedAt, finishedAt, reviewedAt, progress, error, results, plan, folders }) => ({
+    id, folder, mode, dryRun, status, createdAt, startedAt, finishedAt, reviewedAt, progress, error,
+    counts: {
+        planned: plan ? plan.operations.length : 0,
+        review: plan ? (plan.review || []).length : 0,
+        renamed: results.filter(result => result.status === 'renamed').length,
+        failed: results.filter(result => result.status === 'failed').length,
+        wrongFormat: folders.length
+    }
+});
+
+/**
+ * Creates the HTTP API for rename jobs and the review UI. It is not listening yet.
+ * - GET  /                        the review UI
+ * - GET  /health                  liveness check
+ * - GET  /jobs                    all jobs
+ * - POST /jobs                    submit a job: { "folder": "...", "mode": "rename"|"organize"|"check", "dryRun": false }
+ * - GET  /jobs/:id                status and progress of a job
+ * - GET  /jobs/:id/results        the plan, the result of every file and the folders a check found
+ * - GET  /jobs/:id/logs?since=n   the log of a job, starting at line n
+ * - GET  /jobs/:id/review         the operations of a dry run with the reasons to review them
+ * - POST /jobs/:id/preview        the operation of a file with corrected details: { "from": "...", "details": { "season": 2 } }
+ * - POST /jobs/:id/apply          apply the approved operations of a dry run: { "decisions": [ { "from": "...", "approved": true, "details": {} } ] }
+ * @param {Object} [ options ]
+ * @param {ReturnType<typeof createJobQueue>} [ options.jobs ] - The queue the jobs run in.
+ * @returns {http.Server & { jobs: ReturnType<typeof createJobQueue> }} server
+ */
+export const createServer = ({ jobs = createJobQueue() } = {}) => {
+
+    const handle = async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const [ resource, id, detail, ...rest ] = url.pathname.split('/').filter(Boolean);
+
+        if (!resource && req.method === 'GET') {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            return res.end(fs.readFileSync(REVIEW_PAGE));
+        }
+        if (resource === 'health' && !id) {
+            return sendJson(res, 200, { status: 'ok' });
+        }
+        if (resource !== 'jobs' || rest.length > 0) {
+            throw new HttpError(404, `Not found: ${url.pathname}`);
+        }
+
+        if (!id) {
+            if (req.method === 'GET') {
+                return sendJson(res, 200, { jobs: jobs.list().map(summarize) });
+            }
+            if (req.method === 'POST') {
+                const { folder, mode, dryRun } = await readJson(req);
+                let job;
+                try {
+                    job = jobs.submit({ folder: resolveFolder(folder), mode, dryRun });
+                } catch (e) {
+                    throw e instanceof HttpError ? e : new HttpError(400, e.message);
+                }
+                return sendJson(res, 202, summarize(job));
+            }
+            throw new HttpError(405, `Method not allowed: ${req.method}`);
+        }
+
+        const job = jobs.get(id);
+        if (!job) {
+            throw new HttpError(404, `Unknown job: ${id}`);
+        }
+
+        const method = [ 'preview', 'apply' ].includes(detail) ? 'POST' : 'GET';
+        if (req.method !== method) {
+            throw new HttpError(405, `Method not allowed: ${req.method}`);
+        }
+
+        switch (detail) {
+            case undefined:
+                return sendJson(res, 200, summarize(job));
+            case 'results':
+                return sendJson(res, 200, { plan: job.plan, results: job.results, folders: job.folders });
+            case 'logs': {
+                const since = parseInt(url.searchParams.get('since') || '0') || 0;
+                return sendJson(res, 200, { logs: job.logs.slice(since), next: job.logs.length });
+            }
+            case 'review':
+                return sendJson(res, 200, { root: requireReviewable(job).plan.root, items: getReviewItems(job.plan) });
+            case 'preview': {
+                const { from, details } = await readJson(req);
+                const operation = getAllOperations(requireReviewable(job).plan).find(candidate => candidate.from === from);
+                if (!operation) {
+                    throw new HttpError(400, `${from} is not part of the plan`);
+                }
+                try {
+                    return sendJson(res, 200, { operation: await correctOperation(operation, details || {}, job.plan.root) });
+                } catch (e) {
+                    throw new HttpError(400, e.message);
+                }
+            }
+            case 'apply': {
+                const { decisions } = await readJson(req);
+                if (!Array.isArray(decisions)) {
+                    throw new HttpError(400, 'decisions must be a list');
+                }
+                // claimed before anything is awaited, so a second request is refused while this one is applied
+                requireReviewable(job).reviewedAt = new Date().toISOString();
+                let plan;
+                try {
+                    plan = await createReviewedPlan(job.plan, decisions);
+                } catch (e) {
+                    job.reviewedAt = null;
+                    throw e instanceof HttpError ? e : new HttpError(400, e.message);
+                }
+
+                return sendJson(res, 200, { plan, results: await jobs.applyReviewed(job, plan) });
+            }
+            default:
+                throw new HttpError(404, `Not found: ${url.pathname}`);
+        }
+    }
+
+    const server = http.createServer((req, res) => {
+        handle(req, res).catch(error => {
+            if (!(error instanceof HttpError)) {
+                logger.error(`${req.method} ${req.url} failed: ${error.message}`);
+            }
+            sendJson(res, error.status || 500, { error: error.message });
+        });
+    });
+    server.jobs = jobs;
+
+    return server;
+}
+
+/**
+ * Starts the HTTP API on the port from the config. The API has no authentication, so it only starts if config.serverRoot limits the folders jobs can touch.
+ * @param {number} [ port ]
+ * @returns {Promise<http.Server>} server
+ */
+export const startServer = (port = config.port) => {
+    if (!config.serverRoot) {
+        return Promise.reject(new Error('SERVER_ROOT must be set to the folder that jobs of the HTTP API may touch, e.g. /rename in Docker'));
+    }
+    const server = createServer();
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, () => {
+            logger.info(`Listening on port ${server.address().port}`);
+            resolve(server);
+        });
+    });
+}
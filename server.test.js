@@ -0,0 +1,132 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createServer, startServer } from "./server";
+import { setProvider } from "./providers";
+import config from "./config";
+
+describe("HTTP API", () => {
+
+    let dir;
+    let server;
+    let url;
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-server-'));
+        config.cacheFile = "";
+        config.journalFile = path.join(dir, "journal.jsonl");
+        setProvider({ name: "Test", chat: async () => { throw new Error("The LLM should not be asked"); } });
+
+        fs.mkdirSync(path.join(dir, "Show", "Season 01"), { recursive: true });
+        fs.writeFileSync(path.join(dir, "Show", "Season 01", "Show.S01E01.1080p.WEB-DL.mkv"), "");
+
+        server = createServer();
+        await new Promise(resolve => server.listen(0, resolve));
+        url = `http://localhost:${server.address().port}`;
+    })
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+        setProvider(null);
+        config.serverRoot = "";
+        fs.rmSync(dir, { recursive: true, force: true });
+    })
+
+    const post = (body) => fetch(`${url}/jobs`, { method: "POST", body: typeof body === "string" ? body : JSON.stringify(body) });
+
+    it("Should run a submitted job and expose its status, results and logs", async () => {
+
+        const response = await post({ folder: dir, mode: "rename" });
+        expect(response.status).toBe(202);
+        const { id } = await response.json();
+
+        await server.jobs.idle();
+
+        const job = await (await fetch(`${url}/jobs/${id}`)).json();
+        expect(job.status).toBe("completed");
+        expect(job.counts).toEqual({ planned: 1, review: 0, renamed: 1, failed: 0, wrongFormat: 0 });
+
+        const { results } = await (await fetch(`${url}/jobs/${id}/results`)).json();
+        expect(results.map(result => result.operation.to)).toEqual([ path.join(dir, "Show", "Season 01", "Show S01E01.mkv") ]);
+
+        const { logs, next } = await (await fetch(`${url}/jobs/${id}/logs`)).json();
+        expect(logs.length).toBe(next);
+        expect((await (await fetch(`${url}/jobs/${id}/logs?since=${next}`)).json()).logs).toEqual([]);
+
+        expect((await (await fetch(`${url}/jobs`)).json()).jobs.map(entry => entry.id)).toEqual([ id ]);
+
+    })
+
+    it("Should serve the review UI and apply only the approved changes of a dry run", async () => {
+
+        fs.writeFileSync(path.join(dir, "Show", "Season 01", "Show.S01E02.mkv"), "");
+        const first = path.join(dir, "Show", "Season 01", "Show.S01E01.1080p.WEB-DL.mkv");
+        const second = path.join(dir, "Show", "Season 01", "Show.S01E02.mkv");
+
+        const page = await fetch(url);
+        expect(page.headers.get("content-type")).toContain("text/html");
+        expect(await page.text()).toContain("Review proposed renames");
+
+        const { id } = await (await post({ folder: dir, mode: "rename", dryRun: true })).json();
+        await server.jobs.idle();
+
+        const { items } = await (await fetch(`${url}/jobs/${id}/review`)).json();
+        expect(items.map(item => item.operation.from)).toEqual([ first, second ]);
+
+        const preview = await fetch(`${url}/jobs/${id}/preview`, { method: "POST", body: JSON.stringify({ from: first, details: { season: 2 } }) });
+        expect((await preview.json()).operation.to).toBe(path.join(dir, "Show", "Season 01", "Show S02E01.mkv"));
+
+        const apply = () => fetch(`${url}/jobs/${id}/apply`, { method: "POST", body: JSON.stringify({ decisions: [ { from: first, approved: true, details: { episode: 3 } }, { from: second, approved: false } ] }) });
+        const { results } = await (await apply()).json();
+        expect(results.map(result => result.operation.to)).toEqual([ path.join(dir, "Show", "Season 01", "Show S01E03.mkv") ]);
+        expect(fs.existsSync(second)).toBe(true);
+
+        expect((await apply()).status).toBe(409);
+
+    })
+
+    it("Should apply a reviewed plan only once and after the jobs before it", async () => {
+
+        const { id } = await (await post({ folder: path.join(dir, "Show"), mode: "rename", dryRun: true })).json();
+        await server.jobs.idle();
+
+        // a job that is still running when the plan is approved
+        fs.mkdirSync(path.join(dir, "Other"));
+        fs.writeFileSync(path.join(dir, "Other", "garbage.mkv"), "");
+        setProvider({ name: "Test", chat: async () => {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            throw new Error("The LLM is offline");
+        } });
+        const { id: other } = await (await post({ folder: path.join(dir, "Other"), mode: "rename" })).json();
+
+        const file = path.join(dir, "Show", "Season 01", "Show.S01E01.1080p.WEB-DL.mkv");
+        const apply = () => fetch(`${url}/jobs/${id}/apply`, { method: "POST", body: JSON.stringify({ decisions: [ { from: file, approved: true } ] }) });
+        const responses = await Promise.all([ apply(), apply() ]);
+
+        expect(responses.map(response => response.status).sort()).toStrictEqual([ 200, 409 ]);
+        expect(server.jobs.get(other).status).toBe("completed");
+        expect(server.jobs.get(id).results.map(result => result.status)).toStrictEqual([ "renamed" ]);
+        expect(fs.existsSync(path.join(dir, "Show", "Season 01", "Show S01E01.mkv"))).toBe(true);
+
+    })
+
+    it("Should answer invalid requests with an error", async () => {
+
+        expect((await post("{")).status).toBe(400);
+        expect((await post({ folder: dir, mode: "delete" })).status).toBe(400);
+        expect((await fetch(`${url}/jobs/unknown`)).status).toBe(404);
+        expect((await fetch(`${url}/unknown`)).status).toBe(404);
+        expect((await fetch(`${url}/jobs`, { method: "DELETE" })).status).toBe(405);
+
+        config.serverRoot = path.join(dir, "Show");
+        expect((await post({ folder: "../..", mode: "check" })).status).toBe(400);
+        expect((await post({ folder: "/Season 01", mode: "check" })).status).toBe(202);
+
+    })
+
+    it("Should not start without a root folder", async () => {
+
+        await expect(startServer(0)).rejects.toThrow("SERVER_ROOT must be set");
+
+    })
+
+})
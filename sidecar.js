@@ -0,0 +1,53 @@
+import path from 'path'
+import { getExtension, VIDEO_EXTENSIONS } from './parser.js'
+
+/**
+ * Suffixes of files that belong to a video with the same base name:
+ * - subtitles with optional language and flags, e.g. '.srt', '.en.srt', '.en.forced.srt', '.de.sdh.ass'
+ * - metadata, e.g. '.nfo'
+ * - artwork, e.g. '-thumb.jpg', '-poster.png', '-fanart.jpg' or '.jpg'
+ */
+const SIDECAR_SUFFIX = /^(?:(?:\.[a-z]{2,3}(?:-[a-z]{2,4})?)?(?:\.(?:forced|sdh|cc|hi|default|foreign))*\.(?:srt|ass|ssa|vtt|sub|idx|sup|smi)|\.nfo|(?:-(?:thumb|poster|fanart|landscape|banner|clearart|clearlogo|logo|backdrop))?\.(?:jpe?g|png|webp|tbn))$/i;
+
+/**
+ * @typedef {Object} Sidecar
+ * @property {string} path - The path of the sidecar file.
+ * @property {string} video - The path of the video it belongs to.
+ * @property {string} suffix - Everything after the base name of the video, e.g. '.en.forced.srt' or '-thumb.jpg'.
+ */
+/**
+ * Finds the sidecar files among the given files. A sidecar has the base name of a video in the same folder, followed by a sidecar suffix.
+ * If the base names of several videos match (e.g. 'Show S01E01' and 'Show S01E01.Extended'), the sidecar belongs to the longest one.
+ * @param {string[]} files
+ * @returns {Sidecar[]} sidecars
+ */
+export const findSidecars = (files) => {
+    const videos = files
+        .filter(file => VIDEO_EXTENSIONS.includes(getExtension(file)))
+        .map(file => ({ file, base: path.join(path.dirname(file), path.parse(file).name) }))
+        .sort((a, b) => b.base.length - a.base.length);
+
+    const sidecars = [];
+    for (const file of files) {
+        if (VIDEO_EXTENSIONS.includes(getExtension(file))) {
+            continue;
+        }
+
+        const video = videos.find(({ base }) => file.startsWith(base) && SIDECAR_SUFFIX.test(file.slice(base.length)));
+        if (video) {
+            sidecars.push({ path: file, video: video.file, suffix: file.slice(video.base.length) });
+        }
+    }
+
+    return sidecars;
+}
+
+/**
+ * Returns the new path of a sidecar after its video was renamed from one path to the other. The suffix of the sidecar is kept.
+ * @param {Sidecar} sidecar
+ * @param {string} newVideoPath
+ * @returns {string} newSidecarPath
+ */
+export const getNewSidecarPath = (sidecar, newVideoPath) => {
+    return path.join(path.dirname(newVideoPath), path.parse(newVideoPath).name + sidecar.suffix);
+}
@@ -0,0 +1,49 @@
+import path from 'path';
+import { findSidecars, getNewSidecarPath } from "./sidecar";
+
+describe("Sidecar files", () => {
+
+    it("Should find subtitles, NFO files and artwork of a video and keep their suffixes", () => {
+
+        const files = [
+            "Show/Show.S01E01.1080p.WEB-DL.mkv",
+            "Show/Show.S01E01.1080p.WEB-DL.srt",
+            "Show/Show.S01E01.1080p.WEB-DL.en.forced.srt",
+            "Show/Show.S01E01.1080p.WEB-DL.pt-BR.sdh.ass",
+            "Show/Show.S01E01.1080p.WEB-DL.nfo",
+            "Show/Show.S01E01.1080p.WEB-DL-thumb.jpg",
+            "Show/Show.S01E02.1080p.WEB-DL.mkv",
+            "Show/info.txt",
+            "Show/Show.S01E03.1080p.WEB-DL.srt"
+        ];
+
+        expect(findSidecars(files).map(sidecar => [ sidecar.video, sidecar.suffix ])).toStrictEqual([
+            [ "Show/Show.S01E01.1080p.WEB-DL.mkv", ".srt" ],
+            [ "Show/Show.S01E01.1080p.WEB-DL.mkv", ".en.forced.srt" ],
+            [ "Show/Show.S01E01.1080p.WEB-DL.mkv", ".pt-BR.sdh.ass" ],
+            [ "Show/Show.S01E01.1080p.WEB-DL.mkv", ".nfo" ],
+            [ "Show/Show.S01E01.1080p.WEB-DL.mkv", "-thumb.jpg" ]
+        ]);
+
+    })
+
+    it("Should assign sidecars to the video with the longest matching name", () => {
+
+        const sidecars = findSidecars([ "Show S01E01.mkv", "Show S01E01.Extended.mkv", "Show S01E01.Extended.en.srt", "Show S01E01.en.srt" ]);
+
+        expect(sidecars.map(sidecar => [ sidecar.path, sidecar.video ])).toStrictEqual([
+            [ "Show S01E01.Extended.en.srt", "Show S01E01.Extended.mkv" ],
+            [ "Show S01E01.en.srt", "Show S01E01.mkv" ]
+        ]);
+
+    })
+
+    it("Should follow the new path of the video", () => {
+
+        const [ sidecar ] = findSidecars([ "Downloads/Show.S01E01.mkv", "Downloads/Show.S01E01.en.forced.srt" ]);
+
+        expect(getNewSidecarPath(sidecar, path.join("Show", "Season 01", "Show S01E01.mkv"))).toBe(path.join("Show", "Season 01", "Show S01E01.en.forced.srt"));
+
+    })
+
+})
@@ -0,0 +1,69 @@
+import path from 'path'
+import pino from 'pino'
+import { createJsonStore } from './store.js'
+import config from './config.js'
+
+const logger = pino({
+    level: process.env.NODE_ENV === "development" ? 'debug' : "info"
+}, pino.destination(2));
+
+/**
+ * Episode numbers of specials in 'Season 00' by series and by the title or file name of the special, e.g.
+ * { "Doctor Who": { "The Christmas Invasion": 1, "Doctor.Who.2005.The.Runaway.Bride.mkv": 2 } }
+ * @typedef {Object<string, Object<string, number>>} SpecialsMap
+ */
+
+const store = createJsonStore('specials', () => config.specialsFile);
+
+/**
+ * Loads config.specialsFile the first time it is needed (or the file was changed in the config).
+ * @returns {SpecialsMap}
+ */
+export const loadSpecials = () => store.load();
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+const normalize = (value) => value.trim().toLowerCase();
+
+/**
+ * Looks up the 'Season 00' episode number a special is mapped to. The keys of a series are compared with the title of the special,
+ * the file name and the file name without extension, ignoring the case.
+ * @param {string} series
+ * @param {string} filePath
+ * @param {string|null} [ title ]
+ * @returns {number|undefined} the episode number, undefined if the special is not mapped
+ */
+export const getSpecialEpisodeNumber = (series, filePath, title) => {
+    const [ , mapping ] = Object.entries(loadSpecials()).find(([ name ]) => normalize(name) === normalize(series)) || [];
+    if (!mapping) {
+        return undefined;
+    }
+
+    const fileName = path.basename(filePath);
+    const candidates = [ title, fileName, path.parse(fileName).name ].filter(Boolean).map(normalize);
+    const [ , episode ] = Object.entries(mapping).find(([ key ]) => candidates.includes(normalize(key))) || [];
+
+    return episode;
+}
+
+/**
+ * Maps a special to an episode number of 'Season 00' and saves it in config.specialsFile.
+ * @param {string} series
+ * @param {string} key - The title of the special or its file name.
+ * @param {number} episode
+ */
+export const mapSpecial = (series, key, episode) => {
+    if (!Number.isInteger(episode) || episode < 0) {
+        throw new Error(`Invalid episode number for special ${key}: ${episode}`);
+    }
+
+    const map = loadSpecials();
+    const name = Object.keys(map).find(existing => normalize(existing) === normalize(series)) || series;
+    map[name] = { ...map[name], [key]: episode };
+
+    store.save(map);
+
+    logger.info(`Mapped special ${key} of ${name} to S00E${episode.toString().padStart(2, '0')}`);
+}
@@ -0,0 +1,42 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getSpecialEpisodeNumber, loadSpecials, mapSpecial } from "./specials";
+import config from "./config";
+
+describe("Specials", () => {
+
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-specials-'));
+        config.specialsFile = path.join(dir, "data", "specials.json");
+    })
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    })
+
+    it("Should look up specials by title or file name, ignoring the case", () => {
+
+        fs.mkdirSync(path.join(dir, "data"));
+        fs.writeFileSync(config.specialsFile, JSON.stringify({ "Doctor Who": { "The Christmas Invasion": 1, "Doctor.Who.2005.The.Runaway.Bride.mkv": 2 } }));
+
+        expect(getSpecialEpisodeNumber("doctor who", "Doctor.Who.2005.The.Christmas.Invasion.mkv", "The Christmas Invasion")).toBe(1);
+        expect(getSpecialEpisodeNumber("Doctor Who", "Downloads/Doctor.Who.2005.The.Runaway.Bride.mkv", null)).toBe(2);
+        expect(getSpecialEpisodeNumber("Doctor Who", "Doctor.Who.2005.Voyage.of.the.Damned.mkv", "Voyage of the Damned")).toBeUndefined();
+        expect(getSpecialEpisodeNumber("Torchwood", "Torchwood.The.Christmas.Invasion.mkv", "The Christmas Invasion")).toBeUndefined();
+
+    })
+
+    it("Should save mapped specials", () => {
+
+        mapSpecial("Doctor Who", "The Christmas Invasion", 1);
+        mapSpecial("doctor who", "Voyage of the Damned", 4);
+
+        expect(JSON.parse(fs.readFileSync(config.specialsFile, "utf-8"))).toStrictEqual({ "Doctor Who": { "The Christmas Invasion": 1, "Voyage of the Damned": 4 } });
+        expect(loadSpecials()).toStrictEqual({ "Doctor Who": { "The Christmas Invasion": 1, "Voyage of the Damned": 4 } });
+        expect(() => mapSpecial("Doctor Who", "Pilot", -1)).toThrow();
+
+    })
+
+})
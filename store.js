@@ -0,0 +1,60 @@
+import fs from 'fs'
+import path from 'path'
+import pino from 'pino'
+
+const logger = pino({
+    level: process.env.NODE_ENV === "development" ? 'debug' : "info"
+}, pino.destination(2));
+
+/**
+ * @template T
+ * @typedef {Object} JsonStore
+ * @property {() => T} load - Returns the content, the file is read the first time (or after its path was changed in the config).
+ * @property {(content: T) => void} save - Replaces the content and writes it to the file.
+ */
+/**
+ * Creates a store for a JSON file that users can edit by hand, like the specials, aliases and numbering files.
+ * A missing file is empty, an invalid one is ignored with a warning.
+ * @template T
+ * @param {string} name - What the file holds, e.g. 'specials', used in the log.
+ * @param {() => string} getFile - Returns the path from the config. Without a path, the content is only kept in memory.
+ * @returns {JsonStore<T>}
+ */
+export const createJsonStore = (name, getFile) => {
+
+    /** @type {T|null} */
+    let content = null;
+    let loadedFile = null;
+
+    const load = () => {
+        const file = getFile();
+        if (content && loadedFile === file) {
+            return content;
+        }
+
+        content = {};
+        loadedFile = file;
+        if (file && fs.existsSync(file)) {
+            try {
+                content = JSON.parse(fs.readFileSync(file, 'utf-8'));
+            } catch (e) {
+                logger.warn(`Ignoring invalid ${name} file ${file}: ${e.message}`);
+            }
+        }
+
+        return content;
+    }
+
+    const save = (value) => {
+        const file = getFile();
+        content = value;
+        loadedFile = file;
+
+        if (file) {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, JSON.stringify(value, null, 2));
+        }
+    }
+
+    return { load, save };
+}
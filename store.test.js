@@ -0,0 +1,62 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createJsonStore } from "./store";
+
+describe("JSON store", () => {
+
+    let dir;
+    let file;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-store-'));
+        file = path.join(dir, "data", "store.json");
+    })
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    })
+
+    it("Should save the content and read it back", () => {
+
+        const store = createJsonStore("test", () => file);
+        expect(store.load()).toStrictEqual({});
+
+        store.save({ a: 1 });
+        expect(JSON.parse(fs.readFileSync(file, "utf-8"))).toStrictEqual({ a: 1 });
+        expect(createJsonStore("test", () => file).load()).toStrictEqual({ a: 1 });
+
+    })
+
+    it("Should read the file again when its path changes", () => {
+
+        const other = path.join(dir, "other.json");
+        fs.writeFileSync(other, JSON.stringify({ b: 2 }));
+        let current = file;
+        const store = createJsonStore("test", () => current);
+
+        expect(store.load()).toStrictEqual({});
+        current = other;
+        expect(store.load()).toStrictEqual({ b: 2 });
+
+    })
+
+    it("Should ignore an invalid file", () => {
+
+        fs.mkdirSync(path.dirname(file));
+        fs.writeFileSync(file, "{ not json");
+
+        expect(createJsonStore("test", () => file).load()).toStrictEqual({});
+
+    })
+
+    it("Should keep the content in memory without a file", () => {
+
+        const store = createJsonStore("test", () => "");
+        store.save({ c: 3 });
+
+        expect(store.load()).toStrictEqual({ c: 3 });
+        expect(fs.readdirSync(dir)).toStrictEqual([]);
+
+    })
+
+})
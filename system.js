@@ -1,50 +1,113 @@
 import fs from 'fs'
-import { checkIfFileIsAlreadyInCorrectFoler, classifyFile, generateNewFilePathIncludingParentFolders } from './lib.js';
+import { checkIfFileIsAlreadyInCorrectFoler, extractDetails, generateNewFilePathIncludingParentFolders, getDetails, getMovieDetails, getMovieName } from './lib.js';
 import pino from 'pino'
 import path from 'path';
+import { applyPlan, createPlan } from './plan.js';
+import { resolveConflicts } from './conflicts.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { findSidecars, getNewSidecarPath } from './sidecar.js';
+import { splitByConfidence } from './confidence.js';
+import config from './config.js';
 
 const logger = pino({
     level: process.env.NODE_ENV === "development" ? 'debug' : "info"
-});
+}, pino.destination(2));
 
 /**
- * 
- * @param {string} dir 
+ * Returns the path of a movie in its own 'Title (Year)' folder inside config.moviesDir (or the given folder if it is not set).
+ * @param {string} dir
+ * @param {string} file - The full path of the movie.
+ * @returns {Promise<string>} the new path of the movie
  */
-export const moveAllFilesToCorrectFolders = async (dir) => {
+const generateMovieFolderPath = async (dir, file) => {
 
-    const files = fs.readdirSync(dir);
+    const details = await getMovieDetails(file);
+    const movieName = getMovieName(details.title, details.year);
 
-    for(const file of files) {
-        try {
+    return path.join(config.moviesDir || dir, movieName, `${movieName}${path.extname(file)}`);
 
-            // Check whether the file is actually an episode
-            const classification = await classifyFile(file);
-            if(classification !== 'Episode') {
-                logger.info(`Skipping: ${file} (Not an episode)`);
-                continue;
-            }
+}
 
-            // Check if the file is already in the correct folder
-            const alreadyInCorrectFolder = await checkIfFileIsAlreadyInCorrectFoler(file);
-            if(alreadyInCorrectFolder) {
-                logger.info(`Skipping: ${file} (Already in correct folder)`);
-                continue;
-            }
+/**
+ * Proposes where a single file of the folder is moved.
+ * @param {string} dir
+ * @param {string} file - The name of the file inside dir.
+ * @returns {Promise<import('./plan.js').Operation|null>} operation - null if the file stays where it is.
+ */
+const planMoveOfFile = async (dir, file) => {
+    try {
 
-            const fullPath = path.join(dir, file);
-            const newPath = await generateNewFilePathIncludingParentFolders(fullPath);
-            const oldPath = path.join(dir, file);
+        // the full path, so the container of the file can be read too
+        const fullPath = path.join(dir, file);
 
-            // ensure the parent folders exist
-            fs.mkdirSync(path.dirname(newPath), { recursive: true });
+        // Check whether the file is actually an episode or a movie
+        const { classification, confidence, doubts } = await extractDetails(fullPath);
+        if(classification === 'Movie') {
+            return { from: fullPath, to: await generateMovieFolderPath(dir, fullPath), classification, confidence, doubts };
+        }
+        if(classification !== 'Episode' && classification !== 'Special') {
+            logger.info(`Skipping: ${file} (Not an episode, special or movie)`);
+            return null;
+        }
 
-            fs.renameSync(oldPath, newPath);
+        // the details come from the same extraction as the classification (answered from the cache of the extraction above)
+        const details = await getDetails(fullPath);
 
-            logger.info(`Moved: ${oldPath} -> ${newPath}`);
-        } catch(e) {
-            logger.error(`Failed to move ${file}: ${e.message}`);
+        // Check if the file is already in the correct folder
+        const alreadyInCorrectFolder = await checkIfFileIsAlreadyInCorrectFoler(fullPath, details);
+        if(alreadyInCorrectFolder) {
+            logger.info(`Skipping: ${file} (Already in correct folder)`);
+            return null;
         }
+
+        return { from: fullPath, to: await generateNewFilePathIncludingParentFolders(fullPath, details), classification, details, confidence, doubts };
+    } catch(e) {
+        logger.error(`Failed to move ${file}: ${e.message}`);
+        return null;
     }
-    
-};
\ No newline at end of file
+}
+
+/**
+ * Plans the moves of every episode into a 'Series/Season XX' folder, every special into 'Series/Season 00' and every movie into a 'Title (Year)' folder.
+ * Sidecar files are moved together with their video. Files that would end up at the same path are resolved with the conflict policy (see conflicts.js).
+ * Files whose details have a confidence below config.confidenceThreshold are put on the review list of the plan instead.
+ * @param {string} dir 
+ * @returns {Promise<import('./plan.js').Plan>} plan
+ */
+export const createOrganizePlan = async (dir) => {
+
+    const allFiles = fs.readdirSync(dir).filter(file => fs.statSync(path.join(dir, file)).isFile());
+
+    // sidecar files are moved together with their video
+    const sidecars = findSidecars(allFiles);
+    const files = allFiles.filter(file => !sidecars.some(sidecar => sidecar.path === file));
+
+    // the files are processed concurrently, the moves happen afterwards in the order of the files
+    const planned = await mapWithConcurrency(files, config.concurrency, file => planMoveOfFile(dir, file));
+
+    const operations = [];
+    planned.forEach((operation, index) => {
+        if (!operation) {
+            return;
+        }
+        operations.push(operation);
+        for (const sidecar of sidecars.filter(sidecar => sidecar.video === files[index])) {
+            operations.push({ from: path.join(dir, sidecar.path), to: getNewSidecarPath(sidecar, operation.to), classification: 'Sidecar', details: { suffix: sidecar.suffix }, sidecarOf: operation.from });
+        }
+    });
+
+    const { operations: confident, review } = splitByConfidence(operations);
+    const { operations: resolved, conflicts } = resolveConflicts(confident, { root: dir });
+
+    return createPlan(dir, resolved, conflicts, review);
+
+};
+
+/**
+ * Moves the files of the folder into their folders, see createOrganizePlan.
+ * @param {string} dir 
+ * @returns {Promise<import('./plan.js').OperationResult[]>} results
+ */
+export const moveAllFilesToCorrectFolders = async (dir) => {
+    return applyPlan(await createOrganizePlan(dir), 'organize');
+};
@@ -0,0 +1,184 @@
+import config from './config.js'
+
+/**
+ * Built-in naming templates. The segments of a template are separated by '/', the last one is the file name without extension.
+ * - '{field}' is replaced with the value of the field, '{field:02}' pads numbers with zeros to the given width.
+ * - '[...]' is an optional part, it is left out if one of the fields in it has no value (e.g. '[ - {title}]' or '[-E{lastEpisode:02}]').
+ * Available fields: series, season, episode, lastEpisode (multi-episode files), year, title and airDate (date-based episodes).
+ */
+export const PRESETS = {
+    jellyfin: '{series}/Season {season:02}/{series} S{season:02}E{episode:02}[-E{lastEpisode:02}]',
+    plex: '{series}[ ({year})]/Season {season:02}/{series}[ ({year})] - s{season:02}e{episode:02}[-e{lastEpisode:02}][ - {title}]',
+    kodi: '{series}/Season {season:02}/{series} S{season:02}E{episode:02}[E{lastEpisode:02}][ - {title}]'
+};
+
+/**
+ * Templates of date-based episodes of daily and talk shows, by preset. Their season is the year of the air date, e.g. 'Season 2024'.
+ */
+export const DATE_PRESETS = {
+    jellyfin: '{series}/Season {season}/{series} {airDate}',
+    plex: '{series}[ ({year})]/Season {season}/{series}[ ({year})] - {airDate}[ - {title}]',
+    kodi: '{series}/Season {season}/{series} {airDate}[ - {title}]'
+};
+
+const NUMERIC_FIELDS = [ 'season', 'episode', 'lastEpisode', 'year' ];
+const DATE_FIELDS = [ 'airDate' ];
+
+const TOKEN = /\[([^[\]]*)\]|\{(\w+)(?::0(\d+))?\}/g;
+
+/**
+ * Returns the naming template from the config: config.namingTemplate if it is set, otherwise the preset config.namingPreset.
+ * @returns {string}
+ */
+export const getTemplate = () => {
+    if (config.namingTemplate) {
+        return config.namingTemplate;
+    }
+    if (!PRESETS[config.namingPreset]) {
+        throw new Error(`Unknown naming preset: ${config.namingPreset}`);
+    }
+
+    return PRESETS[config.namingPreset];
+}
+
+/**
+ * Returns the naming template of date-based episodes: config.dateNamingTemplate if it is set, otherwise the date variant of the preset config.namingPreset.
+ * @returns {string}
+ */
+export const getDateTemplate = () => {
+    if (config.dateNamingTemplate) {
+        return config.dateNamingTemplate;
+    }
+    if (!DATE_PRESETS[config.namingPreset]) {
+        throw new Error(`Unknown naming preset: ${config.namingPreset}`);
+    }
+
+    return DATE_PRESETS[config.namingPreset];
+}
+
+/**
+ * Returns the naming template for an episode: the date template if it has an air date, the regular one otherwise.
+ * @param {Partial<EpisodeValues>} values
+ * @returns {string}
+ */
+export const getTemplateFor = (values) => hasValue(values.airDate) ? getDateTemplate() : getTemplate();
+
+/**
+ * Removes characters that are not allowed in file names, a colon becomes ' -'.
+ * @param {string} name
+ * @returns {string}
+ */
+export const sanitizeFileName = (name) => {
+    return name.replace(/\s*:\s*/g, ' - ').replace(/[<>"/\\|?*]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+const hasValue = (value) => value !== null && value !== undefined && value !== '';
+
+/**
+ * Replaces the fields and optional parts of one template segment.
+ * @param {string} segment
+ * @param {object} values
+ * @returns {string}
+ */
+const renderSegment = (segment, values) => {
+    return segment.replace(TOKEN, (match, optional, field, width) => {
+        if (optional !== undefined) {
+            const fields = [ ...optional.matchAll(TOKEN) ].map(token => token[2]);
+            return fields.every(name => hasValue(values[name])) ? renderSegment(optional, values) : '';
+        }
+
+        const value = values[field];
+        if (!hasValue(value)) {
+            throw new Error(`No value for {${field}} of the naming template`);
+        }
+
+        return typeof value === 'number' ? value.toString().padStart(parseInt(width || '0'), '0') : sanitizeFileName(value.toString());
+    });
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Turns one template segment into a regular expression pattern. Known fields must match their rendered value exactly, the other fields match anything they could be rendered as.
+ * @param {string} segment
+ * @param {object} known
+ * @returns {string}
+ */
+const segmentToPattern = (segment, known) => {
+    let pattern = '';
+    let last = 0;
+
+    for (const token of segment.matchAll(TOKEN)) {
+        const [ match, optional, field, width ] = token;
+        pattern += escapeRegExp(segment.slice(last, token.index));
+        last = token.index + match.length;
+
+        if (optional !== undefined) {
+            pattern += `(?:${segmentToPattern(optional, known)})?`;
+        } else if (hasValue(known[field])) {
+            pattern += escapeRegExp(renderSegment(match, known));
+        } else if (DATE_FIELDS.includes(field)) {
+            pattern += '\\d{4}-\\d{2}-\\d{2}';
+        } else if (NUMERIC_FIELDS.includes(field)) {
+            pattern += width ? `\\d{${parseInt(width)},}` : '\\d+';
+        } else {
+            pattern += '.+?';
+        }
+    }
+
+    return pattern + escapeRegExp(segment.slice(last));
+}
+
+/**
+ * @typedef {Object} EpisodeValues
+ * @property {string} series
+ * @property {number} season - The year of the air date for date-based episodes.
+ * @property {number|null} episode - null for date-based episodes.
+ * @property {number|null} [ lastEpisode ]
+ * @property {number|null} [ year ]
+ * @property {string|null} [ title ]
+ * @property {string|null} [ airDate ] - 'YYYY-MM-DD' for date-based episodes, see getTemplateFor.
+ */
+/**
+ * Returns the file name of an episode according to the naming template.
+ * @param {EpisodeValues} values
+ * @param {string} extension - e.g. '.mkv', can be empty.
+ * @param {string} [ template ]
+ * @returns {string} fileName
+ */
+export const getEpisodeFileName = (values, extension, template = getTemplateFor(values)) => {
+    const segments = template.split('/');
+
+    return renderSegment(segments[segments.length - 1], values) + extension;
+}
+
+/**
+ * Returns the folders an episode belongs in according to the naming template, e.g. [ 'Show', 'Season 01' ].
+ * @param {EpisodeValues} values
+ * @param {string} [ template ]
+ * @returns {string[]} folders
+ */
+export const getEpisodeFolders = (values, template = getTemplateFor(values)) => {
+    return template.split('/').slice(0, -1).map(segment => renderSegment(segment, values));
+}
+
+/**
+ * Returns a regular expression that matches exactly the file names (without extension) the naming template produces.
+ * Fields that are given must have that value, e.g. the series and season of a folder.
+ * @param {Partial<EpisodeValues>} known
+ * @param {string} [ template ]
+ * @returns {RegExp}
+ */
+export const getEpisodeFileNamePattern = (known, template = getTemplateFor(known)) => {
+    const segments = template.split('/');
+
+    return new RegExp(`^${segmentToPattern(segments[segments.length - 1], known)}$`);
+}
@@ -0,0 +1,84 @@
+import { DATE_PRESETS, getDateTemplate, getEpisodeFileName, getEpisodeFileNamePattern, getEpisodeFolders, getTemplate, PRESETS } from "./template";
+import config from "./config";
+
+describe("Naming templates", () => {
+
+    const episode = { series: "Doctor Who", season: 4, episode: 12, lastEpisode: 13, year: 2005, title: "The Stolen Earth: Part 1" };
+
+    afterEach(() => {
+        config.namingPreset = "jellyfin";
+        config.namingTemplate = undefined;
+        config.dateNamingTemplate = undefined;
+    })
+
+    it("Should name episodes like the presets of the media servers", () => {
+
+        expect(getEpisodeFolders(episode, PRESETS.jellyfin)).toStrictEqual([ "Doctor Who", "Season 04" ]);
+        expect(getEpisodeFileName(episode, ".mkv", PRESETS.jellyfin)).toBe("Doctor Who S04E12-E13.mkv");
+        expect(getEpisodeFolders(episode, PRESETS.plex)).toStrictEqual([ "Doctor Who (2005)", "Season 04" ]);
+        expect(getEpisodeFileName(episode, ".mkv", PRESETS.plex)).toBe("Doctor Who (2005) - s04e12-e13 - The Stolen Earth - Part 1.mkv");
+        expect(getEpisodeFileName(episode, ".mkv", PRESETS.kodi)).toBe("Doctor Who S04E12E13 - The Stolen Earth - Part 1.mkv");
+
+    })
+
+    it("Should leave out optional parts without a value", () => {
+
+        const single = { series: "Doctor Who", season: 4, episode: 1, lastEpisode: null, year: null, title: null };
+
+        expect(getEpisodeFileName(single, ".mkv", PRESETS.plex)).toBe("Doctor Who - s04e01.mkv");
+        expect(() => getEpisodeFileName(single, ".mkv", "{series} ({year}) S{season:02}E{episode:02}")).toThrow("{year}");
+
+    })
+
+    it("Should derive the format check from the same template", () => {
+
+        for (const template of Object.values(PRESETS)) {
+            const pattern = getEpisodeFileNamePattern({ series: "Doctor Who", season: 4 }, template);
+
+            expect(pattern.test(getEpisodeFileName(episode, "", template))).toBe(true);
+            expect(pattern.test(getEpisodeFileName({ ...episode, lastEpisode: null, title: null }, "", template))).toBe(true);
+            expect(pattern.test(getEpisodeFileName({ ...episode, season: 5 }, "", template))).toBe(false);
+            expect(pattern.test("Doctor.Who.2005.S04E12.1080p.WEB-DL")).toBe(false);
+        }
+
+    })
+
+    it("Should name date-based episodes by their air date in year folders", () => {
+
+        const dated = { series: "The Daily Show", season: 2024, episode: null, lastEpisode: null, year: null, title: "Guest Name", airDate: "2024-03-14" };
+
+        expect(getEpisodeFolders(dated)).toStrictEqual([ "The Daily Show", "Season 2024" ]);
+        expect(getEpisodeFileName(dated, ".mkv")).toBe("The Daily Show 2024-03-14.mkv");
+        expect(getEpisodeFileName(dated, ".mkv", DATE_PRESETS.plex)).toBe("The Daily Show - 2024-03-14 - Guest Name.mkv");
+
+        for (const template of Object.values(DATE_PRESETS)) {
+            const pattern = getEpisodeFileNamePattern({ series: "The Daily Show", season: 2024 }, template);
+
+            expect(pattern.test(getEpisodeFileName(dated, "", template))).toBe(true);
+            expect(pattern.test("The Daily Show S2024E01")).toBe(false);
+            expect(pattern.test("The.Daily.Show.2024.03.14.Guest.Name.1080p")).toBe(false);
+        }
+
+        config.dateNamingTemplate = "{series}/{season}/{airDate} - {title}";
+        expect(getDateTemplate()).toBe("{series}/{season}/{airDate} - {title}");
+        expect(getEpisodeFileName(dated, ".mkv")).toBe("2024-03-14 - Guest Name.mkv");
+
+    })
+
+    it("Should use the configured template or preset", () => {
+
+        expect(getTemplate()).toBe(PRESETS.jellyfin);
+
+        config.namingPreset = "plex";
+        expect(getTemplate()).toBe(PRESETS.plex);
+
+        config.namingTemplate = "{series}/{series} {season}x{episode:02}";
+        expect(getEpisodeFileName(episode, ".mkv")).toBe("Doctor Who 4x12.mkv");
+
+        config.namingTemplate = undefined;
+        config.namingPreset = "emby";
+        expect(() => getTemplate()).toThrow("Unknown naming preset");
+
+    })
+
+})
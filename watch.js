@@ -0,0 +1,219 @@
+import fs from 'fs'
+import path from 'path'
+import pino from 'pino'
+import { planMoveIntoLibrary } from './lib.js'
+import { applyPlan, createPlan } from './plan.js'
+import { resolveConflicts } from './conflicts.js'
+import { mapWithConcurrency } from './concurrency.js'
+import { findSidecars, getNewSidecarPath } from './sidecar.js'
+import { getExtension, VIDEO_EXTENSIONS } from './parser.js'
+import { splitByConfidence } from './confidence.js'
+import config from './config.js'
+
+const logger = pino({
+    level: process.env.NODE_ENV === "development" ? 'debug' : "info"
+}, pino.destination(2));
+
+/**
+ * @typedef {Object} WatchedFile
+ * @property {number} size
+ * @property {number} mtimeMs
+ * @property {number} since - When the file was first seen with this size and modification time.
+ */
+
+/**
+ * Lists all files inside the folder and its subfolders. Hidden files and folders are left out, download clients use them for temporary files.
+ * @param {string} dir
+ * @returns {string[]} the full paths of the files
+ */
+const listFiles = (dir) => {
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith('.')) {
+            continue;
+        }
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...listFiles(fullPath));
+        } else if (entry.isFile()) {
+            files.push(fullPath);
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Moves finished downloads into the library: videos are classified, named according to the naming template and moved into their folders,
+ * sidecar files follow their video. Files that would end up at the same path are resolved with the conflict policy (see conflicts.js).
+ * Files whose details have a confidence below config.confidenceThreshold are left where they are.
+ * @param {string[]} files - The full paths of the files, files other than videos and their sidecars are left where they are.
+ * @param {string} incoming - The folder the files were found in.
+ * @param {string} library - The folder of the library.
+ * @param {Map<string, string>} [ moved ] - Videos that were moved into the library before, by their former path. Their sidecars among the files follow them.
+ * @returns {Promise<import('./plan.js').OperationResult[]>} results
+ */
+export const moveIntoLibrary = async (files, incoming, library, moved = new Map()) => {
+
+    const sidecars = findSidecars([ ...files, ...moved.keys() ]).filter(sidecar => files.includes(sidecar.path));
+    const videos = files.filter(file => VIDEO_EXTENSIONS.includes(getExtension(file)));
+
+    const planned = await mapWithConcurrency(videos, config.concurrency, async file => {
+        try {
+            const operation = await planMoveIntoLibrary(file, library);
+            if (!operation) {
+                logger.info(`Skipping: ${file} (Not an episode, special or movie)`);
+            }
+            return operation;
+        } catch (e) {
+            logger.error(`Failed to plan move of ${file}: ${e.message}`);
+            return null;
+        }
+    });
+
+    const operations = [];
+    planned.forEach((operation, index) => {
+        if (!operation) {
+            return;
+        }
+        operations.push(operation);
+        for (const sidecar of sidecars.filter(sidecar => sidecar.video === videos[index])) {
+            operations.push({ from: sidecar.path, to: getNewSidecarPath(sidecar, operation.to), classification: 'Sidecar', details: { suffix: sidecar.suffix }, sidecarOf: operation.from });
+        }
+    });
+
+    // doubtful files stay in the folder until someone looks at them
+    const { operations: confident, review } = splitByConfidence(operations);
+    for (const operation of review.filter(operation => !operation.sidecarOf)) {
+        logger.warn(`Needs review: ${operation.from} -> ${operation.to} (confidence ${operation.confidence}: ${operation.doubts.join(', ')})`);
+    }
+    // files that are already at their place in the library stay where they are
+    const moves = confident.filter(operation => operation.to !== operation.from);
+
+    // sidecars that were finished after their video was moved follow it into the library
+    const late = sidecars
+        .filter(sidecar => moved.has(sidecar.video))
+        .map(sidecar => ({ from: sidecar.path, to: getNewSidecarPath(sidecar, moved.get(sidecar.video)), classification: 'Sidecar', details: { suffix: sidecar.suffix }, sidecarOf: sidecar.video }));
+
+    if (moves.length === 0 && late.length === 0) {
+        return [];
+    }
+
+    const { operations: resolved, conflicts } = moves.length > 0 ? resolveConflicts(moves, { root: library }) : { operations: [], conflicts: [] };
+
+    return applyPlan(createPlan(incoming, [ ...resolved, ...late ], conflicts, review), 'watch');
+
+}
+
+/**
+ * Creates a watcher for a folder that new downloads arrive in. Every poll checks the size and modification time of the files,
+ * a file is only moved into the library once they have not changed for config.watchStableSeconds, so files that are still being written are left alone.
+ * Files that are not moved (e.g. because they are not a video) are not looked at again until they change.
+ * Sidecar files wait for their video, and follow it into the library if they are finished after it was moved.
+ * @param {string} incoming - The folder that is watched.
+ * @param {string} library - The folder of the library.
+ * @returns {{ poll: (now?: number) => Promise<import('./plan.js').OperationResult[]> }} watcher
+ */
+export const createWatcher = (incoming, library) => {
+
+    /** @type {Map<string, WatchedFile>} */
+    const watched = new Map();
+    /** @type {Set<string>} files that were already handed to moveIntoLibrary */
+    const handled = new Set();
+    /** @type {Map<string, string>} the library paths of the videos that were moved, by their former path */
+    const moved = new Map();
+
+    const poll = async (now = Date.now()) => {
+        const files = listFiles(incoming);
+        const stable = [];
+
+        for (const file of files) {
+            let stats;
+            try {
+                stats = fs.statSync(file);
+            } catch (e) {
+                // the file was removed in the meantime
+                continue;
+            }
+
+            const previous = watched.get(file);
+            if (!previous || previous.size !== stats.size || previous.mtimeMs !== stats.mtimeMs) {
+                watched.set(file, { size: stats.size, mtimeMs: stats.mtimeMs, since: now });
+                handled.delete(file);
+                continue;
+            }
+            if (!handled.has(file) && now - previous.since >= config.watchStableSeconds * 1000) {
+                stable.push(file);
+            }
+        }
+
+        // forget files that are gone, e.g. because they were moved into the library
+        for (const file of watched.keys()) {
+            if (!files.includes(file)) {
+                watched.delete(file);
+                handled.delete(file);
+            }
+        }
+
+        // sidecars that are finished before their video wait for it
+        const waiting = findSidecars(files)
+            .filter(sidecar => stable.includes(sidecar.path) && !stable.includes(sidecar.video) && !handled.has(sidecar.video))
+            .map(sidecar => sidecar.path);
+        const ready = stable.filter(file => !waiting.includes(file));
+
+        if (ready.length === 0) {
+            return [];
+        }
+
+        logger.info(`${ready.length} finished files in ${incoming}`);
+        ready.forEach(file => handled.add(file));
+
+        const results = await moveIntoLibrary(ready, incoming, library, moved);
+        for (const { operation, status } of results) {
+            if (status === 'renamed' && !operation.sidecarOf) {
+                moved.set(operation.from, operation.to);
+            }
+        }
+
+        return results;
+    }
+
+    return { poll };
+}
+
+/**
+ * Watches the folder until the signal is aborted and moves finished downloads into the library, polling every config.watchInterval seconds.
+ * @param {string} incoming - The folder that is watched.
+ * @param {string} library - The folder of the library.
+ * @param {Object} [ options ]
+ * @param {AbortSignal} [ options.signal ] - Stops watching.
+ * @param {(results: import('./plan.js').OperationResult[]) => void} [ options.onResults ] - Called with the results of every poll that moved files.
+ * @returns {Promise<void>} resolves once the watcher was stopped
+ */
+export const watchFolder = async (incoming, library, { signal, onResults } = {}) => {
+    const watcher = createWatcher(incoming, library);
+    logger.info(`Watching ${incoming} for new files, the library is ${library}`);
+
+    while (!signal?.aborted) {
+        try {
+            const results = await watcher.poll();
+            if (results.length > 0) {
+                onResults?.(results);
+            }
+        } catch (e) {
+            logger.error(`Failed to check ${incoming}: ${e.message}`);
+        }
+
+        await new Promise(resolve => {
+            const timeout = setTimeout(done, config.watchInterval * 1000);
+            function done() {
+                clearTimeout(timeout);
+                signal?.removeEventListener('abort', done);
+                resolve();
+            }
+            signal?.addEventListener('abort', done);
+        });
+    }
+
+    logger.info(`Stopped watching ${incoming}`);
+}
@@ -0,0 +1,147 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createWatcher, watchFolder } from "./watch";
+import { setProvider } from "./providers";
+import config from "./config";
+
+describe("Watch mode", () => {
+
+    let dir;
+    let incoming;
+    let library;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-watch-'));
+        incoming = path.join(dir, "downloads");
+        library = path.join(dir, "library");
+        fs.mkdirSync(incoming);
+        fs.mkdirSync(library);
+
+        config.cacheFile = "";
+        config.journalFile = path.join(dir, "journal.jsonl");
+        config.watchStableSeconds = 5;
+        setProvider({ name: "Test", chat: async () => { throw new Error("The LLM should not be asked"); } });
+    })
+    afterEach(() => {
+        setProvider(null);
+        config.watchStableSeconds = 30;
+        config.watchInterval = 10;
+        fs.rmSync(dir, { recursive: true, force: true });
+    })
+
+    it("Should move finished episodes and their sidecars into the library", async () => {
+
+        const release = path.join(incoming, "Show.S01E02.1080p.WEB-DL");
+        fs.mkdirSync(release);
+        fs.writeFileSync(path.join(release, "Show.S01E02.1080p.WEB-DL.mkv"), "video");
+        fs.writeFileSync(path.join(release, "Show.S01E02.1080p.WEB-DL.en.srt"), "subtitle");
+        fs.writeFileSync(path.join(release, "release.txt"), "info");
+
+        const watcher = createWatcher(incoming, library);
+        expect(await watcher.poll(0)).toStrictEqual([]);
+        expect(await watcher.poll(4000)).toStrictEqual([]);
+
+        const results = await watcher.poll(5000);
+        expect(results.map(result => result.status)).toStrictEqual([ "renamed", "renamed" ]);
+        expect(fs.existsSync(path.join(library, "Show", "Season 01", "Show S01E02.mkv"))).toBe(true);
+        expect(fs.existsSync(path.join(library, "Show", "Season 01", "Show S01E02.en.srt"))).toBe(true);
+        expect(fs.existsSync(path.join(release, "release.txt"))).toBe(true);
+
+        // files that were left behind are not processed again
+        expect(await watcher.poll(20000)).toStrictEqual([]);
+
+    })
+
+    it("Should move sidecars that are finished after their video", async () => {
+
+        const video = path.join(incoming, "Show.S01E04.mkv");
+        const subtitle = path.join(incoming, "Show.S01E04.en.srt");
+        fs.writeFileSync(video, "video");
+
+        const watcher = createWatcher(incoming, library);
+        await watcher.poll(0);
+        fs.writeFileSync(subtitle, "sub");
+        await watcher.poll(3000);
+        expect((await watcher.poll(5000)).map(result => result.operation.from)).toStrictEqual([ video ]);
+
+        const results = await watcher.poll(8000);
+        expect(results.map(result => [ result.status, result.operation.to ])).toStrictEqual([ [ "renamed", path.join(library, "Show", "Season 01", "Show S01E04.en.srt") ] ]);
+        expect(fs.existsSync(subtitle)).toBe(false);
+
+    })
+
+    it("Should keep sidecars waiting until their video is finished", async () => {
+
+        const video = path.join(incoming, "Show.S01E05.mkv");
+        const info = path.join(incoming, "Show.S01E05.nfo");
+        fs.writeFileSync(info, "info");
+
+        const watcher = createWatcher(incoming, library);
+        await watcher.poll(0);
+        fs.writeFileSync(video, "video");
+        await watcher.poll(3000);
+        expect(await watcher.poll(5000)).toStrictEqual([]);
+        expect(fs.existsSync(info)).toBe(true);
+
+        const results = await watcher.poll(8000);
+        expect(results.map(result => result.operation.to)).toStrictEqual([ path.join(library, "Show", "Season 01", "Show S01E05.mkv"), path.join(library, "Show", "Season 01", "Show S01E05.nfo") ]);
+
+    })
+
+    it("Should wait until a file stops growing", async () => {
+
+        const file = path.join(incoming, "Show.S02E01.mkv");
+        fs.writeFileSync(file, "a");
+
+        const watcher = createWatcher(incoming, library);
+        await watcher.poll(0);
+
+        fs.appendFileSync(file, "more");
+        expect(await watcher.poll(6000)).toStrictEqual([]);
+        expect(await watcher.poll(10000)).toStrictEqual([]);
+        expect(fs.existsSync(file)).toBe(true);
+
+        const results = await watcher.poll(11000);
+        expect(results.map(result => result.operation.to)).toStrictEqual([ path.join(library, "Show", "Season 02", "Show S02E01.mkv") ]);
+        expect(fs.readFileSync(path.join(library, "Show", "Season 02", "Show S02E01.mkv"), "utf-8")).toBe("amore");
+
+    })
+
+    it("Should leave files alone that are already at their place in the library", async () => {
+
+        fs.writeFileSync(path.join(incoming, "Show.S01E02.mkv"), "video");
+
+        const watcher = createWatcher(incoming, incoming);
+        await watcher.poll(0);
+        const results = await watcher.poll(5000);
+        expect(results.map(result => [ result.status, result.operation.to ])).toStrictEqual([ [ "renamed", path.join(incoming, "Show", "Season 01", "Show S01E02.mkv") ] ]);
+
+        // the moved file is found again, but it already has the correct name and folder
+        await watcher.poll(6000);
+        expect(await watcher.poll(11000)).toStrictEqual([]);
+        expect(fs.existsSync(path.join(incoming, "Show", "Season 01", "Show S01E02.mkv"))).toBe(true);
+
+    })
+
+    it("Should stop watching when the signal is aborted", async () => {
+
+        config.watchStableSeconds = 0;
+        config.watchInterval = 0.01;
+        fs.writeFileSync(path.join(incoming, "Show.S01E03.mkv"), "video");
+
+        const controller = new AbortController();
+        const moved = [];
+        await watchFolder(incoming, library, {
+            signal: controller.signal,
+            onResults: results => {
+                moved.push(...results);
+                controller.abort();
+            }
+        });
+
+        expect(moved.map(result => result.operation.to)).toStrictEqual([ path.join(library, "Show", "Season 01", "Show S01E03.mkv") ]);
+
+    })
+
+})